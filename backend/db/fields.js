@@ -0,0 +1,42 @@
+// Column sets shared by every storage backend so responses look the same
+// whichever one is running.
+
+// Fields embedded as `user` on posts
+export const USER_SUMMARY_FIELDS = [
+  'display_name',
+  'username',
+  'avatar_url',
+  'is_verified',
+  'is_premium'
+];
+
+// Fields anyone can see on a profile
+export const PUBLIC_USER_FIELDS = [
+  'id',
+  'display_name',
+  'username',
+  'avatar_url',
+  'banner_url',
+  'bio',
+  'website',
+  'location',
+  'is_verified',
+  'is_premium',
+  'created_at'
+];
+
+// Fields of each image on a post
+export const POST_MEDIA_FIELDS = [
+  'id',
+  'url',
+  'thumbnail_url',
+  'width',
+  'height',
+  'blurhash',
+  'alt_text'
+];
+
+export const pick = (row, fields) => {
+  if (!row) return null;
+  return Object.fromEntries(fields.map(field => [field, row[field] ?? null]));
+};
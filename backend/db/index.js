@@ -0,0 +1,32 @@
+import { createSupabaseStore } from './supabase.js';
+import { createMemoryStore } from './memory.js';
+
+// Data access layer
+//
+// Routes talk to a store instead of a database client. A store exposes one
+// repository per table (users, posts, media, hashtags, reposts, bookmarkCollections,
+// bookmarks, likes, follows, blocks, mutes, conversations, messages, notifications,
+// reports, adminActions, moderationActions, sessions, accountTokens,
+// twoFactor) plus ping() for health checks. Backends:
+//
+//   supabase - the hosted Postgres project (default)
+//   memory   - in-process tables, for running the API offline
+//
+// Pick one with DB_DRIVER. A new backend only has to return the same
+// repositories with the same method names and row shapes.
+
+const drivers = {
+  supabase: () => createSupabaseStore({
+    url: process.env.SUPABASE_URL,
+    key: process.env.SUPABASE_ANON_KEY
+  }),
+  memory: () => createMemoryStore()
+};
+
+export function createStore(driver = process.env.DB_DRIVER || 'supabase') {
+  const create = drivers[driver];
+  if (!create) {
+    throw new Error(`Unknown DB_DRIVER "${driver}". Expected one of: ${Object.keys(drivers).join(', ')}`);
+  }
+  return create();
+}
@@ -0,0 +1,1078 @@
+import { randomUUID } from 'crypto';
+import { USER_SUMMARY_FIELDS, PUBLIC_USER_FIELDS, POST_MEDIA_FIELDS, pick } from './fields.js';
+import { compareNewest, isBefore } from '../utils/pagination.js';
+
+// In-process storage backend. Tables are plain arrays that live as long as the
+// process does, which is enough to run the whole API offline. Return shapes
+// match the Supabase backend, and unique constraints fail with the same
+// Postgres error code (23505) so routes handle both the same way.
+
+const byNewest = (a, b) => b.created_at.localeCompare(a.created_at);
+
+const uniqueViolation = (constraint) => {
+  const error = new Error(`duplicate key value violates unique constraint "${constraint}"`);
+  error.code = '23505';
+  return error;
+};
+
+export function createMemoryStore() {
+  const tables = {
+    users: [],
+    posts: [],
+    post_media: [],
+    post_hashtags: [],
+    reposts: [],
+    bookmark_collections: [],
+    bookmarks: [],
+    likes: [],
+    follows: [],
+    blocks: [],
+    mutes: [],
+    conversations: [],
+    conversation_participants: [],
+    messages: [],
+    notifications: [],
+    reports: [],
+    admin_actions: [],
+    moderation_actions: [],
+    strikes: [],
+    sessions: [],
+    account_tokens: [],
+    two_factor_secrets: [],
+    recovery_codes: []
+  };
+
+  // Hand out copies so callers can't mutate stored rows
+  const copy = (row) => (row ? { ...row } : null);
+
+  const insert = (table, fields) => {
+    const row = {
+      id: randomUUID(),
+      created_at: new Date().toISOString(),
+      ...fields
+    };
+    tables[table].push(row);
+    return copy(row);
+  };
+
+  const update = (table, id, changes) => {
+    const row = tables[table].find(r => r.id === id);
+    if (!row) return null;
+    Object.assign(row, changes);
+    return copy(row);
+  };
+
+  const remove = (table, predicate) => {
+    tables[table] = tables[table].filter(row => !predicate(row));
+  };
+
+  const userById = (id) => tables.users.find(u => u.id === id);
+
+  const deletePost = (id) => {
+    remove('posts', p => p.id === id);
+    // Mirror the ON DELETE CASCADE on likes.post_id and reposts.post_id
+    remove('likes', l => l.post_id === id);
+    remove('reposts', r => r.post_id === id);
+    remove('bookmarks', b => b.post_id === id);
+    remove('notifications', n => n.post_id === id);
+    remove('post_hashtags', h => h.post_id === id);
+    remove('post_media', m => m.post_id === id);
+    // ...and ON DELETE SET NULL on posts.reply_to_id and reports.reported_post_id.
+    // The orphaned replies keep root_id, so they stay out of top-level feeds.
+    tables.posts
+      .filter(p => p.reply_to_id === id)
+      .forEach(p => { p.reply_to_id = null; });
+    tables.reports
+      .filter(r => r.reported_post_id === id)
+      .forEach(r => { r.reported_post_id = null; });
+  };
+
+  const deleteMessage = (id) => {
+    const message = tables.messages.find(m => m.id === id);
+    if (!message) return;
+
+    remove('messages', m => m.id === id);
+    tables.reports
+      .filter(r => r.reported_message_id === id)
+      .forEach(r => { r.reported_message_id = null; });
+
+    // The conversation's preview falls back to the message before
+    const conversation = tables.conversations.find(c => c.id === message.conversation_id);
+    if (conversation?.last_message_id === id) {
+      const [previous] = tables.messages
+        .filter(m => m.conversation_id === conversation.id)
+        .sort(byNewest);
+      conversation.last_message_id = previous?.id || null;
+    }
+  };
+
+  const users = {
+    async findById(id) {
+      return copy(userById(id));
+    },
+
+    async findByLogin(identifier) {
+      return copy(tables.users.find(u => u.username === identifier || u.email === identifier));
+    },
+
+    async findConflicts({ username, email }) {
+      return tables.users
+        .filter(u => u.username === username || u.email === email)
+        .map(u => pick(u, ['id', 'username', 'email']));
+    },
+
+    async getProfile(username) {
+      return pick(tables.users.find(u => u.username === username), PUBLIC_USER_FIELDS);
+    },
+
+    // Users whose username or a display name word starts with `prefix`
+    async search(prefix, { limit = 50 } = {}) {
+      const needle = prefix.toLowerCase();
+      return tables.users
+        .filter(u => u.username.toLowerCase().startsWith(needle) ||
+          u.display_name.toLowerCase().split(' ').some(word => word.startsWith(needle)))
+        .slice(0, limit)
+        .map(u => pick(u, PUBLIC_USER_FIELDS));
+    },
+
+    async findByUsernames(usernames) {
+      return tables.users
+        .filter(u => usernames.includes(u.username))
+        .map(u => pick(u, ['id', 'username']));
+    },
+
+    async create(fields) {
+      if (tables.users.some(u => u.username === fields.username)) {
+        throw uniqueViolation('users_username_key');
+      }
+      if (tables.users.some(u => u.email === fields.email)) {
+        throw uniqueViolation('users_email_key');
+      }
+      return insert('users', {
+        avatar_url: null,
+        banner_url: null,
+        bio: null,
+        website: null,
+        location: null,
+        is_banned: false,
+        banned_until: null,
+        ban_reason: null,
+        email_verified_at: null,
+        two_factor_enabled_at: null,
+        ...fields
+      });
+    },
+
+    async update(id, changes) {
+      return update('users', id, changes);
+    },
+
+    // Lift the user's ban if it ran out by `now`. Returns the user, or null
+    // when there was no expired ban to lift.
+    async liftExpiredBan(id, now) {
+      const user = userById(id);
+      if (!user?.is_banned || !user.banned_until || new Date(user.banned_until) > new Date(now)) {
+        return null;
+      }
+      return update('users', id, { is_banned: false, banned_until: null, ban_reason: null });
+    },
+
+    async list({ offset = 0, limit = 50, search = '' } = {}) {
+      const needle = search.toLowerCase();
+      const matches = tables.users
+        .filter(u => !needle || [u.username, u.display_name, u.email]
+          .some(value => value?.toLowerCase().includes(needle)))
+        .sort(byNewest);
+
+      return {
+        users: matches.slice(offset, offset + limit).map(copy),
+        count: matches.length
+      };
+    },
+
+    async count() {
+      return tables.users.length;
+    }
+  };
+
+  const decorate = (post, viewerId = null) => {
+    const parent = post.reply_to_id && tables.posts.find(p => p.id === post.reply_to_id);
+    const quoted = post.quote_of_id && tables.posts.find(p => p.id === post.quote_of_id);
+    return {
+      ...post,
+      user: pick(userById(post.user_id), USER_SUMMARY_FIELDS),
+      likes_count: tables.likes.filter(l => l.post_id === post.id).length,
+      replies_count: tables.posts.filter(p => p.reply_to_id === post.id).length,
+      reposts_count: tables.reposts.filter(r => r.post_id === post.id).length,
+      reply_to: parent
+        ? { id: parent.id, user: pick(userById(parent.user_id), ['display_name', 'username']) }
+        : null,
+      quoted_post: quoted
+        ? { ...pick(quoted, ['id', 'user_id', 'content', 'mentions', 'created_at']), user: pick(userById(quoted.user_id), USER_SUMMARY_FIELDS) }
+        : null,
+      media: tables.post_media
+        .filter(m => m.post_id === post.id)
+        .sort((a, b) => a.position - b.position)
+        .map(m => pick(m, POST_MEDIA_FIELDS)),
+      liked_by_me: Boolean(viewerId) &&
+        tables.likes.some(l => l.post_id === post.id && l.user_id === viewerId),
+      reposted_by_me: Boolean(viewerId) &&
+        tables.reposts.some(r => r.post_id === post.id && r.user_id === viewerId),
+      saved_by_me: Boolean(viewerId) &&
+        tables.bookmarks.some(b => b.post_id === post.id && b.user_id === viewerId)
+    };
+  };
+
+  const posts = {
+    async findById(id, { viewerId = null } = {}) {
+      const post = tables.posts.find(p => p.id === id);
+      return post ? decorate(post, viewerId) : null;
+    },
+
+    async list({ before = null, asOf = null, limit = 20, authorIds = null, excludeAuthorIds = [], replies = null, tag = null, media = false, viewerId = null } = {}) {
+      return tables.posts
+        .filter(post => !authorIds || authorIds.includes(post.user_id))
+        .filter(post => !excludeAuthorIds.includes(post.user_id))
+        .filter(post => !tag || tables.post_hashtags.some(h => h.post_id === post.id && h.tag === tag))
+        .filter(post => !media || tables.post_media.some(m => m.post_id === post.id))
+        .filter(post => replies === null || Boolean(post.root_id) === replies)
+        .filter(post => !asOf || post.created_at <= asOf)
+        .filter(post => !before || isBefore(post, before))
+        .sort(compareNewest)
+        .slice(0, limit)
+        .map(post => decorate(post, viewerId));
+    },
+
+    async search({ patterns, authorId = null, excludeAuthorIds = [], asOf = null, limit = 200, viewerId = null }) {
+      const needles = patterns.map(pattern => pattern.toLowerCase());
+      return tables.posts
+        .filter(post => needles.every(needle => post.content.toLowerCase().includes(needle)))
+        .filter(post => !authorId || post.user_id === authorId)
+        .filter(post => !excludeAuthorIds.includes(post.user_id))
+        .filter(post => !asOf || post.created_at <= asOf)
+        .sort(compareNewest)
+        .slice(0, limit)
+        .map(post => decorate(post, viewerId));
+    },
+
+    async listConversation(rootId, { limit = 500, excludeAuthorIds = [], viewerId = null } = {}) {
+      return tables.posts
+        .filter(post => post.root_id === rootId)
+        .filter(post => !excludeAuthorIds.includes(post.user_id))
+        .sort((a, b) => a.created_at.localeCompare(b.created_at))
+        .slice(0, limit)
+        .map(post => decorate(post, viewerId));
+    },
+
+    async create({ user_id, content, reply_to_id = null, root_id = null, quote_of_id = null, mentions = [] }) {
+      return decorate(insert('posts', { user_id, content, reply_to_id, root_id, quote_of_id, mentions }));
+    },
+
+    async delete(id) {
+      deletePost(id);
+    },
+
+    async count() {
+      return tables.posts.length;
+    },
+
+    async countByUser(userId) {
+      return tables.posts.filter(p => p.user_id === userId).length;
+    }
+  };
+
+  const media = {
+    async create({ user_id, url, thumbnail_url, width, height, blurhash }) {
+      return insert('post_media', { user_id, post_id: null, position: 0, url, thumbnail_url, width, height, blurhash, alt_text: null });
+    },
+
+    async findByIds(ids) {
+      return tables.post_media.filter(m => ids.includes(m.id)).map(copy);
+    },
+
+    // Give unattached uploads to a post. `items` are { id, position, alt_text }.
+    async attach(postId, items) {
+      return items
+        .map(({ id, position, alt_text }) => {
+          const row = tables.post_media.find(m => m.id === id && !m.post_id);
+          return row && update('post_media', id, { post_id: postId, position, alt_text });
+        })
+        .filter(Boolean)
+        .map(row => pick(row, POST_MEDIA_FIELDS));
+    }
+  };
+
+  const hashtags = {
+    async index({ post_id, tags, created_at }) {
+      tags
+        .filter(tag => !tables.post_hashtags.some(h => h.post_id === post_id && h.tag === tag))
+        .forEach(tag => tables.post_hashtags.push({ post_id, tag, created_at }));
+    },
+
+    // Map of tag -> posts using it, narrowed by time, tags or prefix
+    async countByTag({ since = null, until = null, tags = null, prefix = null } = {}) {
+      const counts = new Map();
+      tables.post_hashtags
+        .filter(h => (!since || h.created_at >= since) && (!until || h.created_at < until))
+        .filter(h => (!tags || tags.includes(h.tag)) && (!prefix || h.tag.startsWith(prefix)))
+        .forEach(h => counts.set(h.tag, (counts.get(h.tag) || 0) + 1));
+      return counts;
+    }
+  };
+
+  const reposts = {
+    async create({ user_id, post_id }) {
+      if (tables.reposts.some(r => r.user_id === user_id && r.post_id === post_id)) {
+        throw uniqueViolation('reposts_user_id_post_id_key');
+      }
+      return insert('reposts', { user_id, post_id });
+    },
+
+    async delete({ user_id, post_id }) {
+      remove('reposts', r => r.user_id === user_id && r.post_id === post_id);
+    },
+
+    async countForPost(postId) {
+      return tables.reposts.filter(r => r.post_id === postId).length;
+    },
+
+    async list({ userIds, excludeAuthorIds = [], before = null, limit = 20, viewerId = null }) {
+      const postAuthor = (repost) => tables.posts.find(p => p.id === repost.post_id)?.user_id;
+      return tables.reposts
+        .filter(r => userIds.includes(r.user_id))
+        .filter(r => !excludeAuthorIds.includes(postAuthor(r)))
+        .filter(r => !before || isBefore(r, before))
+        .sort(compareNewest)
+        .slice(0, limit)
+        .map(repost => {
+          const post = tables.posts.find(p => p.id === repost.post_id);
+          return {
+            ...repost,
+            user: pick(userById(repost.user_id), ['display_name', 'username']),
+            post: post ? decorate(post, viewerId) : null
+          };
+        })
+        .filter(repost => repost.post);
+    }
+  };
+
+  const bookmarkCollections = {
+    async list(userId) {
+      return tables.bookmark_collections
+        .filter(c => c.user_id === userId)
+        .sort((a, b) => a.created_at.localeCompare(b.created_at))
+        .map(collection => ({
+          ...collection,
+          bookmarks_count: tables.bookmarks.filter(b => b.collection_id === collection.id).length
+        }));
+    },
+
+    async findById(id) {
+      return copy(tables.bookmark_collections.find(c => c.id === id));
+    },
+
+    async findByName(userId, name) {
+      return copy(tables.bookmark_collections.find(c => c.user_id === userId && c.name === name));
+    },
+
+    async create({ user_id, name }) {
+      if (tables.bookmark_collections.some(c => c.user_id === user_id && c.name === name)) {
+        throw uniqueViolation('bookmark_collections_user_id_name_key');
+      }
+      return insert('bookmark_collections', { user_id, name });
+    },
+
+    async delete(id) {
+      remove('bookmark_collections', c => c.id === id);
+      remove('bookmarks', b => b.collection_id === id);
+    }
+  };
+
+  const bookmarks = {
+    async create({ user_id, post_id, collection_id, position }) {
+      if (tables.bookmarks.some(b => b.collection_id === collection_id && b.post_id === post_id)) {
+        throw uniqueViolation('bookmarks_collection_id_post_id_key');
+      }
+      return insert('bookmarks', { user_id, post_id, collection_id, position });
+    },
+
+    async delete({ user_id, post_id, collection_id = null }) {
+      remove('bookmarks', b => b.user_id === user_id && b.post_id === post_id &&
+        (!collection_id || b.collection_id === collection_id));
+    },
+
+    async isSaved({ user_id, post_id }) {
+      return tables.bookmarks.some(b => b.user_id === user_id && b.post_id === post_id);
+    },
+
+    async list(collectionId, { limit = 500, viewerId = null } = {}) {
+      return tables.bookmarks
+        .filter(b => b.collection_id === collectionId)
+        .sort((a, b) => a.position - b.position)
+        .slice(0, limit)
+        .map(bookmark => {
+          const post = tables.posts.find(p => p.id === bookmark.post_id);
+          return { ...bookmark, post: post ? decorate(post, viewerId) : null };
+        });
+    },
+
+    async listPostIds(collectionId) {
+      return tables.bookmarks
+        .filter(b => b.collection_id === collectionId)
+        .sort((a, b) => a.position - b.position)
+        .map(b => b.post_id);
+    },
+
+    async minPosition(collectionId) {
+      const positions = tables.bookmarks
+        .filter(b => b.collection_id === collectionId)
+        .map(b => b.position);
+      return positions.length > 0 ? Math.min(...positions) : null;
+    },
+
+    async reorder(collectionId, postIds) {
+      postIds.forEach((postId, position) => {
+        const bookmark = tables.bookmarks.find(b => b.collection_id === collectionId && b.post_id === postId);
+        if (bookmark) bookmark.position = position;
+      });
+    }
+  };
+
+  const likes = {
+    async create({ user_id, post_id }) {
+      if (tables.likes.some(l => l.user_id === user_id && l.post_id === post_id)) {
+        throw uniqueViolation('likes_user_id_post_id_key');
+      }
+      return insert('likes', { user_id, post_id });
+    },
+
+    async delete({ user_id, post_id }) {
+      remove('likes', l => l.user_id === user_id && l.post_id === post_id);
+    },
+
+    async countForPost(postId) {
+      return tables.likes.filter(l => l.post_id === postId).length;
+    },
+
+    async listByUser(userId, { before = null, limit = 20, excludeAuthorIds = [], viewerId = null } = {}) {
+      const postAuthor = (like) => tables.posts.find(p => p.id === like.post_id)?.user_id;
+      return tables.likes
+        .filter(l => l.user_id === userId)
+        .filter(l => !excludeAuthorIds.includes(postAuthor(l)))
+        .filter(l => !before || isBefore(l, before))
+        .sort(compareNewest)
+        .slice(0, limit)
+        .map(like => {
+          const post = tables.posts.find(p => p.id === like.post_id);
+          return { ...like, post: post ? decorate(post, viewerId) : null };
+        });
+    },
+
+    // Map of post id -> likes between `since` and `until`
+    async countRecent(postIds, { since, until }) {
+      return new Map(postIds.map(id => [
+        id,
+        tables.likes.filter(l => l.post_id === id && l.created_at >= since && l.created_at <= until).length
+      ]));
+    }
+  };
+
+  const follows = {
+    async create({ follower_id, following_id }) {
+      if (tables.follows.some(f => f.follower_id === follower_id && f.following_id === following_id)) {
+        throw uniqueViolation('follows_follower_id_following_id_key');
+      }
+      return insert('follows', { follower_id, following_id });
+    },
+
+    async delete({ follower_id, following_id }) {
+      remove('follows', f => f.follower_id === follower_id && f.following_id === following_id);
+    },
+
+    async listFollowingIds(userId) {
+      return tables.follows
+        .filter(f => f.follower_id === userId)
+        .map(f => f.following_id);
+    },
+
+    // Accounts followed by the accounts `userId` follows, other than
+    // `userId` and those they already follow
+    async listSecondDegreeIds(userId) {
+      const following = new Set(tables.follows.filter(f => f.follower_id === userId).map(f => f.following_id));
+      return [...new Set(tables.follows
+        .filter(f => following.has(f.follower_id))
+        .map(f => f.following_id)
+        .filter(id => id !== userId && !following.has(id)))];
+    },
+
+    async countFollowers(userId) {
+      return tables.follows.filter(f => f.following_id === userId).length;
+    },
+
+    async countFollowersFor(userIds) {
+      return new Map(userIds.map(id => [
+        id,
+        tables.follows.filter(f => f.following_id === id).length
+      ]));
+    },
+
+    async countFollowing(userId) {
+      return tables.follows.filter(f => f.follower_id === userId).length;
+    }
+  };
+
+  const blocks = {
+    async create({ blocker_id, blocked_id }) {
+      if (tables.blocks.some(b => b.blocker_id === blocker_id && b.blocked_id === blocked_id)) {
+        throw uniqueViolation('blocks_blocker_id_blocked_id_key');
+      }
+      return insert('blocks', { blocker_id, blocked_id });
+    },
+
+    async delete({ blocker_id, blocked_id }) {
+      remove('blocks', b => b.blocker_id === blocker_id && b.blocked_id === blocked_id);
+    },
+
+    // Which of `userIds` have blocked `blockedId`
+    async findBlockers(blockedId, userIds) {
+      return tables.blocks
+        .filter(b => b.blocked_id === blockedId && userIds.includes(b.blocker_id))
+        .map(b => b.blocker_id);
+    },
+
+    // Everyone `userId` has blocked or been blocked by
+    async listRelatedIds(userId) {
+      return tables.blocks
+        .filter(b => b.blocker_id === userId || b.blocked_id === userId)
+        .map(b => (b.blocker_id === userId ? b.blocked_id : b.blocker_id));
+    },
+
+    // Accounts `blockerId` has blocked, newest first, each with the user
+    async list(blockerId, { before = null, limit = 20 } = {}) {
+      return tables.blocks
+        .filter(b => b.blocker_id === blockerId)
+        .filter(b => !before || isBefore(b, before))
+        .sort(compareNewest)
+        .slice(0, limit)
+        .map(block => ({ ...block, user: pick(userById(block.blocked_id), USER_SUMMARY_FIELDS) }));
+    }
+  };
+
+  const mutes = {
+    async create({ muter_id, muted_id }) {
+      if (tables.mutes.some(m => m.muter_id === muter_id && m.muted_id === muted_id)) {
+        throw uniqueViolation('mutes_muter_id_muted_id_key');
+      }
+      return insert('mutes', { muter_id, muted_id });
+    },
+
+    async delete({ muter_id, muted_id }) {
+      remove('mutes', m => m.muter_id === muter_id && m.muted_id === muted_id);
+    },
+
+    async isMuted({ muter_id, muted_id }) {
+      return tables.mutes.some(m => m.muter_id === muter_id && m.muted_id === muted_id);
+    },
+
+    async listMutedIds(muterId) {
+      return tables.mutes
+        .filter(m => m.muter_id === muterId)
+        .map(m => m.muted_id);
+    },
+
+    // Accounts `muterId` has muted, newest first, each with the user
+    async list(muterId, { before = null, limit = 20 } = {}) {
+      return tables.mutes
+        .filter(m => m.muter_id === muterId)
+        .filter(m => !before || isBefore(m, before))
+        .sort(compareNewest)
+        .slice(0, limit)
+        .map(mute => ({ ...mute, user: pick(userById(mute.muted_id), USER_SUMMARY_FIELDS) }));
+    }
+  };
+
+  // Conversation row with both participants' summaries
+  const withParticipants = (conversation) => conversation && {
+    ...conversation,
+    user_a: pick(userById(conversation.user_a_id), USER_SUMMARY_FIELDS),
+    user_b: pick(userById(conversation.user_b_id), USER_SUMMARY_FIELDS)
+  };
+
+  const unreadIn = (conversationId, userId) => {
+    const participant = tables.conversation_participants
+      .find(p => p.conversation_id === conversationId && p.user_id === userId);
+    return tables.messages.filter(m => m.conversation_id === conversationId &&
+      m.sender_id !== userId &&
+      (!participant?.last_read_at || m.created_at > participant.last_read_at)).length;
+  };
+
+  const conversations = {
+    async findById(id) {
+      return withParticipants(copy(tables.conversations.find(c => c.id === id)));
+    },
+
+    async findBetween(userId, otherUserId) {
+      const [user_a_id, user_b_id] = [userId, otherUserId].sort();
+      return withParticipants(copy(tables.conversations
+        .find(c => c.user_a_id === user_a_id && c.user_b_id === user_b_id)));
+    },
+
+    async create({ user_ids }) {
+      const [user_a_id, user_b_id] = [...user_ids].sort();
+      if (tables.conversations.some(c => c.user_a_id === user_a_id && c.user_b_id === user_b_id)) {
+        throw uniqueViolation('conversations_user_a_id_user_b_id_key');
+      }
+
+      const conversation = insert('conversations', {
+        user_a_id,
+        user_b_id,
+        last_message_id: null,
+        last_message_at: new Date().toISOString()
+      });
+      [user_a_id, user_b_id].forEach(user_id => insert('conversation_participants', {
+        conversation_id: conversation.id,
+        user_id,
+        last_read_at: null
+      }));
+
+      return withParticipants(conversation);
+    },
+
+    async listForUser(userId, { before = null, limit = 20 } = {}) {
+      return tables.conversations
+        .filter(c => (c.user_a_id === userId || c.user_b_id === userId) && c.last_message_id)
+        .filter(c => !before || isBefore(c, before, 'last_message_at'))
+        .sort((a, b) => compareNewest(a, b, 'last_message_at'))
+        .slice(0, limit)
+        .map(conversation => {
+          const participant = tables.conversation_participants
+            .find(p => p.conversation_id === conversation.id && p.user_id === userId);
+          const lastMessage = tables.messages.find(m => m.id === conversation.last_message_id);
+          return {
+            ...withParticipants(conversation),
+            last_message: pick(lastMessage, ['id', 'sender_id', 'content', 'created_at']),
+            last_read_at: participant?.last_read_at || null,
+            unread_count: unreadIn(conversation.id, userId)
+          };
+        });
+    },
+
+    async markRead({ conversation_id, user_id, at }) {
+      tables.conversation_participants
+        .filter(p => p.conversation_id === conversation_id && p.user_id === user_id)
+        .forEach(p => { p.last_read_at = at; });
+    },
+
+    // Unread messages across all of a user's conversations
+    async countUnread(userId) {
+      const counts = tables.conversation_participants
+        .filter(p => p.user_id === userId)
+        .map(p => unreadIn(p.conversation_id, userId));
+
+      return {
+        messages: counts.reduce((sum, count) => sum + count, 0),
+        conversations: counts.filter(count => count > 0).length
+      };
+    }
+  };
+
+  const messages = {
+    async create({ conversation_id, sender_id, content }) {
+      const message = insert('messages', { conversation_id, sender_id, content });
+      update('conversations', conversation_id, {
+        last_message_id: message.id,
+        last_message_at: message.created_at
+      });
+      return message;
+    },
+
+    async findById(id) {
+      return copy(tables.messages.find(m => m.id === id));
+    },
+
+    // Newest first, `limit` messages older than the `before` cursor
+    async list(conversationId, { before = null, limit = 20 } = {}) {
+      return tables.messages
+        .filter(m => m.conversation_id === conversationId)
+        .filter(m => !before || isBefore(m, before))
+        .sort(compareNewest)
+        .slice(0, limit)
+        .map(copy);
+    }
+  };
+
+  const notifications = {
+    async create({ user_id, actor_id, type, post_id = null }) {
+      return insert('notifications', { user_id, actor_id, type, post_id, details: null, read_at: null });
+    },
+
+    // `user_id` may be left out when the post already pins the recipient.
+    // Returns the deleted rows' recipients.
+    async delete({ user_id = null, actor_id, type, post_id = null }) {
+      const matches = (n) => (!user_id || n.user_id === user_id) &&
+        n.actor_id === actor_id && n.type === type && n.post_id === post_id;
+      const deleted = tables.notifications.filter(matches).map(n => pick(n, ['user_id']));
+      remove('notifications', matches);
+      return deleted;
+    },
+
+    // Newest first, each with its actor and post
+    async list(userId, { before = null, limit = 20 } = {}) {
+      return tables.notifications
+        .filter(n => n.user_id === userId)
+        .filter(n => !before || isBefore(n, before))
+        .sort(compareNewest)
+        .slice(0, limit)
+        .map(notification => ({
+          ...notification,
+          actor: pick(userById(notification.actor_id), USER_SUMMARY_FIELDS),
+          post: pick(tables.posts.find(p => p.id === notification.post_id), ['id', 'content'])
+        }));
+    },
+
+    async countUnread(userId) {
+      return tables.notifications.filter(n => n.user_id === userId && !n.read_at).length;
+    },
+
+    // Mark the given notifications (or all of them) read
+    async markRead(userId, { ids = null, at }) {
+      tables.notifications
+        .filter(n => n.user_id === userId && !n.read_at && (!ids || ids.includes(n.id)))
+        .forEach(n => { n.read_at = at; });
+    }
+  };
+
+  const openReport = ({ reporter_id, target_type, target_id }) => tables.reports.find(r =>
+    r.status === 'pending' && r.reporter_id === reporter_id &&
+    r.target_type === target_type && r.target_id === target_id);
+
+  const reports = {
+    async findById(id) {
+      return copy(tables.reports.find(r => r.id === id));
+    },
+
+    async create({ reporter_id, target_type, target_id, reported_user_id, reported_post_id = null, reported_message_id = null, category, reason = null }) {
+      if (openReport({ reporter_id, target_type, target_id })) {
+        throw uniqueViolation('reports_open_target_idx');
+      }
+      return insert('reports', {
+        reporter_id,
+        target_type,
+        target_id,
+        reported_user_id,
+        reported_post_id,
+        reported_message_id,
+        category,
+        reason,
+        status: 'pending',
+        resolved_by: null,
+        resolved_at: null,
+        resolution_notes: null
+      });
+    },
+
+    // The reporter's pending report on a target, if any
+    async findOpen({ reporter_id, target_type, target_id }) {
+      return copy(openReport({ reporter_id, target_type, target_id }));
+    },
+
+    async list({ status = 'pending' } = {}) {
+      return tables.reports
+        .filter(r => r.status === status)
+        .sort(byNewest)
+        .map(report => {
+          const post = tables.posts.find(p => p.id === report.reported_post_id);
+          const message = tables.messages.find(m => m.id === report.reported_message_id);
+          return {
+            ...report,
+            reporter: pick(userById(report.reporter_id), ['display_name', 'username']),
+            reported_user: pick(userById(report.reported_user_id), ['display_name', 'username']),
+            reported_post: pick(post, ['content', 'user_id']),
+            reported_message: pick(message, ['content', 'sender_id'])
+          };
+        });
+    },
+
+    async update(id, changes) {
+      return update('reports', id, changes);
+    },
+
+    // Apply a resolution planned by services/moderation.js. Nothing here
+    // awaits, so the whole thing lands at once like the Supabase backend's
+    // resolve_report transaction, strike counting included. Returns the
+    // resolved reports, the account banned if any, and the files of a
+    // deleted post's images.
+    async resolve(id, resolution) {
+      const report = tables.reports.find(r => r.id === id && r.status === 'pending');
+      if (!report) {
+        throw Object.assign(new Error(`Report ${id} is not pending`), { code: 'P0002' });
+      }
+
+      const notify = (user_id, details) => insert('notifications', {
+        user_id,
+        actor_id: null,
+        type: 'moderation',
+        post_id: null,
+        details,
+        read_at: null
+      });
+
+      let bannedUserId = resolution.ban?.user_id || null;
+
+      if (resolution.strike) {
+        const { user_id, moderator_id, report_id, reason, window_days, strikes_before_ban, ban_hours } = resolution.strike;
+        const user = tables.users.find(u => u.id === user_id);
+        const since = new Date(Date.now() - window_days * 86400000).toISOString();
+        const strikeCount = tables.strikes.filter(s => s.user_id === user_id && s.created_at >= since).length + 1;
+
+        insert('strikes', { user_id, moderator_id, report_id, reason });
+        notify(user_id, { reason, action: 'warn', strikes: strikeCount, strikes_before_ban });
+
+        if (strikeCount >= strikes_before_ban) {
+          const hours = ban_hours[Math.min(strikeCount - strikes_before_ban, ban_hours.length - 1)];
+          const bannedUntil = new Date(Date.now() + hours * 3600000).toISOString();
+          const strikeReason = `${strikeCount} strikes in ${window_days} days`;
+
+          // Don't cut short a longer ban that's already running
+          const longerBan = user.is_banned && (!user.banned_until || user.banned_until > bannedUntil);
+          if (!longerBan) {
+            update('users', user_id, { is_banned: true, banned_until: bannedUntil, ban_reason: strikeReason });
+            insert('moderation_actions', {
+              moderator_id,
+              report_id,
+              target_user_id: user_id,
+              target_post_id: null,
+              target_message_id: null,
+              action_type: 'ban',
+              reason: strikeReason,
+              banned_until: bannedUntil
+            });
+            notify(user_id, { reason: strikeReason, action: 'ban', banned_until: bannedUntil });
+            bannedUserId = user_id;
+          }
+        }
+      }
+      if (resolution.ban) {
+        const { user_id, banned_until, reason } = resolution.ban;
+        update('users', user_id, { is_banned: true, banned_until, ban_reason: reason });
+      }
+      const mediaUrls = [];
+      if (resolution.delete_post_id) {
+        tables.post_media
+          .filter(m => m.post_id === resolution.delete_post_id)
+          .forEach(m => mediaUrls.push(m.url, m.thumbnail_url));
+        deletePost(resolution.delete_post_id);
+      }
+      if (resolution.delete_message_id) {
+        deleteMessage(resolution.delete_message_id);
+      }
+      (resolution.moderation_actions || []).forEach(action => insert('moderation_actions', action));
+      (resolution.notifications || []).forEach(({ user_id, details }) => notify(user_id, details));
+
+      const resolvedAt = new Date().toISOString();
+      const reports = tables.reports
+        .filter(r => r.id === id || (r.status === 'pending' && r.target_type &&
+          r.target_type === report.target_type && r.target_id === report.target_id))
+        .map(r => update('reports', r.id, {
+          status: 'resolved',
+          resolved_by: resolution.resolved_by,
+          resolved_at: resolvedAt,
+          resolution_action: resolution.action,
+          resolution_notes: resolution.notes
+        }));
+
+      return { reports, banned_user_id: bannedUserId, media_urls: mediaUrls };
+    }
+  };
+
+  const activeSessions = (userId, now) => tables.sessions
+    .filter(s => s.user_id === userId && !s.revoked_at && s.expires_at > now);
+
+  const sessions = {
+    async create({ user_id, refresh_token_hash, user_agent = null, ip = null, expires_at }) {
+      return insert('sessions', {
+        user_id,
+        refresh_token_hash,
+        previous_token_hash: null,
+        rotated_at: null,
+        user_agent,
+        ip,
+        last_seen_at: new Date().toISOString(),
+        expires_at,
+        revoked_at: null
+      });
+    },
+
+    async findById(id) {
+      return copy(tables.sessions.find(s => s.id === id));
+    },
+
+    // The session whose current or previous refresh token hashes to `hash`
+    async findByRefreshHash(hash) {
+      return copy(tables.sessions.find(s => s.refresh_token_hash === hash || s.previous_token_hash === hash));
+    },
+
+    // Swap the session's refresh token, provided it's still `fromHash` and
+    // the session hasn't been revoked. Returns null if it lost that race.
+    async rotate(id, fromHash, { refresh_token_hash, expires_at, user_agent = null, ip = null }) {
+      const session = tables.sessions.find(s => s.id === id);
+      if (!session || session.revoked_at || session.refresh_token_hash !== fromHash) return null;
+
+      const now = new Date().toISOString();
+      return update('sessions', id, {
+        refresh_token_hash,
+        previous_token_hash: fromHash,
+        rotated_at: now,
+        last_seen_at: now,
+        expires_at,
+        user_agent,
+        ip
+      });
+    },
+
+    // Sessions still signed in at `now`, most recently used first
+    async listActive(userId, now) {
+      return activeSessions(userId, now)
+        .sort((a, b) => b.last_seen_at.localeCompare(a.last_seen_at))
+        .map(copy);
+    },
+
+    // Revoke one session (only if it's `user_id`'s, when given). Returns it,
+    // or null when there was no such active session.
+    async revoke(id, { user_id = null } = {}) {
+      const session = tables.sessions.find(s => s.id === id && !s.revoked_at && (!user_id || s.user_id === user_id));
+      if (!session) return null;
+      return update('sessions', id, { revoked_at: new Date().toISOString() });
+    },
+
+    // Revoke all of a user's sessions. Returns how many were active.
+    async revokeAll(userId) {
+      const now = new Date().toISOString();
+      const active = activeSessions(userId, now);
+      active.forEach(s => { s.revoked_at = now; });
+      return active.length;
+    }
+  };
+
+  const accountTokens = {
+    async create({ user_id, purpose, token_hash, email = null, expires_at }) {
+      return insert('account_tokens', { user_id, purpose, token_hash, email, expires_at, used_at: null });
+    },
+
+    // Use up the unused, unexpired `purpose` token hashing to `hash`.
+    // Returns it, or null when there's no such token.
+    async consume(hash, purpose) {
+      const now = new Date().toISOString();
+      const token = tables.account_tokens.find(t => t.token_hash === hash && t.purpose === purpose &&
+        !t.used_at && t.expires_at > now);
+      if (!token) return null;
+      return update('account_tokens', token.id, { used_at: now });
+    },
+
+    // Use up all of a user's outstanding `purpose` tokens
+    async invalidate(userId, purpose) {
+      const now = new Date().toISOString();
+      tables.account_tokens
+        .filter(t => t.user_id === userId && t.purpose === purpose && !t.used_at)
+        .forEach(t => { t.used_at = now; });
+    }
+  };
+
+  const secretFor = (userId) => tables.two_factor_secrets.find(s => s.user_id === userId);
+
+  const replaceRecoveryCodes = (userId, hashes) => {
+    remove('recovery_codes', c => c.user_id === userId);
+    hashes.forEach(code_hash => insert('recovery_codes', { user_id: userId, code_hash, used_at: null }));
+  };
+
+  const twoFactor = {
+    async findSecret(userId) {
+      return copy(secretFor(userId));
+    },
+
+    // Store a new secret for `userId`, replacing any they had
+    async saveSecret(userId, secret) {
+      remove('two_factor_secrets', s => s.user_id === userId);
+      tables.two_factor_secrets.push({ user_id: userId, secret, last_used_step: null, created_at: new Date().toISOString() });
+    },
+
+    // Record that the code for time step `step` was used. Returns false when
+    // it, or a later one, already was.
+    async useStep(userId, step) {
+      const secret = secretFor(userId);
+      if (!secret || (secret.last_used_step !== null && secret.last_used_step >= step)) return false;
+      secret.last_used_step = step;
+      return true;
+    },
+
+    // Turn two-factor on with a fresh set of recovery code hashes
+    async enable(userId, recoveryCodeHashes) {
+      replaceRecoveryCodes(userId, recoveryCodeHashes);
+      return update('users', userId, { two_factor_enabled_at: new Date().toISOString() });
+    },
+
+    // Turn two-factor off, forgetting the secret and recovery codes
+    async disable(userId) {
+      remove('two_factor_secrets', s => s.user_id === userId);
+      remove('recovery_codes', c => c.user_id === userId);
+      return update('users', userId, { two_factor_enabled_at: null });
+    },
+
+    async replaceRecoveryCodes(userId, hashes) {
+      replaceRecoveryCodes(userId, hashes);
+    },
+
+    // Use up the unused recovery code hashing to `hash`. Returns whether
+    // there was one.
+    async useRecoveryCode(userId, hash) {
+      const code = tables.recovery_codes.find(c => c.user_id === userId && c.code_hash === hash && !c.used_at);
+      if (!code) return false;
+      code.used_at = new Date().toISOString();
+      return true;
+    },
+
+    async countRecoveryCodes(userId) {
+      return tables.recovery_codes.filter(c => c.user_id === userId && !c.used_at).length;
+    }
+  };
+
+  const adminActions = {
+    async create(action) {
+      return insert('admin_actions', action);
+    }
+  };
+
+  const moderationActions = {
+    async create(action) {
+      return insert('moderation_actions', action);
+    }
+  };
+
+  return {
+    driver: 'memory',
+    users,
+    posts,
+    media,
+    hashtags,
+    reposts,
+    bookmarkCollections,
+    bookmarks,
+    likes,
+    follows,
+    blocks,
+    mutes,
+    conversations,
+    messages,
+    notifications,
+    reports,
+    adminActions,
+    moderationActions,
+    sessions,
+    accountTokens,
+    twoFactor,
+
+    async ping() {
+      return true;
+    }
+  };
+}
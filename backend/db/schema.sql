@@ -0,0 +1,621 @@
+-- Postgres schema expected by the Supabase backend (db/supabase.js).
+-- The memory backend (db/memory.js) mirrors these tables and constraints.
+
+create extension if not exists "pgcrypto";
+
+create table if not exists users (
+  id uuid primary key default gen_random_uuid(),
+  display_name text not null,
+  username text not null unique,
+  email text not null unique,
+  password_hash text not null,
+  avatar_url text,
+  banner_url text,
+  bio text,
+  website text,
+  location text,
+  is_admin boolean not null default false,
+  is_moderator boolean not null default false,
+  is_verified boolean not null default false,
+  is_premium boolean not null default false,
+  is_banned boolean not null default false,
+  banned_until timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists posts (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references users(id) on delete cascade,
+  content text not null,
+  -- Replies: the post being answered and the top of its conversation.
+  -- root_id has no foreign key so a thread survives its first post being deleted.
+  reply_to_id uuid references posts(id) on delete set null,
+  root_id uuid,
+  -- Quote posts. No foreign key: a quote outlives the post it quotes and
+  -- renders a tombstone in its place.
+  quote_of_id uuid,
+  -- Accounts @mentioned in content, resolved when the post is saved:
+  -- [{ "id": <user id>, "username": <username> }] in order of appearance
+  mentions jsonb not null default '[]'::jsonb,
+  created_at timestamptz not null default now()
+);
+
+alter table posts add column if not exists mentions jsonb not null default '[]'::jsonb;
+
+-- Why the account is banned, shown to its owner while the ban lasts
+alter table users add column if not exists ban_reason text;
+
+-- One row per signed-in device. Only hashes of refresh tokens are kept; the
+-- token it was rotated from is remembered to spot a stolen one being reused.
+create table if not exists sessions (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references users(id) on delete cascade,
+  refresh_token_hash text not null unique,
+  previous_token_hash text,
+  rotated_at timestamptz,
+  user_agent text,
+  ip text,
+  last_seen_at timestamptz not null default now(),
+  expires_at timestamptz not null,
+  revoked_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists sessions_user_id_idx on sessions (user_id) where revoked_at is null;
+create index if not exists sessions_previous_token_hash_idx on sessions (previous_token_hash);
+
+-- When the account's email address was confirmed. Accounts that existed
+-- before verification was introduced count as confirmed.
+do $$
+begin
+  if not exists (
+    select 1 from information_schema.columns
+     where table_name = 'users' and column_name = 'email_verified_at'
+  ) then
+    alter table users add column email_verified_at timestamptz;
+    update users set email_verified_at = created_at;
+  end if;
+end
+$$;
+
+-- Single-use links mailed to users, to confirm an email address or reset a
+-- password. Only hashes are kept; email is the address being confirmed.
+create table if not exists account_tokens (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references users(id) on delete cascade,
+  purpose text not null check (purpose in ('verify_email', 'reset_password')),
+  token_hash text not null unique,
+  email text,
+  expires_at timestamptz not null,
+  used_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists account_tokens_user_id_idx on account_tokens (user_id, purpose) where used_at is null;
+
+-- When the account turned on two-factor authentication
+alter table users add column if not exists two_factor_enabled_at timestamptz;
+
+-- TOTP secrets, kept out of users so they never leave with an account row. A
+-- secret for an account without two_factor_enabled_at is an enrollment that
+-- hasn't been confirmed. last_used_step stops a code being used twice.
+create table if not exists two_factor_secrets (
+  user_id uuid primary key references users(id) on delete cascade,
+  secret text not null,
+  last_used_step bigint,
+  created_at timestamptz not null default now()
+);
+
+-- Hashes of single-use codes for signing in without the authenticator app
+create table if not exists recovery_codes (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references users(id) on delete cascade,
+  code_hash text not null,
+  used_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists recovery_codes_user_id_idx on recovery_codes (user_id) where used_at is null;
+
+-- Resolve mentions in posts written before the column existed
+update posts set mentions = resolved.mentions
+from (
+  select posts.id, jsonb_agg(distinct jsonb_build_object('id', users.id, 'username', users.username)) as mentions
+  from posts
+  cross join lateral regexp_matches(posts.content, '(?:^|[^\w@/])@(\w{3,30})', 'g') as match
+  join users on users.username = lower(match[1])
+  group by posts.id
+) as resolved
+where posts.id = resolved.id and posts.mentions = '[]'::jsonb;
+
+create index if not exists posts_created_at_idx on posts (created_at desc);
+create index if not exists posts_user_id_idx on posts (user_id);
+create index if not exists posts_reply_to_id_idx on posts (reply_to_id);
+create index if not exists posts_root_id_idx on posts (root_id, created_at);
+
+-- Direct replies to each of `post_ids`, for posts.list and friends. Counted
+-- here because PostgREST can't embed a count over posts' own reply_to_id.
+create or replace function reply_counts(post_ids uuid[])
+returns table (post_id uuid, replies_count bigint)
+language sql
+stable
+as $$
+  select reply_to_id, count(*)
+  from posts
+  where reply_to_id = any(post_ids)
+  group by reply_to_id;
+$$;
+
+-- Images attached to posts. They're uploaded before the post exists, so
+-- post_id stays null until a post by the same user claims them; position is
+-- the display order within the post.
+create table if not exists post_media (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references users(id) on delete cascade,
+  post_id uuid references posts(id) on delete cascade,
+  position smallint not null default 0,
+  url text not null,
+  thumbnail_url text not null,
+  width integer not null,
+  height integer not null,
+  -- Compact blurred preview shown while the thumbnail loads (blurha.sh)
+  blurhash text not null,
+  alt_text text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists post_media_post_id_idx on post_media (post_id, position);
+
+-- Hashtags used by each post, lowercased. created_at copies the post's so
+-- trend windows are counted without a join.
+create table if not exists post_hashtags (
+  post_id uuid not null references posts(id) on delete cascade,
+  tag text not null,
+  created_at timestamptz not null default now(),
+  primary key (post_id, tag)
+);
+
+create index if not exists post_hashtags_tag_created_at_idx on post_hashtags (tag, created_at desc);
+create index if not exists post_hashtags_created_at_idx on post_hashtags (created_at);
+
+-- One-off data migrations that scan whole tables, by name, so applying this
+-- file again doesn't repeat them
+create table if not exists schema_migrations (
+  name text primary key,
+  applied_at timestamptz not null default now()
+);
+
+-- Index posts written before post_hashtags existed, with the same pattern as
+-- extractHashtags in services/hashtags.js, and drop tags indexed before a tag
+-- had to start a word
+do $$
+begin
+  if not exists (select 1 from schema_migrations where name = 'post_hashtags_backfill') then
+    insert into post_hashtags (post_id, tag, created_at)
+    select posts.id, lower(match[1]), posts.created_at
+    from posts, regexp_matches(posts.content, '(?:^|[^\w&/])#(\w{1,50})', 'g') as match
+    on conflict do nothing;
+
+    delete from post_hashtags
+    where not exists (
+      select 1
+      from posts, regexp_matches(posts.content, '(?:^|[^\w&/])#(\w{1,50})', 'g') as match
+      where posts.id = post_hashtags.post_id and lower(match[1]) = post_hashtags.tag
+    );
+
+    insert into schema_migrations (name) values ('post_hashtags_backfill');
+  end if;
+end
+$$;
+
+-- Posts using each tag, for hashtag search and trends. Every filter is
+-- optional: created_at in [since, until), tag in only_tags, tag starting
+-- with tag_prefix.
+create or replace function hashtag_counts(
+  since timestamptz default null,
+  until timestamptz default null,
+  only_tags text[] default null,
+  tag_prefix text default null
+)
+returns table (tag text, posts_count bigint)
+language sql
+stable
+as $$
+  select tag, count(*)
+  from post_hashtags
+  where (since is null or created_at >= since)
+    and (until is null or created_at < until)
+    and (only_tags is null or tag = any(only_tags))
+    and (tag_prefix is null or starts_with(tag, tag_prefix))
+  group by tag;
+$$;
+
+create table if not exists reposts (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references users(id) on delete cascade,
+  post_id uuid not null references posts(id) on delete cascade,
+  created_at timestamptz not null default now(),
+  unique (user_id, post_id)
+);
+
+create index if not exists reposts_user_id_created_at_idx on reposts (user_id, created_at desc);
+
+-- Bookmarks live in private, named collections. Every user gets a "Saved"
+-- collection the first time they bookmark something.
+create table if not exists bookmark_collections (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references users(id) on delete cascade,
+  name text not null,
+  created_at timestamptz not null default now(),
+  unique (user_id, name)
+);
+
+create table if not exists bookmarks (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references users(id) on delete cascade,
+  post_id uuid not null references posts(id) on delete cascade,
+  collection_id uuid not null references bookmark_collections(id) on delete cascade,
+  position integer not null default 0,
+  created_at timestamptz not null default now(),
+  unique (collection_id, post_id)
+);
+
+create index if not exists bookmarks_user_id_post_id_idx on bookmarks (user_id, post_id);
+create index if not exists bookmarks_collection_id_position_idx on bookmarks (collection_id, position);
+
+create table if not exists likes (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references users(id) on delete cascade,
+  post_id uuid not null references posts(id) on delete cascade,
+  created_at timestamptz not null default now(),
+  unique (user_id, post_id)
+);
+
+create table if not exists follows (
+  id uuid primary key default gen_random_uuid(),
+  follower_id uuid not null references users(id) on delete cascade,
+  following_id uuid not null references users(id) on delete cascade,
+  created_at timestamptz not null default now(),
+  unique (follower_id, following_id)
+);
+
+-- Signals for the For You ranker (services/ranking.js), aggregated here so
+-- they aren't cut short by PostgREST's row limit
+
+-- Likes each of `post_ids` got between `since` and `until`
+create or replace function recent_like_counts(post_ids uuid[], since timestamptz, until timestamptz)
+returns table (post_id uuid, likes_count bigint)
+language sql
+stable
+as $$
+  select post_id, count(*)
+  from likes
+  where post_id = any(post_ids) and created_at >= since and created_at <= until
+  group by post_id;
+$$;
+
+-- Followers of each of `user_ids`
+create or replace function follower_counts(user_ids uuid[])
+returns table (user_id uuid, followers_count bigint)
+language sql
+stable
+as $$
+  select following_id, count(*)
+  from follows
+  where following_id = any(user_ids)
+  group by following_id;
+$$;
+
+-- Accounts followed by the accounts `viewer_id` follows, leaving out the
+-- viewer and accounts they already follow
+create or replace function second_degree_ids(viewer_id uuid)
+returns uuid[]
+language sql
+stable
+as $$
+  select coalesce(array_agg(distinct theirs.following_id), '{}')
+  from follows mine
+  join follows theirs on theirs.follower_id = mine.following_id
+  where mine.follower_id = viewer_id
+    and theirs.following_id <> viewer_id
+    and not exists (
+      select 1 from follows
+       where follower_id = viewer_id and following_id = theirs.following_id
+    );
+$$;
+
+-- blocker_id has blocked blocked_id
+create table if not exists blocks (
+  id uuid primary key default gen_random_uuid(),
+  blocker_id uuid not null references users(id) on delete cascade,
+  blocked_id uuid not null references users(id) on delete cascade,
+  created_at timestamptz not null default now(),
+  unique (blocker_id, blocked_id)
+);
+
+create index if not exists blocks_blocked_id_idx on blocks (blocked_id);
+
+-- muter_id has muted muted_id: their posts stay out of the muter's timelines
+create table if not exists mutes (
+  id uuid primary key default gen_random_uuid(),
+  muter_id uuid not null references users(id) on delete cascade,
+  muted_id uuid not null references users(id) on delete cascade,
+  created_at timestamptz not null default now(),
+  unique (muter_id, muted_id)
+);
+
+-- Direct messages. A conversation is between exactly two users, stored with
+-- the smaller user id first so each pair has one conversation.
+create table if not exists conversations (
+  id uuid primary key default gen_random_uuid(),
+  user_a_id uuid not null references users(id) on delete cascade,
+  user_b_id uuid not null references users(id) on delete cascade,
+  last_message_id uuid,
+  last_message_at timestamptz not null default now(),
+  created_at timestamptz not null default now(),
+  unique (user_a_id, user_b_id),
+  check (user_a_id < user_b_id)
+);
+
+create index if not exists conversations_user_a_id_idx on conversations (user_a_id, last_message_at desc);
+create index if not exists conversations_user_b_id_idx on conversations (user_b_id, last_message_at desc);
+
+-- Per-participant read state: messages newer than last_read_at are unread
+create table if not exists conversation_participants (
+  id uuid primary key default gen_random_uuid(),
+  conversation_id uuid not null references conversations(id) on delete cascade,
+  user_id uuid not null references users(id) on delete cascade,
+  last_read_at timestamptz,
+  created_at timestamptz not null default now(),
+  unique (conversation_id, user_id)
+);
+
+create table if not exists messages (
+  id uuid primary key default gen_random_uuid(),
+  conversation_id uuid not null references conversations(id) on delete cascade,
+  sender_id uuid not null references users(id) on delete cascade,
+  content text not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists messages_conversation_id_created_at_idx on messages (conversation_id, created_at desc);
+
+alter table conversations
+  drop constraint if exists conversations_last_message_id_fkey,
+  add constraint conversations_last_message_id_fkey
+    foreign key (last_message_id) references messages(id) on delete set null;
+
+-- One row per event; the API folds likes, reposts and follows about the
+-- same thing into a single entry when reading them back.
+create table if not exists notifications (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references users(id) on delete cascade,
+  actor_id uuid not null references users(id) on delete cascade,
+  type text not null check (type in ('like', 'reply', 'follow', 'mention', 'repost', 'quote')),
+  post_id uuid references posts(id) on delete cascade,
+  read_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists notifications_user_id_created_at_idx on notifications (user_id, created_at desc);
+create index if not exists notifications_unread_idx on notifications (user_id) where read_at is null;
+
+-- Moderation notices (type 'moderation') tell someone what a moderator did
+-- to their account or content. They have no actor; details holds the action,
+-- the reason and, for bans, banned_until.
+alter table notifications
+  alter column actor_id drop not null,
+  add column if not exists details jsonb,
+  drop constraint if exists notifications_type_check,
+  add constraint notifications_type_check
+    check (type in ('like', 'reply', 'follow', 'mention', 'repost', 'quote', 'moderation'));
+
+create table if not exists reports (
+  id uuid primary key default gen_random_uuid(),
+  reporter_id uuid references users(id) on delete set null,
+  reported_user_id uuid references users(id) on delete cascade,
+  reported_post_id uuid references posts(id) on delete set null,
+  reason text,
+  status text not null default 'pending',
+  resolved_by uuid references users(id),
+  resolved_at timestamptz,
+  resolution_notes text,
+  created_at timestamptz not null default now()
+);
+
+-- A report is about a post, a profile ('user') or a direct message, named by
+-- target_type and target_id; reported_user_id is the account responsible.
+-- reason holds the reporter's optional details.
+alter table reports
+  add column if not exists target_type text check (target_type in ('post', 'user', 'message')),
+  add column if not exists target_id uuid,
+  add column if not exists reported_message_id uuid references messages(id) on delete set null,
+  add column if not exists category text;
+
+-- One open report per reporter and target
+create unique index if not exists reports_open_target_idx
+  on reports (reporter_id, target_type, target_id) where status = 'pending';
+
+create table if not exists admin_actions (
+  id uuid primary key default gen_random_uuid(),
+  admin_id uuid references users(id),
+  target_user_id uuid references users(id) on delete cascade,
+  action_type text not null,
+  reason text,
+  duration_hours integer,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists moderation_actions (
+  id uuid primary key default gen_random_uuid(),
+  moderator_id uuid references users(id),
+  target_post_id uuid,
+  target_user_id uuid references users(id) on delete cascade,
+  action_type text not null,
+  reason text,
+  created_at timestamptz not null default now()
+);
+
+alter table moderation_actions
+  add column if not exists report_id uuid references reports(id) on delete set null,
+  add column if not exists target_message_id uuid,
+  add column if not exists banned_until timestamptz;
+
+-- How a report was resolved: 'dismiss', 'warn', 'ban' or 'delete'
+alter table reports add column if not exists resolution_action text;
+
+-- Warnings are strikes against an account. Enough recent strikes ban it
+-- (see services/moderation.js).
+create table if not exists strikes (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references users(id) on delete cascade,
+  moderator_id uuid references users(id) on delete set null,
+  report_id uuid references reports(id) on delete set null,
+  reason text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists strikes_user_id_created_at_idx on strikes (user_id, created_at desc);
+
+-- Applies a report resolution planned by services/moderation.js in a single
+-- transaction: records the strike (banning the account if it has reached the
+-- strike limit), bans the account, deletes the post or
+-- message, logs moderation_actions, notifies the affected users and resolves
+-- every open report on the same target. Returns { reports, media_urls }: the
+-- resolved reports, the account banned if any, and the files of a deleted
+-- post's images, which the caller removes from storage once this has
+-- committed.
+--
+-- A strike carries the escalation policy: window_days, strikes_before_ban
+-- and ban_hours (hours banned at the limit, then at each strike after it;
+-- the last entry repeats). The account's row is locked while its strikes are
+-- counted, so warnings resolved at the same time each see the other's.
+drop function if exists resolve_report(uuid, jsonb);
+create or replace function resolve_report(target_report_id uuid, resolution jsonb)
+returns jsonb
+language plpgsql
+as $$
+declare
+  report reports;
+  removed messages;
+  media_urls jsonb := '[]'::jsonb;
+  resolved jsonb;
+  strike jsonb := resolution->'strike';
+  struck users;
+  strike_count integer;
+  strikes_before_ban integer;
+  ban_hours integer[];
+  strike_banned_until timestamptz;
+  strike_reason text;
+  banned_user_id uuid := (resolution->'ban'->>'user_id')::uuid;
+begin
+  select * into report from reports where id = target_report_id and status = 'pending' for update;
+  if not found then
+    raise exception 'Report % is not pending', target_report_id using errcode = 'no_data_found';
+  end if;
+
+  if jsonb_typeof(strike) = 'object' then
+    select * into struck from users where id = (strike->>'user_id')::uuid for update;
+
+    select count(*) + 1 into strike_count
+    from strikes
+    where user_id = struck.id
+      and created_at >= now() - make_interval(days => (strike->>'window_days')::integer);
+
+    insert into strikes (user_id, moderator_id, report_id, reason)
+    values (struck.id, (strike->>'moderator_id')::uuid, (strike->>'report_id')::uuid, strike->>'reason');
+
+    strikes_before_ban := (strike->>'strikes_before_ban')::integer;
+
+    insert into notifications (user_id, type, details)
+    values (struck.id, 'moderation', jsonb_build_object(
+      'reason', strike->>'reason',
+      'action', 'warn',
+      'strikes', strike_count,
+      'strikes_before_ban', strikes_before_ban
+    ));
+
+    if strike_count >= strikes_before_ban then
+      select array_agg(value::integer) into ban_hours from jsonb_array_elements_text(strike->'ban_hours');
+      strike_banned_until := now() + make_interval(
+        hours => ban_hours[least(strike_count - strikes_before_ban + 1, array_length(ban_hours, 1))]
+      );
+      strike_reason := format('%s strikes in %s days', strike_count, strike->>'window_days');
+
+      -- Don't cut short a longer ban that's already running
+      if not (struck.is_banned and (struck.banned_until is null or struck.banned_until > strike_banned_until)) then
+        update users
+           set is_banned = true,
+               banned_until = strike_banned_until,
+               ban_reason = strike_reason
+         where id = struck.id;
+
+        insert into moderation_actions (moderator_id, report_id, target_user_id, action_type, reason, banned_until)
+        values ((strike->>'moderator_id')::uuid, (strike->>'report_id')::uuid, struck.id, 'ban', strike_reason, strike_banned_until);
+
+        insert into notifications (user_id, type, details)
+        values (struck.id, 'moderation', jsonb_build_object(
+          'reason', strike_reason,
+          'action', 'ban',
+          'banned_until', strike_banned_until
+        ));
+
+        banned_user_id := struck.id;
+      end if;
+    end if;
+  end if;
+
+  if jsonb_typeof(resolution->'ban') = 'object' then
+    update users
+       set is_banned = true,
+           banned_until = (resolution->'ban'->>'banned_until')::timestamptz,
+           ban_reason = resolution->'ban'->>'reason'
+     where id = (resolution->'ban'->>'user_id')::uuid;
+  end if;
+
+  if resolution->>'delete_post_id' is not null then
+    select coalesce(jsonb_agg(url) || jsonb_agg(thumbnail_url), '[]'::jsonb) into media_urls
+    from post_media
+    where post_id = (resolution->>'delete_post_id')::uuid;
+
+    delete from posts where id = (resolution->>'delete_post_id')::uuid;
+  end if;
+
+  if resolution->>'delete_message_id' is not null then
+    delete from messages where id = (resolution->>'delete_message_id')::uuid returning * into removed;
+
+    -- The conversation's preview falls back to the message before
+    update conversations
+       set last_message_id = (
+         select id from messages
+          where conversation_id = removed.conversation_id
+          order by created_at desc
+          limit 1
+       )
+     where id = removed.conversation_id and last_message_id is null;
+  end if;
+
+  insert into moderation_actions (moderator_id, report_id, target_user_id, target_post_id, target_message_id, action_type, reason, banned_until)
+  select moderator_id, report_id, target_user_id, target_post_id, target_message_id, action_type, reason, banned_until
+  from jsonb_populate_recordset(null::moderation_actions, coalesce(resolution->'moderation_actions', '[]'::jsonb));
+
+  insert into notifications (user_id, type, details)
+  select user_id, type, details
+  from jsonb_populate_recordset(null::notifications, coalesce(resolution->'notifications', '[]'::jsonb));
+
+  with updated as (
+    update reports
+       set status = 'resolved',
+           resolved_by = (resolution->>'resolved_by')::uuid,
+           resolved_at = now(),
+           resolution_action = resolution->>'action',
+           resolution_notes = resolution->>'notes'
+     where id = target_report_id
+        or (status = 'pending' and target_type = report.target_type and target_id = report.target_id)
+    returning *
+  )
+  select coalesce(jsonb_agg(to_jsonb(updated)), '[]'::jsonb) into resolved from updated;
+
+  return jsonb_build_object('reports', resolved, 'banned_user_id', banned_user_id, 'media_urls', media_urls);
+end;
+$$;
@@ -0,0 +1,1360 @@
+import { createClient } from '@supabase/supabase-js';
+import { USER_SUMMARY_FIELDS, PUBLIC_USER_FIELDS, POST_MEDIA_FIELDS } from './fields.js';
+
+// Supabase storage backend. Every method throws the Supabase error on failure
+// and returns plain rows otherwise.
+
+const USER_SUMMARY = USER_SUMMARY_FIELDS.join(', ');
+const PUBLIC_USER = PUBLIC_USER_FIELDS.join(', ');
+const POST_MEDIA = POST_MEDIA_FIELDS.join(', ');
+
+const unwrap = ({ data, error }) => {
+  if (error) throw error;
+  return data;
+};
+
+const unwrapCount = ({ count, error }) => {
+  if (error) throw error;
+  return count || 0;
+};
+
+// Match `value` literally inside a LIKE pattern. Filters built with .ilike()
+// are sent as separate parameters, so user input never reaches a PostgREST
+// filter string.
+const escapeLike = (value) => value.replace(/[\\%_]/g, '\\$&');
+
+// `value` as one quoted value inside an .or() filter string, so commas,
+// dots and parentheses in it can't add filters of their own
+const quoteFilterValue = (value) => `"${value.replace(/[\\"]/g, '\\$&')}"`;
+
+// Keyset filter for newest-first lists: rows strictly older than the cursor
+const olderThan = (query, cursor, column = 'created_at') => {
+  if (!cursor) return query;
+  return query.or(
+    `${column}.lt."${cursor.created_at}",and(${column}.eq."${cursor.created_at}",id.lt.${cursor.id})`
+  );
+};
+
+// Rows whose `column` isn't one of `ids`
+const excluding = (query, column, ids) =>
+  (ids.length > 0 ? query.not(column, 'in', `(${ids.join(',')})`) : query);
+
+export function createSupabaseStore({ url, key }) {
+  const supabase = createClient(url, key);
+
+  const users = {
+    async findById(id) {
+      return unwrap(await supabase
+        .from('users')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle());
+    },
+
+    // The user whose username, or failing that email, is `identifier`. Two
+    // .eq() queries rather than an .or() string, which `identifier` could
+    // add filters to.
+    async findByLogin(identifier) {
+      const byUsername = unwrap(await supabase
+        .from('users')
+        .select('*')
+        .eq('username', identifier)
+        .maybeSingle());
+      if (byUsername) return byUsername;
+
+      return unwrap(await supabase
+        .from('users')
+        .select('*')
+        .eq('email', identifier)
+        .maybeSingle());
+    },
+
+    // Users already holding `username` or `email`
+    async findConflicts({ username, email }) {
+      const [byUsername, byEmail] = await Promise.all([
+        supabase.from('users').select('id, username, email').eq('username', username),
+        supabase.from('users').select('id, username, email').eq('email', email)
+      ]);
+
+      const conflicts = [...unwrap(byUsername), ...unwrap(byEmail)];
+      return conflicts.filter((user, index) => conflicts.findIndex(other => other.id === user.id) === index);
+    },
+
+    async getProfile(username) {
+      return unwrap(await supabase
+        .from('users')
+        .select(PUBLIC_USER)
+        .eq('username', username)
+        .maybeSingle());
+    },
+
+    // Users whose username or a display name word starts with `prefix`
+    async search(prefix, { limit = 50 } = {}) {
+      const pattern = `${escapeLike(prefix)}%`;
+      const lookups = await Promise.all([
+        supabase.from('users').select(PUBLIC_USER).ilike('username', pattern).limit(limit),
+        supabase.from('users').select(PUBLIC_USER).ilike('display_name', pattern).limit(limit),
+        supabase.from('users').select(PUBLIC_USER).ilike('display_name', `% ${pattern}`).limit(limit)
+      ]);
+
+      const byId = new Map();
+      lookups.map(unwrap).flat().forEach(user => byId.set(user.id, user));
+      return [...byId.values()].slice(0, limit);
+    },
+
+    async findByUsernames(usernames) {
+      if (usernames.length === 0) return [];
+      return unwrap(await supabase
+        .from('users')
+        .select('id, username')
+        .in('username', usernames));
+    },
+
+    async create(fields) {
+      return unwrap(await supabase
+        .from('users')
+        .insert([fields])
+        .select()
+        .single());
+    },
+
+    async update(id, changes) {
+      return unwrap(await supabase
+        .from('users')
+        .update(changes)
+        .eq('id', id)
+        .select()
+        .maybeSingle());
+    },
+
+    // Lift the user's ban if it ran out by `now`. Returns the user, or null
+    // when there was no expired ban to lift.
+    async liftExpiredBan(id, now) {
+      return unwrap(await supabase
+        .from('users')
+        .update({ is_banned: false, banned_until: null, ban_reason: null })
+        .eq('id', id)
+        .eq('is_banned', true)
+        .lte('banned_until', now)
+        .select()
+        .maybeSingle());
+    },
+
+    async list({ offset = 0, limit = 50, search = '' } = {}) {
+      let query = supabase
+        .from('users')
+        .select('*', { count: 'exact' })
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (search) {
+        const pattern = quoteFilterValue(`%${escapeLike(search)}%`);
+        query = query.or(`username.ilike.${pattern},display_name.ilike.${pattern},email.ilike.${pattern}`);
+      }
+
+      const { data, error, count } = await query;
+      if (error) throw error;
+      return { users: data, count: count || 0 };
+    },
+
+    async count() {
+      return unwrapCount(await supabase
+        .from('users')
+        .select('id', { count: 'exact', head: true }));
+    }
+  };
+
+  const POST_SELECT = `
+    *,
+    user:users(${USER_SUMMARY}),
+    likes:likes(count),
+    reposts:reposts(count)
+  `;
+
+  // Fill in what the embed syntax can't express on a self-referencing table
+  // (reply counts, who a reply answers, quoted posts) plus per-viewer state.
+  const decoratePosts = async (rows, { viewerId = null } = {}) => {
+    if (rows.length === 0) return [];
+
+    const ids = rows.map(row => row.id);
+    const parentIds = [...new Set(rows.map(row => row.reply_to_id).filter(Boolean))];
+    const quotedIds = [...new Set(rows.map(row => row.quote_of_id).filter(Boolean))];
+
+    const [replyCounts, parents, quoted, attachments, likedByViewer, repostedByViewer, savedByViewer] = await Promise.all([
+      supabase
+        .rpc('reply_counts', { post_ids: ids })
+        .then(unwrap)
+        .then(counts => new Map(counts.map(row => [row.post_id, Number(row.replies_count)]))),
+      parentIds.length === 0 ? [] : supabase
+        .from('posts')
+        .select('id, user:users(display_name, username)')
+        .in('id', parentIds)
+        .then(unwrap),
+      quotedIds.length === 0 ? [] : supabase
+        .from('posts')
+        .select(`id, user_id, content, mentions, created_at, user:users(${USER_SUMMARY})`)
+        .in('id', quotedIds)
+        .then(unwrap),
+      supabase
+        .from('post_media')
+        .select(`post_id, ${POST_MEDIA}`)
+        .in('post_id', ids)
+        .order('position')
+        .then(unwrap),
+      !viewerId ? [] : supabase
+        .from('likes')
+        .select('post_id')
+        .eq('user_id', viewerId)
+        .in('post_id', ids)
+        .then(unwrap),
+      !viewerId ? [] : supabase
+        .from('reposts')
+        .select('post_id')
+        .eq('user_id', viewerId)
+        .in('post_id', ids)
+        .then(unwrap),
+      !viewerId ? [] : supabase
+        .from('bookmarks')
+        .select('post_id')
+        .eq('user_id', viewerId)
+        .in('post_id', ids)
+        .then(unwrap)
+    ]);
+
+    const parentsById = new Map(parents.map(parent => [parent.id, parent]));
+    const quotedById = new Map(quoted.map(post => [post.id, post]));
+    const liked = new Set(likedByViewer.map(row => row.post_id));
+    const reposted = new Set(repostedByViewer.map(row => row.post_id));
+    const saved = new Set(savedByViewer.map(row => row.post_id));
+    const mediaByPost = new Map();
+    attachments.forEach(({ post_id, ...item }) => {
+      mediaByPost.set(post_id, [...(mediaByPost.get(post_id) || []), item]);
+    });
+
+    return rows.map(({ likes, reposts, ...post }) => ({
+      ...post,
+      likes_count: likes?.[0]?.count || 0,
+      replies_count: replyCounts.get(post.id) || 0,
+      reposts_count: reposts?.[0]?.count || 0,
+      reply_to: parentsById.get(post.reply_to_id) || null,
+      // null with a quote_of_id set means the original was deleted
+      quoted_post: quotedById.get(post.quote_of_id) || null,
+      media: mediaByPost.get(post.id) || [],
+      liked_by_me: liked.has(post.id),
+      reposted_by_me: reposted.has(post.id),
+      saved_by_me: saved.has(post.id)
+    }));
+  };
+
+  const posts = {
+    async findById(id, { viewerId = null } = {}) {
+      const row = unwrap(await supabase
+        .from('posts')
+        .select(POST_SELECT)
+        .eq('id', id)
+        .maybeSingle());
+      if (!row) return null;
+
+      const [post] = await decoratePosts([row], { viewerId });
+      return post;
+    },
+
+    // Newest first, `limit` rows older than the `before` cursor.
+    // `authorIds` narrows the list to posts by those users and
+    // `excludeAuthorIds` drops posts by others; `replies` picks replies only
+    // (true), top-level posts only (false) or both (null); `tag` keeps posts
+    // using that hashtag and `media` posts with images; `asOf` leaves out
+    // posts newer than it. Replies are told apart by root_id, which outlives
+    // the post they answered.
+    async list({ before = null, asOf = null, limit = 20, authorIds = null, excludeAuthorIds = [], replies = null, tag = null, media = false, viewerId = null } = {}) {
+      if (authorIds && authorIds.length === 0) return [];
+
+      const filters = [
+        tag && 'tagged:post_hashtags!inner(tag)',
+        media && 'with_media:post_media!inner(id)'
+      ].filter(Boolean);
+
+      let query = supabase
+        .from('posts')
+        .select([POST_SELECT, ...filters].join(', '))
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: false })
+        .limit(limit);
+
+      if (authorIds) {
+        query = query.in('user_id', authorIds);
+      }
+      query = excluding(query, 'user_id', excludeAuthorIds);
+      if (replies === true) {
+        query = query.not('root_id', 'is', null);
+      } else if (replies === false) {
+        query = query.is('root_id', null);
+      }
+      if (tag) {
+        query = query.eq('tagged.tag', tag);
+      }
+      if (asOf) {
+        query = query.lte('created_at', asOf);
+      }
+
+      const rows = unwrap(await olderThan(query, before)).map(({ tagged, with_media, ...row }) => row);
+      return decoratePosts(rows, { viewerId });
+    },
+
+    // Newest first, posts containing every one of `patterns` (case-insensitive),
+    // optionally by one author, by none of `excludeAuthorIds` and no newer
+    // than `asOf`
+    async search({ patterns, authorId = null, excludeAuthorIds = [], asOf = null, limit = 200, viewerId = null }) {
+      let query = supabase
+        .from('posts')
+        .select(POST_SELECT)
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: false })
+        .limit(limit);
+
+      patterns.forEach(pattern => {
+        query = query.ilike('content', `%${escapeLike(pattern)}%`);
+      });
+      if (authorId) {
+        query = query.eq('user_id', authorId);
+      }
+      query = excluding(query, 'user_id', excludeAuthorIds);
+      if (asOf) {
+        query = query.lte('created_at', asOf);
+      }
+
+      return decoratePosts(unwrap(await query), { viewerId });
+    },
+
+    // Every reply in a conversation, oldest first
+    async listConversation(rootId, { limit = 500, excludeAuthorIds = [], viewerId = null } = {}) {
+      const query = supabase
+        .from('posts')
+        .select(POST_SELECT)
+        .eq('root_id', rootId)
+        .order('created_at', { ascending: true })
+        .limit(limit);
+
+      const rows = unwrap(await excluding(query, 'user_id', excludeAuthorIds));
+
+      return decoratePosts(rows, { viewerId });
+    },
+
+    async create({ user_id, content, reply_to_id = null, root_id = null, quote_of_id = null, mentions = [] }) {
+      const row = unwrap(await supabase
+        .from('posts')
+        .insert([{ user_id, content, reply_to_id, root_id, quote_of_id, mentions }])
+        .select(POST_SELECT)
+        .single());
+
+      const [post] = await decoratePosts([row]);
+      return post;
+    },
+
+    async delete(id) {
+      unwrap(await supabase
+        .from('posts')
+        .delete()
+        .eq('id', id));
+    },
+
+    async count() {
+      return unwrapCount(await supabase
+        .from('posts')
+        .select('id', { count: 'exact', head: true }));
+    },
+
+    async countByUser(userId) {
+      return unwrapCount(await supabase
+        .from('posts')
+        .select('id', { count: 'exact', head: true })
+        .eq('user_id', userId));
+    }
+  };
+
+  const media = {
+    async create({ user_id, url, thumbnail_url, width, height, blurhash }) {
+      return unwrap(await supabase
+        .from('post_media')
+        .insert([{ user_id, url, thumbnail_url, width, height, blurhash }])
+        .select()
+        .single());
+    },
+
+    async findByIds(ids) {
+      if (ids.length === 0) return [];
+      return unwrap(await supabase
+        .from('post_media')
+        .select('*')
+        .in('id', ids));
+    },
+
+    // Give unattached uploads to a post. `items` are { id, position, alt_text }.
+    async attach(postId, items) {
+      const rows = await Promise.all(items.map(async ({ id, position, alt_text }) => unwrap(await supabase
+        .from('post_media')
+        .update({ post_id: postId, position, alt_text })
+        .eq('id', id)
+        .is('post_id', null)
+        .select(POST_MEDIA)
+        .maybeSingle())));
+
+      return rows.filter(Boolean).sort((a, b) => items.findIndex(i => i.id === a.id) - items.findIndex(i => i.id === b.id));
+    }
+  };
+
+  const hashtags = {
+    async index({ post_id, tags, created_at }) {
+      if (tags.length === 0) return;
+      unwrap(await supabase
+        .from('post_hashtags')
+        .upsert(tags.map(tag => ({ post_id, tag, created_at })), { onConflict: 'post_id,tag', ignoreDuplicates: true }));
+    },
+
+    // Map of tag -> posts using it, narrowed by time, tags or prefix
+    async countByTag({ since = null, until = null, tags = null, prefix = null } = {}) {
+      if (tags && tags.length === 0) return new Map();
+
+      const rows = unwrap(await supabase.rpc('hashtag_counts', {
+        since,
+        until,
+        only_tags: tags,
+        tag_prefix: prefix
+      }));
+      return new Map(rows.map(row => [row.tag, Number(row.posts_count)]));
+    }
+  };
+
+  const reposts = {
+    async create({ user_id, post_id }) {
+      return unwrap(await supabase
+        .from('reposts')
+        .insert([{ user_id, post_id }])
+        .select()
+        .single());
+    },
+
+    async delete({ user_id, post_id }) {
+      unwrap(await supabase
+        .from('reposts')
+        .delete()
+        .match({ user_id, post_id }));
+    },
+
+    async countForPost(postId) {
+      return unwrapCount(await supabase
+        .from('reposts')
+        .select('id', { count: 'exact', head: true })
+        .eq('post_id', postId));
+    },
+
+    // Reposts by `userIds` of posts by anyone but `excludeAuthorIds`, newest
+    // first, each with the reposter and the post
+    async list({ userIds, excludeAuthorIds = [], before = null, limit = 20, viewerId = null }) {
+      if (userIds.length === 0) return [];
+
+      const query = supabase
+        .from('reposts')
+        .select(`*, user:users(display_name, username), post:posts!inner(${POST_SELECT})`)
+        .in('user_id', userIds)
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: false })
+        .limit(limit);
+
+      const rows = unwrap(await olderThan(excluding(query, 'post.user_id', excludeAuthorIds), before))
+        .filter(row => row.post);
+      const decorated = await decoratePosts(rows.map(row => row.post), { viewerId });
+
+      return rows.map((row, i) => ({ ...row, post: decorated[i] }));
+    }
+  };
+
+  const bookmarkCollections = {
+    // The user's collections, oldest first, each with a bookmark count
+    async list(userId) {
+      const rows = unwrap(await supabase
+        .from('bookmark_collections')
+        .select('*, bookmarks(count)')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: true }));
+
+      return rows.map(({ bookmarks, ...collection }) => ({
+        ...collection,
+        bookmarks_count: bookmarks?.[0]?.count || 0
+      }));
+    },
+
+    async findById(id) {
+      return unwrap(await supabase
+        .from('bookmark_collections')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle());
+    },
+
+    async findByName(userId, name) {
+      return unwrap(await supabase
+        .from('bookmark_collections')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('name', name)
+        .maybeSingle());
+    },
+
+    async create({ user_id, name }) {
+      return unwrap(await supabase
+        .from('bookmark_collections')
+        .insert([{ user_id, name }])
+        .select()
+        .single());
+    },
+
+    async delete(id) {
+      unwrap(await supabase
+        .from('bookmark_collections')
+        .delete()
+        .eq('id', id));
+    }
+  };
+
+  const bookmarks = {
+    async create({ user_id, post_id, collection_id, position }) {
+      return unwrap(await supabase
+        .from('bookmarks')
+        .insert([{ user_id, post_id, collection_id, position }])
+        .select()
+        .single());
+    },
+
+    // Remove from one collection, or from all of the user's collections
+    async delete({ user_id, post_id, collection_id = null }) {
+      let query = supabase
+        .from('bookmarks')
+        .delete()
+        .match({ user_id, post_id });
+
+      if (collection_id) {
+        query = query.eq('collection_id', collection_id);
+      }
+
+      unwrap(await query);
+    },
+
+    async isSaved({ user_id, post_id }) {
+      const count = unwrapCount(await supabase
+        .from('bookmarks')
+        .select('id', { count: 'exact', head: true })
+        .match({ user_id, post_id }));
+      return count > 0;
+    },
+
+    // Bookmarks in a collection in saved order, each with its post
+    async list(collectionId, { limit = 500, viewerId = null } = {}) {
+      const rows = unwrap(await supabase
+        .from('bookmarks')
+        .select(`*, post:posts(${POST_SELECT})`)
+        .eq('collection_id', collectionId)
+        .order('position', { ascending: true })
+        .limit(limit));
+
+      const decorated = await decoratePosts(rows.map(row => row.post).filter(Boolean), { viewerId });
+      const postsById = new Map(decorated.map(post => [post.id, post]));
+
+      return rows.map(({ post, ...bookmark }) => ({
+        ...bookmark,
+        post: postsById.get(bookmark.post_id) || null
+      }));
+    },
+
+    async listPostIds(collectionId) {
+      const rows = unwrap(await supabase
+        .from('bookmarks')
+        .select('post_id')
+        .eq('collection_id', collectionId)
+        .order('position', { ascending: true }));
+      return rows.map(row => row.post_id);
+    },
+
+    // Lowest position in the collection, so new bookmarks can go on top
+    async minPosition(collectionId) {
+      const row = unwrap(await supabase
+        .from('bookmarks')
+        .select('position')
+        .eq('collection_id', collectionId)
+        .order('position', { ascending: true })
+        .limit(1)
+        .maybeSingle());
+      return row ? row.position : null;
+    },
+
+    // Store `postIds` order as positions 0..n-1
+    async reorder(collectionId, postIds) {
+      await Promise.all(postIds.map((postId, position) => supabase
+        .from('bookmarks')
+        .update({ position })
+        .match({ collection_id: collectionId, post_id: postId })
+        .then(unwrap)));
+    }
+  };
+
+  const likes = {
+    async create({ user_id, post_id }) {
+      return unwrap(await supabase
+        .from('likes')
+        .insert([{ user_id, post_id }])
+        .select()
+        .single());
+    },
+
+    async delete({ user_id, post_id }) {
+      unwrap(await supabase
+        .from('likes')
+        .delete()
+        .match({ user_id, post_id }));
+    },
+
+    async countForPost(postId) {
+      return unwrapCount(await supabase
+        .from('likes')
+        .select('id', { count: 'exact', head: true })
+        .eq('post_id', postId));
+    },
+
+    // A user's likes of posts by anyone but `excludeAuthorIds`, newest
+    // first, each with the liked post
+    async listByUser(userId, { before = null, limit = 20, excludeAuthorIds = [], viewerId = null } = {}) {
+      const query = supabase
+        .from('likes')
+        .select(`*, post:posts!inner(${POST_SELECT})`)
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: false })
+        .limit(limit);
+
+      const rows = unwrap(await olderThan(excluding(query, 'post.user_id', excludeAuthorIds), before));
+      const decorated = await decoratePosts(rows.map(row => row.post).filter(Boolean), { viewerId });
+      const postsById = new Map(decorated.map(post => [post.id, post]));
+
+      return rows.map(({ post, ...like }) => ({
+        ...like,
+        post: postsById.get(like.post_id) || null
+      }));
+    },
+
+    // Map of post id -> likes between `since` and `until`
+    async countRecent(postIds, { since, until }) {
+      const counts = new Map(postIds.map(id => [id, 0]));
+      if (postIds.length === 0) return counts;
+
+      const rows = unwrap(await supabase.rpc('recent_like_counts', { post_ids: postIds, since, until }));
+      rows.forEach(row => counts.set(row.post_id, Number(row.likes_count)));
+      return counts;
+    }
+  };
+
+  const follows = {
+    async create({ follower_id, following_id }) {
+      return unwrap(await supabase
+        .from('follows')
+        .insert([{ follower_id, following_id }])
+        .select()
+        .single());
+    },
+
+    async delete({ follower_id, following_id }) {
+      unwrap(await supabase
+        .from('follows')
+        .delete()
+        .match({ follower_id, following_id }));
+    },
+
+    async listFollowingIds(userId) {
+      const rows = unwrap(await supabase
+        .from('follows')
+        .select('following_id')
+        .eq('follower_id', userId));
+      return rows.map(row => row.following_id);
+    },
+
+    // Accounts followed by the accounts `userId` follows, other than
+    // `userId` and those they already follow
+    async listSecondDegreeIds(userId) {
+      return unwrap(await supabase.rpc('second_degree_ids', { viewer_id: userId })) || [];
+    },
+
+    async countFollowers(userId) {
+      return unwrapCount(await supabase
+        .from('follows')
+        .select('id', { count: 'exact', head: true })
+        .eq('following_id', userId));
+    },
+
+    // Map of user id -> follower count
+    async countFollowersFor(userIds) {
+      const counts = new Map(userIds.map(id => [id, 0]));
+      if (userIds.length === 0) return counts;
+
+      const rows = unwrap(await supabase.rpc('follower_counts', { user_ids: userIds }));
+      rows.forEach(row => counts.set(row.user_id, Number(row.followers_count)));
+      return counts;
+    },
+
+    async countFollowing(userId) {
+      return unwrapCount(await supabase
+        .from('follows')
+        .select('id', { count: 'exact', head: true })
+        .eq('follower_id', userId));
+    }
+  };
+
+  const CONVERSATION_SELECT = `
+    *,
+    user_a:users!user_a_id(${USER_SUMMARY}),
+    user_b:users!user_b_id(${USER_SUMMARY})
+  `;
+
+  const blocks = {
+    async create({ blocker_id, blocked_id }) {
+      return unwrap(await supabase
+        .from('blocks')
+        .insert([{ blocker_id, blocked_id }])
+        .select()
+        .single());
+    },
+
+    async delete({ blocker_id, blocked_id }) {
+      unwrap(await supabase
+        .from('blocks')
+        .delete()
+        .match({ blocker_id, blocked_id }));
+    },
+
+    // Which of `userIds` have blocked `blockedId`
+    async findBlockers(blockedId, userIds) {
+      if (userIds.length === 0) return [];
+      const rows = unwrap(await supabase
+        .from('blocks')
+        .select('blocker_id')
+        .eq('blocked_id', blockedId)
+        .in('blocker_id', userIds));
+      return rows.map(row => row.blocker_id);
+    },
+
+    // Everyone `userId` has blocked or been blocked by
+    async listRelatedIds(userId) {
+      const rows = unwrap(await supabase
+        .from('blocks')
+        .select('blocker_id, blocked_id')
+        .or(`blocker_id.eq.${userId},blocked_id.eq.${userId}`));
+      return rows.map(row => (row.blocker_id === userId ? row.blocked_id : row.blocker_id));
+    },
+
+    // Accounts `blockerId` has blocked, newest first, each with the user
+    async list(blockerId, { before = null, limit = 20 } = {}) {
+      const query = supabase
+        .from('blocks')
+        .select(`*, user:users!blocked_id(${USER_SUMMARY})`)
+        .eq('blocker_id', blockerId)
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: false })
+        .limit(limit);
+
+      return unwrap(await olderThan(query, before));
+    }
+  };
+
+  const mutes = {
+    async create({ muter_id, muted_id }) {
+      return unwrap(await supabase
+        .from('mutes')
+        .insert([{ muter_id, muted_id }])
+        .select()
+        .single());
+    },
+
+    async delete({ muter_id, muted_id }) {
+      unwrap(await supabase
+        .from('mutes')
+        .delete()
+        .match({ muter_id, muted_id }));
+    },
+
+    async isMuted({ muter_id, muted_id }) {
+      const count = unwrapCount(await supabase
+        .from('mutes')
+        .select('id', { count: 'exact', head: true })
+        .match({ muter_id, muted_id }));
+      return count > 0;
+    },
+
+    async listMutedIds(muterId) {
+      const rows = unwrap(await supabase
+        .from('mutes')
+        .select('muted_id')
+        .eq('muter_id', muterId));
+      return rows.map(row => row.muted_id);
+    },
+
+    // Accounts `muterId` has muted, newest first, each with the user
+    async list(muterId, { before = null, limit = 20 } = {}) {
+      const query = supabase
+        .from('mutes')
+        .select(`*, user:users!muted_id(${USER_SUMMARY})`)
+        .eq('muter_id', muterId)
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: false })
+        .limit(limit);
+
+      return unwrap(await olderThan(query, before));
+    }
+  };
+
+  // Map of conversation id -> messages the user hasn't read, for the given
+  // read states. Conversations with nothing new since last_read_at skip the
+  // count query.
+  const countUnreadIn = async (userId, readStates) => {
+    const counts = new Map(readStates.map(state => [state.conversation_id, 0]));
+    const stale = readStates.filter(state => state.last_message_at &&
+      (!state.last_read_at || state.last_message_at > state.last_read_at));
+
+    await Promise.all(stale.map(async ({ conversation_id, last_read_at }) => {
+      let query = supabase
+        .from('messages')
+        .select('id', { count: 'exact', head: true })
+        .eq('conversation_id', conversation_id)
+        .neq('sender_id', userId);
+
+      if (last_read_at) {
+        query = query.gt('created_at', last_read_at);
+      }
+
+      counts.set(conversation_id, unwrapCount(await query));
+    }));
+
+    return counts;
+  };
+
+  const conversations = {
+    async findById(id) {
+      return unwrap(await supabase
+        .from('conversations')
+        .select(CONVERSATION_SELECT)
+        .eq('id', id)
+        .maybeSingle());
+    },
+
+    async findBetween(userId, otherUserId) {
+      const [user_a_id, user_b_id] = [userId, otherUserId].sort();
+      return unwrap(await supabase
+        .from('conversations')
+        .select(CONVERSATION_SELECT)
+        .match({ user_a_id, user_b_id })
+        .maybeSingle());
+    },
+
+    async create({ user_ids }) {
+      const [user_a_id, user_b_id] = [...user_ids].sort();
+      const conversation = unwrap(await supabase
+        .from('conversations')
+        .insert([{ user_a_id, user_b_id }])
+        .select(CONVERSATION_SELECT)
+        .single());
+
+      unwrap(await supabase
+        .from('conversation_participants')
+        .insert([user_a_id, user_b_id].map(user_id => ({ conversation_id: conversation.id, user_id }))));
+
+      return conversation;
+    },
+
+    // The user's conversations that have messages, most recently active
+    // first, each with its last message and the user's unread count
+    async listForUser(userId, { before = null, limit = 20 } = {}) {
+      const query = supabase
+        .from('conversations')
+        .select(`${CONVERSATION_SELECT}, last_message:messages!last_message_id(id, sender_id, content, created_at)`)
+        .or(`user_a_id.eq.${userId},user_b_id.eq.${userId}`)
+        .not('last_message_id', 'is', null)
+        .order('last_message_at', { ascending: false })
+        .order('id', { ascending: false })
+        .limit(limit);
+
+      const rows = unwrap(await olderThan(query, before, 'last_message_at'));
+      if (rows.length === 0) return [];
+
+      const participants = unwrap(await supabase
+        .from('conversation_participants')
+        .select('conversation_id, last_read_at')
+        .eq('user_id', userId)
+        .in('conversation_id', rows.map(row => row.id)));
+      const lastRead = new Map(participants.map(p => [p.conversation_id, p.last_read_at]));
+
+      const unread = await countUnreadIn(userId, rows.map(row => ({
+        conversation_id: row.id,
+        last_message_at: row.last_message_at,
+        last_read_at: lastRead.get(row.id) || null
+      })));
+
+      return rows.map(row => ({
+        ...row,
+        last_read_at: lastRead.get(row.id) || null,
+        unread_count: unread.get(row.id) || 0
+      }));
+    },
+
+    async markRead({ conversation_id, user_id, at }) {
+      unwrap(await supabase
+        .from('conversation_participants')
+        .update({ last_read_at: at })
+        .match({ conversation_id, user_id }));
+    },
+
+    // Unread messages across all of a user's conversations
+    async countUnread(userId) {
+      const rows = unwrap(await supabase
+        .from('conversation_participants')
+        .select('conversation_id, last_read_at, conversation:conversations(last_message_id, last_message_at)')
+        .eq('user_id', userId));
+
+      const unread = await countUnreadIn(userId, rows
+        .filter(row => row.conversation?.last_message_id)
+        .map(row => ({
+          conversation_id: row.conversation_id,
+          last_message_at: row.conversation.last_message_at,
+          last_read_at: row.last_read_at
+        })));
+
+      const counts = [...unread.values()];
+      return {
+        messages: counts.reduce((sum, count) => sum + count, 0),
+        conversations: counts.filter(count => count > 0).length
+      };
+    }
+  };
+
+  const messages = {
+    async create({ conversation_id, sender_id, content }) {
+      const message = unwrap(await supabase
+        .from('messages')
+        .insert([{ conversation_id, sender_id, content }])
+        .select()
+        .single());
+
+      unwrap(await supabase
+        .from('conversations')
+        .update({ last_message_id: message.id, last_message_at: message.created_at })
+        .eq('id', conversation_id));
+
+      return message;
+    },
+
+    async findById(id) {
+      return unwrap(await supabase
+        .from('messages')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle());
+    },
+
+    // Newest first, `limit` messages older than the `before` cursor
+    async list(conversationId, { before = null, limit = 20 } = {}) {
+      const query = supabase
+        .from('messages')
+        .select('*')
+        .eq('conversation_id', conversationId)
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: false })
+        .limit(limit);
+
+      return unwrap(await olderThan(query, before));
+    }
+  };
+
+  const notifications = {
+    async create({ user_id, actor_id, type, post_id = null }) {
+      return unwrap(await supabase
+        .from('notifications')
+        .insert([{ user_id, actor_id, type, post_id }])
+        .select()
+        .single());
+    },
+
+    // `user_id` may be left out when the post already pins the recipient.
+    // Returns the deleted rows' recipients.
+    async delete({ user_id = null, actor_id, type, post_id = null }) {
+      let query = supabase
+        .from('notifications')
+        .delete()
+        .match({ actor_id, type });
+
+      if (user_id) {
+        query = query.eq('user_id', user_id);
+      }
+      query = post_id ? query.eq('post_id', post_id) : query.is('post_id', null);
+
+      return unwrap(await query.select('user_id'));
+    },
+
+    // Newest first, each with its actor and post
+    async list(userId, { before = null, limit = 20 } = {}) {
+      const query = supabase
+        .from('notifications')
+        .select(`*, actor:users!actor_id(${USER_SUMMARY}), post:posts(id, content)`)
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: false })
+        .limit(limit);
+
+      return unwrap(await olderThan(query, before));
+    },
+
+    async countUnread(userId) {
+      return unwrapCount(await supabase
+        .from('notifications')
+        .select('id', { count: 'exact', head: true })
+        .eq('user_id', userId)
+        .is('read_at', null));
+    },
+
+    // Mark the given notifications (or all of them) read
+    async markRead(userId, { ids = null, at }) {
+      let query = supabase
+        .from('notifications')
+        .update({ read_at: at })
+        .eq('user_id', userId)
+        .is('read_at', null);
+
+      if (ids) {
+        query = query.in('id', ids);
+      }
+
+      unwrap(await query);
+    }
+  };
+
+  const reports = {
+    async findById(id) {
+      return unwrap(await supabase
+        .from('reports')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle());
+    },
+
+    async create({ reporter_id, target_type, target_id, reported_user_id, reported_post_id = null, reported_message_id = null, category, reason = null }) {
+      return unwrap(await supabase
+        .from('reports')
+        .insert([{ reporter_id, target_type, target_id, reported_user_id, reported_post_id, reported_message_id, category, reason }])
+        .select()
+        .single());
+    },
+
+    // The reporter's pending report on a target, if any
+    async findOpen({ reporter_id, target_type, target_id }) {
+      return unwrap(await supabase
+        .from('reports')
+        .select('*')
+        .match({ reporter_id, target_type, target_id, status: 'pending' })
+        .maybeSingle());
+    },
+
+    async list({ status = 'pending' } = {}) {
+      return unwrap(await supabase
+        .from('reports')
+        .select(`
+          *,
+          reporter:users!reporter_id(display_name, username),
+          reported_user:users!reported_user_id(display_name, username),
+          reported_post:posts(content, user_id),
+          reported_message:messages(content, sender_id)
+        `)
+        .eq('status', status)
+        .order('created_at', { ascending: false }));
+    },
+
+    async update(id, changes) {
+      return unwrap(await supabase
+        .from('reports')
+        .update(changes)
+        .eq('id', id)
+        .select()
+        .maybeSingle());
+    },
+
+    // Apply a resolution planned by services/moderation.js in one
+    // transaction (the resolve_report function in schema.sql). Returns the
+    // resolved reports, the account banned if any, and the files of a
+    // deleted post's images.
+    async resolve(id, resolution) {
+      return unwrap(await supabase.rpc('resolve_report', {
+        target_report_id: id,
+        resolution
+      }));
+    }
+  };
+
+  const sessions = {
+    async create({ user_id, refresh_token_hash, user_agent = null, ip = null, expires_at }) {
+      return unwrap(await supabase
+        .from('sessions')
+        .insert([{ user_id, refresh_token_hash, user_agent, ip, expires_at }])
+        .select()
+        .single());
+    },
+
+    async findById(id) {
+      return unwrap(await supabase
+        .from('sessions')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle());
+    },
+
+    // The session whose current or previous refresh token hashes to `hash`.
+    // Hashes are hex, so they're safe inside the filter string.
+    async findByRefreshHash(hash) {
+      return unwrap(await supabase
+        .from('sessions')
+        .select('*')
+        .or(`refresh_token_hash.eq.${hash},previous_token_hash.eq.${hash}`)
+        .maybeSingle());
+    },
+
+    // Swap the session's refresh token, provided it's still `fromHash` and
+    // the session hasn't been revoked. Returns null if it lost that race.
+    async rotate(id, fromHash, { refresh_token_hash, expires_at, user_agent = null, ip = null }) {
+      const now = new Date().toISOString();
+      return unwrap(await supabase
+        .from('sessions')
+        .update({
+          refresh_token_hash,
+          previous_token_hash: fromHash,
+          rotated_at: now,
+          last_seen_at: now,
+          expires_at,
+          user_agent,
+          ip
+        })
+        .eq('id', id)
+        .eq('refresh_token_hash', fromHash)
+        .is('revoked_at', null)
+        .select()
+        .maybeSingle());
+    },
+
+    // Sessions still signed in at `now`, most recently used first
+    async listActive(userId, now) {
+      return unwrap(await supabase
+        .from('sessions')
+        .select('*')
+        .eq('user_id', userId)
+        .is('revoked_at', null)
+        .gt('expires_at', now)
+        .order('last_seen_at', { ascending: false }));
+    },
+
+    // Revoke one session (only if it's `user_id`'s, when given). Returns it,
+    // or null when there was no such active session.
+    async revoke(id, { user_id = null } = {}) {
+      let query = supabase
+        .from('sessions')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('id', id)
+        .is('revoked_at', null);
+
+      if (user_id) {
+        query = query.eq('user_id', user_id);
+      }
+
+      return unwrap(await query.select().maybeSingle());
+    },
+
+    // Revoke all of a user's sessions. Returns how many were active.
+    async revokeAll(userId) {
+      const now = new Date().toISOString();
+      const revoked = unwrap(await supabase
+        .from('sessions')
+        .update({ revoked_at: now })
+        .eq('user_id', userId)
+        .is('revoked_at', null)
+        .gt('expires_at', now)
+        .select('id'));
+      return revoked.length;
+    }
+  };
+
+  const accountTokens = {
+    async create({ user_id, purpose, token_hash, email = null, expires_at }) {
+      return unwrap(await supabase
+        .from('account_tokens')
+        .insert([{ user_id, purpose, token_hash, email, expires_at }])
+        .select()
+        .single());
+    },
+
+    // Use up the unused, unexpired `purpose` token hashing to `hash`.
+    // Returns it, or null when there's no such token.
+    async consume(hash, purpose) {
+      const now = new Date().toISOString();
+      return unwrap(await supabase
+        .from('account_tokens')
+        .update({ used_at: now })
+        .eq('token_hash', hash)
+        .eq('purpose', purpose)
+        .is('used_at', null)
+        .gt('expires_at', now)
+        .select()
+        .maybeSingle());
+    },
+
+    // Use up all of a user's outstanding `purpose` tokens
+    async invalidate(userId, purpose) {
+      unwrap(await supabase
+        .from('account_tokens')
+        .update({ used_at: new Date().toISOString() })
+        .eq('user_id', userId)
+        .eq('purpose', purpose)
+        .is('used_at', null));
+    }
+  };
+
+  const replaceRecoveryCodes = async (userId, hashes) => {
+    unwrap(await supabase
+      .from('recovery_codes')
+      .delete()
+      .eq('user_id', userId));
+
+    unwrap(await supabase
+      .from('recovery_codes')
+      .insert(hashes.map(code_hash => ({ user_id: userId, code_hash }))));
+  };
+
+  const twoFactor = {
+    async findSecret(userId) {
+      return unwrap(await supabase
+        .from('two_factor_secrets')
+        .select('*')
+        .eq('user_id', userId)
+        .maybeSingle());
+    },
+
+    // Store a new secret for `userId`, replacing any they had
+    async saveSecret(userId, secret) {
+      unwrap(await supabase
+        .from('two_factor_secrets')
+        .upsert({ user_id: userId, secret, last_used_step: null, created_at: new Date().toISOString() }));
+    },
+
+    // Record that the code for time step `step` was used. Returns false when
+    // it, or a later one, already was.
+    async useStep(userId, step) {
+      const row = unwrap(await supabase
+        .from('two_factor_secrets')
+        .update({ last_used_step: step })
+        .eq('user_id', userId)
+        .or(`last_used_step.is.null,last_used_step.lt.${step}`)
+        .select('user_id')
+        .maybeSingle());
+      return Boolean(row);
+    },
+
+    // Turn two-factor on with a fresh set of recovery code hashes
+    async enable(userId, recoveryCodeHashes) {
+      await replaceRecoveryCodes(userId, recoveryCodeHashes);
+      return users.update(userId, { two_factor_enabled_at: new Date().toISOString() });
+    },
+
+    // Turn two-factor off, forgetting the secret and recovery codes. The flag
+    // goes first so a failure part way leaves it off rather than unusable.
+    async disable(userId) {
+      const user = await users.update(userId, { two_factor_enabled_at: null });
+
+      unwrap(await supabase
+        .from('two_factor_secrets')
+        .delete()
+        .eq('user_id', userId));
+
+      unwrap(await supabase
+        .from('recovery_codes')
+        .delete()
+        .eq('user_id', userId));
+
+      return user;
+    },
+
+    replaceRecoveryCodes,
+
+    // Use up the unused recovery code hashing to `hash`. Returns whether
+    // there was one.
+    async useRecoveryCode(userId, hash) {
+      const rows = unwrap(await supabase
+        .from('recovery_codes')
+        .update({ used_at: new Date().toISOString() })
+        .eq('user_id', userId)
+        .eq('code_hash', hash)
+        .is('used_at', null)
+        .select('id'));
+      return rows.length > 0;
+    },
+
+    async countRecoveryCodes(userId) {
+      return unwrapCount(await supabase
+        .from('recovery_codes')
+        .select('id', { count: 'exact', head: true })
+        .eq('user_id', userId)
+        .is('used_at', null));
+    }
+  };
+
+  const adminActions = {
+    async create(action) {
+      return unwrap(await supabase
+        .from('admin_actions')
+        .insert([action])
+        .select()
+        .single());
+    }
+  };
+
+  const moderationActions = {
+    async create(action) {
+      return unwrap(await supabase
+        .from('moderation_actions')
+        .insert([action])
+        .select()
+        .single());
+    }
+  };
+
+  return {
+    driver: 'supabase',
+    users,
+    posts,
+    media,
+    hashtags,
+    reposts,
+    bookmarkCollections,
+    bookmarks,
+    likes,
+    follows,
+    blocks,
+    mutes,
+    conversations,
+    messages,
+    notifications,
+    reports,
+    adminActions,
+    moderationActions,
+    sessions,
+    accountTokens,
+    twoFactor,
+
+    async ping() {
+      const { error } = await supabase
+        .from('users')
+        .select('count')
+        .limit(1);
+      return !error;
+    }
+  };
+}
@@ -0,0 +1,56 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createOutboxMailer } from './outbox.js';
+import { createSmtpMailer } from './smtp.js';
+
+// Outgoing mail
+//
+// Routes send mail through a mailer instead of a mail client. A mailer exposes:
+//
+//   send({ to, subject, text, html }) - deliver a message, resolving once it's
+//                                       been handed off
+//
+// Backends:
+//
+//   outbox - writes each message as a JSON file under MAIL_OUTBOX_DIR instead
+//            of sending it, for local development and tests
+//   smtp   - sends through SMTP_HOST and SMTP_PORT, signing in with SMTP_USER
+//            and SMTP_PASS when set; SMTP_SECURE=true for implicit TLS
+//
+// Pick one with MAIL_DRIVER. Messages come from MAIL_FROM. Only the offline
+// setup (DB_DRIVER=memory) defaults to the outbox; anywhere else a missing
+// MAIL_DRIVER stops the server from starting rather than quietly never
+// sending verification and reset links.
+
+const backendDir = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+
+const from = () => process.env.MAIL_FROM || 'Social <no-reply@localhost>';
+
+const drivers = {
+  outbox: () => createOutboxMailer({
+    dir: process.env.MAIL_OUTBOX_DIR || path.join(backendDir, 'outbox'),
+    from: from()
+  }),
+  smtp: () => createSmtpMailer({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || '587'),
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+    from: from()
+  })
+};
+
+const defaultDriver = () => (process.env.DB_DRIVER === 'memory' ? 'outbox' : null);
+
+export function createMailer(driver = process.env.MAIL_DRIVER || defaultDriver()) {
+  if (!driver) {
+    throw new Error(`MAIL_DRIVER isn't set. Expected one of: ${Object.keys(drivers).join(', ')}`);
+  }
+
+  const create = drivers[driver];
+  if (!create) {
+    throw new Error(`Unknown MAIL_DRIVER "${driver}". Expected one of: ${Object.keys(drivers).join(', ')}`);
+  }
+  return create();
+}
@@ -0,0 +1,17 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+// File outbox: each message is written to `dir` as <timestamp>-<id>.json and
+// never sent. Newest sorts last.
+export function createOutboxMailer({ dir, from }) {
+  return {
+    async send({ to, subject, text, html = null }) {
+      const sentAt = new Date().toISOString();
+      const file = path.join(dir, `${sentAt.replace(/[:.]/g, '-')}-${randomUUID()}.json`);
+
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(file, JSON.stringify({ from, to, subject, text, html, sent_at: sentAt }, null, 2));
+    }
+  };
+}
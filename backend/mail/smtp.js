@@ -0,0 +1,21 @@
+import nodemailer from 'nodemailer';
+
+// SMTP: messages go out through the configured mail server
+export function createSmtpMailer({ host, port, secure, user, pass, from }) {
+  if (!host) {
+    throw new Error('MAIL_DRIVER=smtp needs SMTP_HOST');
+  }
+
+  const transport = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    async send({ to, subject, text, html = null }) {
+      await transport.sendMail({ from, to, subject, text, html: html || undefined });
+    }
+  };
+}
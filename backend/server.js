@@ -1,23 +1,92 @@
 import express from 'express';
+import { randomUUID } from 'crypto';
 import cors from 'cors';
-import { createClient } from '@supabase/supabase-js';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import rateLimit from 'express-rate-limit';
 import helmet from 'helmet';
-import { body, validationResult } from 'express-validator';
+import multer from 'multer';
+import { body, query, validationResult } from 'express-validator';
 import dotenv from 'dotenv';
+import { createStore } from './db/index.js';
+import { createMailer } from './mail/index.js';
+import { POST_MEDIA_FIELDS, PUBLIC_USER_FIELDS, pick } from './db/fields.js';
+import { createStorage } from './storage/index.js';
+import {
+  MAX_PAGE_SIZE,
+  decodeCursor,
+  decodeSnapshotCursor,
+  encodeSnapshotCursor,
+  isValidCursor,
+  compareNewest,
+  isValidSnapshotCursor,
+  parseLimit,
+  toPage
+} from './utils/pagination.js';
+import { buildThread } from './services/threads.js';
+import { createNotifier, groupNotifications } from './services/notifications.js';
+import { createEventBus } from './services/events.js';
+import { resolveMentions } from './services/mentions.js';
+import { blockStatus, hiddenUserIds, isBlockedBetween } from './services/blocks.js';
+import { bannedResponse, createBanService } from './services/bans.js';
+import { createAccountEmails, isEmailVerified } from './services/accounts.js';
+import { createSessionService, describeDevice, isActiveSession } from './services/sessions.js';
+import { createTwoFactorService, isTwoFactorEnabled } from './services/totp.js';
+import { MAX_IMAGE_BYTES, processProfileImage } from './services/images.js';
+import { MAX_ALT_TEXT_LENGTH, MAX_POST_MEDIA, createMediaService } from './services/media.js';
+import { RESOLUTION_ACTIONS, createModerationService } from './services/moderation.js';
+import {
+  MAX_REPORT_DETAILS_LENGTH,
+  REPORTS_PER_HOUR,
+  REPORT_CATEGORIES,
+  REPORT_CATEGORY_IDS,
+  REPORT_TARGETS,
+  resolveReportTarget
+} from './services/reports.js';
+import {
+  TRENDING_WINDOWS_HOURS,
+  extractHashtags,
+  rankTrending,
+  windowBounds
+} from './services/hashtags.js';
+import {
+  SEARCH_POOL_SIZE,
+  SEARCH_TYPES,
+  parsePostQuery,
+  parsePrefix,
+  rankHashtags,
+  rankPosts,
+  rankUsers
+} from './services/search.js';
+import {
+  CANDIDATE_POOL_SIZE,
+  createRanker,
+  gatherSignals,
+  rankerNames
+} from './services/ranking.js';
 
 dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Uploaded files (STORAGE_DRIVER=local)
+const storage = createStorage();
+
+// Outgoing mail (MAIL_DRIVER=outbox)
+const mailer = createMailer();
+
 // Security middleware
 app.use(helmet());
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
 
+// Stored uploads, when the driver serves them itself. Mounted ahead of the
+// rate limit so images on a page don't use up a client's requests.
+if (storage.serve) {
+  app.use('/uploads', storage.serve);
+}
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -25,14 +94,81 @@ const limiter = rateLimit({
 });
 app.use(limiter);
 
-// Supabase client
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_ANON_KEY
-);
+// Data store (DB_DRIVER=supabase|memory)
+const db = createStore();
+
+// For You ranker (FEED_RANKER, FEED_RANKER_WEIGHTS)
+const feedRanker = createRanker();
+
+// Real-time events streamed to clients from GET /api/events
+const events = createEventBus();
+
+// Records likes, replies, follows, mentions, reposts and quotes for their recipients
+const notifier = createNotifier(db, { events });
+
+// Processes and stores images attached to posts
+const mediaService = createMediaService(db, storage);
+
+// Carries out report resolutions: strikes, bans and deletions
+const moderation = createModerationService(db, { storage });
+
+// Checks accounts for bans, lifting the ones that have run out
+const bans = createBanService(db);
+
+// Signed-in devices: access tokens and rotating refresh tokens
+const sessions = createSessionService(db, { secret: process.env.JWT_SECRET, events });
+
+// Verification and password reset emails, linking to pages under APP_URL
+const accountEmails = createAccountEmails(db, mailer, { appUrl: process.env.APP_URL || 'http://localhost:8080' });
+
+// Authenticator app codes and recovery codes, named TOTP_ISSUER in the app.
+// Secrets are encrypted under TOTP_ENCRYPTION_KEY, or JWT_SECRET without one.
+const twoFactor = createTwoFactorService(db, {
+  issuer: process.env.TOTP_ISSUER || 'Social',
+  encryptionKey: process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET
+});
 
 // ============ MIDDLEWARE ============
 
+// Let a verified access token through, unless its session has been signed
+// out or its account deleted or banned since. Roles are read from the
+// account, so changes apply straight away.
+const admitAccount = async (payload, req, res, next) => {
+  try {
+    const [account, session] = await Promise.all([
+      db.users.findById(payload.id),
+      payload.sid ? db.sessions.findById(payload.sid) : null
+    ]);
+
+    if (!isActiveSession(session) || session.user_id !== payload.id) {
+      return res.status(401).json({ error: 'Session expired' });
+    }
+    if (!account) {
+      return res.status(401).json({ error: 'Account not found' });
+    }
+
+    const ban = await bans.activeBan(account);
+    if (ban) {
+      return res.status(403).json(bannedResponse(ban));
+    }
+
+    req.user = {
+      id: account.id,
+      username: account.username,
+      is_admin: account.is_admin,
+      is_moderator: account.is_moderator,
+      email_verified: isEmailVerified(account),
+      two_factor_enabled: isTwoFactorEnabled(account),
+      sid: session.id
+    };
+    next();
+
+  } catch (error) {
+    console.error('Error checking account:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
 // Authentication middleware
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -43,19 +179,48 @@ const authenticateToken = (req, res, next) => {
   }
 
   jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+    // Expired access tokens get a 401 so the client knows to refresh
+    if (err?.name === 'TokenExpiredError') {
+      return res.status(401).json({ error: 'Access token expired' });
+    }
     if (err) {
       return res.status(403).json({ error: 'Invalid token' });
     }
-    req.user = user;
-    next();
+    admitAccount(user, req, res, next);
+  });
+};
+
+// Like authenticateToken, but lets anonymous requests through
+const optionalAuth = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) return next();
+
+  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+    // Refresh and retry rather than quietly seeing the signed-out view
+    if (err?.name === 'TokenExpiredError') {
+      return res.status(401).json({ error: 'Access token expired' });
+    }
+    if (err) return next();
+    admitAccount(user, req, res, next);
   });
 };
 
+// Staff tools need two-factor on, so a leaked password alone can't reach them
+const staffTwoFactorRequired = {
+  error: 'Turn on two-factor authentication to use admin and moderator tools',
+  two_factor_setup_required: true
+};
+
 // Admin middleware
 const requireAdmin = (req, res, next) => {
   if (!req.user || !req.user.is_admin) {
     return res.status(403).json({ error: 'Admin access required' });
   }
+  if (!req.user.two_factor_enabled) {
+    return res.status(403).json(staffTwoFactorRequired);
+  }
   next();
 };
 
@@ -64,9 +229,46 @@ const requireModerator = (req, res, next) => {
   if (!req.user || (!req.user.is_admin && !req.user.is_moderator)) {
     return res.status(403).json({ error: 'Moderator access required' });
   }
+  if (!req.user.two_factor_enabled) {
+    return res.status(403).json(staffTwoFactorRequired);
+  }
+  next();
+};
+
+// Until they confirm their email address, accounts can post, reply and
+// follow, but can't upload images or send direct messages
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.email_verified) {
+    return res.status(403).json({
+      error: 'Confirm your email address to do this. Check your inbox for the link.',
+      verification_required: true
+    });
+  }
   next();
 };
 
+// Multipart upload of a single image in the `image` field, kept in memory
+// until it's processed
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_BYTES, files: 1 }
+});
+
+const uploadImage = (req, res, next) => {
+  upload.single('image')(req, res, (error) => {
+    if (error) {
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? `Images must be ${MAX_IMAGE_BYTES / 1024 / 1024}MB or smaller`
+        : error.message;
+      return res.status(400).json({ error: message });
+    }
+    if (!req.file) {
+      return res.status(400).json({ error: 'No image uploaded' });
+    }
+    next();
+  });
+};
+
 // Validation middleware
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -89,10 +291,7 @@ app.post('/api/auth/register', [
     const { displayName, username, email, password } = req.body;
 
     // Check if user exists
-    const { data: existingUser, error: checkError } = await supabase
-      .from('users')
-      .select('id, username, email')
-      .or(`username.eq.${username},email.eq.${email}`);
+    const existingUser = await db.users.findConflicts({ username, email });
 
     if (existingUser && existingUser.length > 0) {
       const existingUsername = existingUser.find(u => u.username === username);
@@ -111,43 +310,31 @@ app.post('/api/auth/register', [
     const passwordHash = await bcrypt.hash(password, saltRounds);
 
     // Create user
-    const { data: user, error } = await supabase
-      .from('users')
-      .insert([
-        {
-          display_name: displayName,
-          username: username.toLowerCase(),
-          email: email.toLowerCase(),
-          password_hash: passwordHash,
-          is_admin: false,
-          is_moderator: false,
-          is_verified: false,
-          is_premium: false
-        }
-      ])
-      .select()
-      .single();
-
-    if (error) throw error;
-
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        id: user.id, 
-        username: user.username,
-        is_admin: user.is_admin,
-        is_moderator: user.is_moderator 
-      }, 
-      process.env.JWT_SECRET, 
-      { expiresIn: '7d' }
-    );
+    const user = await db.users.create({
+      display_name: displayName,
+      username: username.toLowerCase(),
+      email: email.toLowerCase(),
+      password_hash: passwordHash,
+      is_admin: false,
+      is_moderator: false,
+      is_verified: false,
+      is_premium: false
+    });
+
+    // The account works without it, so a mail failure doesn't fail signup;
+    // the user can ask for another link
+    try {
+      await accountEmails.sendVerification(user);
+    } catch (error) {
+      console.error('Error sending verification email:', error);
+    }
 
     // Remove password from response
     const { password_hash, ...userWithoutPassword } = user;
 
     res.json({ 
       user: userWithoutPassword, 
-      token,
+      ...await sessions.start(user, req),
       message: 'User created successfully' 
     });
 
@@ -157,22 +344,40 @@ app.post('/api/auth/register', [
   }
 });
 
-// Login
+// Look up the account a login names, by username or email, as req.loginUser
+const findLoginUser = async (req, res, next) => {
+  try {
+    req.loginUser = await db.users.findByLogin(req.body.identifier);
+    next();
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Counts guesses at each account's second-step code. Keyed on the account,
+// so switching between its username and email doesn't buy more guesses.
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  keyGenerator: (req) => (req.loginUser ? `user:${req.loginUser.id}` : `unknown:${String(req.body.identifier).toLowerCase()}`),
+  skip: (req) => !req.body.two_factor_code,
+  message: { error: 'Too many codes tried. Please wait a few minutes and try again.', two_factor_required: true }
+});
+
+// Login. Accounts with two-factor on are asked for two_factor_code, a code
+// from their authenticator app or a recovery code, sent along with the
+// password.
 app.post('/api/auth/login', [
   body('identifier').notEmpty(),
-  body('password').notEmpty()
-], handleValidationErrors, async (req, res) => {
+  body('password').notEmpty(),
+  body('two_factor_code').optional({ values: 'null' }).isString()
+], handleValidationErrors, findLoginUser, twoFactorLimiter, async (req, res) => {
   try {
-    const { identifier, password } = req.body;
-
-    // Find user by username or email
-    const { data: user, error } = await supabase
-      .from('users')
-      .select('*')
-      .or(`username.eq.${identifier},email.eq.${identifier}`)
-      .single();
+    const { password } = req.body;
+    const user = req.loginUser;
 
-    if (error || !user) {
+    if (!user) {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
@@ -182,24 +387,29 @@ app.post('/api/auth/login', [
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        id: user.id, 
-        username: user.username,
-        is_admin: user.is_admin,
-        is_moderator: user.is_moderator 
-      }, 
-      process.env.JWT_SECRET, 
-      { expiresIn: '7d' }
-    );
+    if (isTwoFactorEnabled(user)) {
+      const code = req.body.two_factor_code;
+
+      if (!code) {
+        return res.status(401).json({ error: 'Enter the code from your authenticator app', two_factor_required: true });
+      }
+      if (!(await twoFactor.verify(user, code))) {
+        return res.status(401).json({ error: 'That code didn\'t work. Try again.', two_factor_required: true });
+      }
+    }
+
+    // Only once the account is proven, so a password alone doesn't reveal a ban
+    const ban = await bans.activeBan(user);
+    if (ban) {
+      return res.status(403).json(bannedResponse(ban));
+    }
 
     // Remove password from response
     const { password_hash, ...userWithoutPassword } = user;
 
     res.json({ 
       user: userWithoutPassword, 
-      token,
+      ...await sessions.start(user, req),
       message: 'Login successful' 
     });
 
@@ -209,477 +419,2193 @@ app.post('/api/auth/login', [
   }
 });
 
-// ============ POST ROUTES ============
-
-// Get all posts
-app.get('/api/posts', async (req, res) => {
+// Trade a refresh token for a new access token and refresh token. The old
+// refresh token stops working.
+app.post('/api/auth/refresh', [
+  body('refresh_token').isString().notEmpty()
+], handleValidationErrors, async (req, res) => {
   try {
-    const { data: posts, error } = await supabase
-      .from('posts')
-      .select(`
-        *,
-        user:users(display_name, username, avatar_url, is_verified, is_premium),
-        likes:likes(count)
-      `)
-      .order('created_at', { ascending: false });
+    const { user, ...tokens } = await sessions.refresh(req.body.refresh_token, req);
 
-    if (error) throw error;
+    const ban = await bans.activeBan(user);
+    if (ban) {
+      return res.status(403).json(bannedResponse(ban));
+    }
 
-    // Format posts with like counts
-    const formattedPosts = posts.map(post => ({
-      ...post,
-      likes_count: post.likes[0]?.count || 0
-    }));
+    const { password_hash, ...userWithoutPassword } = user;
 
-    res.json(formattedPosts);
+    res.json({ user: userWithoutPassword, ...tokens });
 
   } catch (error) {
-    console.error('Error loading posts:', error);
+    if (error.code === 'INVALID_SESSION') {
+      return res.status(401).json({ error: error.message });
+    }
+    console.error('Error refreshing session:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Create post
-app.post('/api/posts', authenticateToken, [
-  body('content').isLength({ min: 1, max: 280 })
-], handleValidationErrors, async (req, res) => {
+// Log out this session
+app.post('/api/auth/logout', authenticateToken, async (req, res) => {
   try {
-    const { content } = req.body;
-    const userId = req.user.id;
-
-    const { data: post, error } = await supabase
-      .from('posts')
-      .insert([{ 
-        user_id: userId, 
-        content: content.trim()
-      }])
-      .select(`
-        *,
-        user:users(display_name, username, avatar_url, is_verified, is_premium)
-      `)
-      .single();
-
-    if (error) throw error;
+    await db.sessions.revoke(req.user.sid, { user_id: req.user.id });
+    events.disconnect({ sessionId: req.user.sid });
 
-    res.json(post);
+    res.json({ message: 'Logged out' });
 
   } catch (error) {
-    console.error('Error creating post:', error);
+    console.error('Error logging out:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Like post
-app.post('/api/posts/:id/like', authenticateToken, async (req, res) => {
+// Log out every session, this one included
+app.post('/api/auth/logout-all', authenticateToken, async (req, res) => {
   try {
-    const postId = req.params.id;
-    const userId = req.user.id;
-
-    const { data: like, error } = await supabase
-      .from('likes')
-      .insert([{ user_id: userId, post_id: postId }])
-      .select()
-      .single();
+    const count = await db.sessions.revokeAll(req.user.id);
+    events.disconnect({ userId: req.user.id });
 
-    if (error) throw error;
-
-    res.json({ liked: true, like });
+    res.json({ message: 'Logged out everywhere', sessions_ended: count });
 
   } catch (error) {
-    console.error('Error liking post:', error);
+    console.error('Error logging out everywhere:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Unlike post
-app.delete('/api/posts/:id/like', authenticateToken, async (req, res) => {
-  try {
-    const postId = req.params.id;
-    const userId = req.user.id;
+// Counts requests for account emails from each client
+const accountEmailLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5,
+  message: { error: 'Too many emails requested. Please try again later.' }
+});
 
-    const { error } = await supabase
-      .from('likes')
-      .delete()
-      .match({ user_id: userId, post_id: postId });
+// Confirm an email address with the token from a verification link
+app.post('/api/auth/verify-email', [
+  body('token').isString().notEmpty()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const user = await accountEmails.verifyEmail(req.body.token);
 
-    if (error) throw error;
+    if (!user) {
+      return res.status(400).json({ error: 'This link is invalid or has expired' });
+    }
 
-    res.json({ liked: false });
+    res.json({ message: 'Email address confirmed', email_verified_at: user.email_verified_at });
 
   } catch (error) {
-    console.error('Error unliking post:', error);
+    console.error('Error verifying email:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// ============ USER ROUTES ============
-
-// Get user profile
-app.get('/api/users/:username', async (req, res) => {
+// Send another verification link, cancelling the last one
+app.post('/api/auth/resend-verification', authenticateToken, accountEmailLimiter, async (req, res) => {
   try {
-    const { username } = req.params;
+    const user = await db.users.findById(req.user.id);
 
-    const { data: user, error } = await supabase
-      .from('users')
-      .select(`
-        id,
-        display_name,
-        username,
-        avatar_url,
-        banner_url,
-        bio,
-        website,
-        location,
-        is_verified,
-        is_premium,
-        created_at
-      `)
-      .eq('username', username)
-      .single();
-
-    if (error || !user) {
-      return res.status(404).json({ error: 'User not found' });
+    if (isEmailVerified(user)) {
+      return res.status(400).json({ error: 'Your email address is already confirmed' });
     }
 
-    // Get user stats
-    const { data: posts } = await supabase
-      .from('posts')
-      .select('id', { count: 'exact' })
-      .eq('user_id', user.id);
-
-    const { data: followers } = await supabase
-      .from('follows')
-      .select('id', { count: 'exact' })
-      .eq('following_id', user.id);
+    await accountEmails.sendVerification(user);
 
-    const { data: following } = await supabase
-      .from('follows')
-      .select('id', { count: 'exact' })
-      .eq('follower_id', user.id);
-
-    res.json({
-      ...user,
-      posts_count: posts?.length || 0,
-      followers_count: followers?.length || 0,
-      following_count: following?.length || 0
-    });
+    res.json({ message: `We've sent a new link to ${user.email}` });
 
   } catch (error) {
-    console.error('Error fetching user:', error);
+    console.error('Error resending verification email:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Follow user
-app.post('/api/users/:username/follow', authenticateToken, async (req, res) => {
+// Mail a password reset link. The response is the same whether or not the
+// address has an account, so it can't be used to find out who's signed up.
+app.post('/api/auth/forgot-password', accountEmailLimiter, [
+  body('email').isEmail().withMessage('Enter a valid email address')
+], handleValidationErrors, async (req, res) => {
   try {
-    const targetUsername = req.params.username;
-    const followerId = req.user.id;
-
-    // Get target user ID
-    const { data: targetUser, error: userError } = await supabase
-      .from('users')
-      .select('id')
-      .eq('username', targetUsername)
-      .single();
+    const user = await db.users.findByLogin(req.body.email.toLowerCase());
 
-    if (userError || !targetUser) {
-      return res.status(404).json({ error: 'User not found' });
+    if (user) {
+      await accountEmails.sendPasswordReset(user);
     }
 
-    const { data: follow, error } = await supabase
-      .from('follows')
-      .insert([{ 
-        follower_id: followerId, 
-        following_id: targetUser.id 
-      }])
-      .select()
-      .single();
-
-    if (error) throw error;
-
-    res.json({ following: true, follow });
+    res.json({ message: 'If that address has an account, we\'ve sent it a link to reset the password' });
 
   } catch (error) {
-    console.error('Error following user:', error);
+    console.error('Error sending password reset email:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Unfollow user
-app.delete('/api/users/:username/follow', authenticateToken, async (req, res) => {
+// Choose a new password with the token from a reset link. Every session is
+// signed out, so whoever knew the old password loses access.
+app.post('/api/auth/reset-password', [
+  body('token').isString().notEmpty(),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], handleValidationErrors, async (req, res) => {
   try {
-    const targetUsername = req.params.username;
-    const followerId = req.user.id;
-
-    // Get target user ID
-    const { data: targetUser, error: userError } = await supabase
-      .from('users')
-      .select('id')
-      .eq('username', targetUsername)
-      .single();
+    const saltRounds = 12;
+    const passwordHash = await bcrypt.hash(req.body.password, saltRounds);
+    const user = await accountEmails.resetPassword(req.body.token, passwordHash);
 
-    if (userError || !targetUser) {
-      return res.status(404).json({ error: 'User not found' });
+    if (!user) {
+      return res.status(400).json({ error: 'This link is invalid or has expired' });
     }
 
-    const { error } = await supabase
-      .from('follows')
-      .delete()
-      .match({ 
-        follower_id: followerId, 
-        following_id: targetUser.id 
-      });
-
-    if (error) throw error;
+    await db.sessions.revokeAll(user.id);
+    events.disconnect({ userId: user.id });
 
-    res.json({ following: false });
+    res.json({ message: 'Password changed. You can log in with your new password.' });
 
   } catch (error) {
-    console.error('Error unfollowing user:', error);
+    console.error('Error resetting password:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// ============ ADMIN ROUTES ============
+// ============ TWO-FACTOR ROUTES ============
 
-// Get all users (admin only)
-app.get('/api/admin/users', authenticateToken, requireAdmin, async (req, res) => {
+// Whether two-factor is on, and how many recovery codes are left
+app.get('/api/auth/2fa', authenticateToken, async (req, res) => {
   try {
-    const { page = 1, limit = 50, search = '' } = req.query;
-    const offset = (page - 1) * limit;
-
-    let query = supabase
-      .from('users')
-      .select('*', { count: 'exact' })
-      .order('created_at', { ascending: false })
-      .range(offset, offset + limit - 1);
+    const user = await db.users.findById(req.user.id);
+    res.json(await twoFactor.status(user));
 
-    if (search) {
-      query = query.or(`username.ilike.%${search}%,display_name.ilike.%${search}%,email.ilike.%${search}%`);
-    }
-
-    const { data: users, error, count } = await query;
-
-    if (error) throw error;
+  } catch (error) {
+    console.error('Error loading two-factor status:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    res.json({
-      users,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: count,
-        pages: Math.ceil(count / limit)
-      }
-    });
+// Start turning two-factor on. Returns a new secret as text, an otpauth://
+// URI and a QR code image (data URL) to add to an authenticator app.
+app.post('/api/auth/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    const user = await db.users.findById(req.user.id);
+    res.json(await twoFactor.setup(user));
 
   } catch (error) {
-    console.error('Error fetching users:', error);
+    if (error.code === 'INVALID_TWO_FACTOR') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error setting up two-factor:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Ban user
-app.post('/api/admin/users/:id/ban', authenticateToken, requireAdmin, [
-  body('reason').notEmpty(),
-  body('duration_hours').isInt({ min: 1 })
+// Turn two-factor on with a code from the app. The response holds the
+// recovery codes; they can't be shown again.
+app.post('/api/auth/2fa/enable', authenticateToken, [
+  body('code').isString().trim().notEmpty().withMessage('Enter the code from your authenticator app')
 ], handleValidationErrors, async (req, res) => {
   try {
-    const userId = req.params.id;
-    const { reason, duration_hours } = req.body;
-    const adminId = req.user.id;
-
-    // Update user
-    const { error } = await supabase
-      .from('users')
-      .update({ 
-        is_banned: true,
-        banned_until: new Date(Date.now() + duration_hours * 3600000).toISOString()
-      })
-      .eq('id', userId);
+    const user = await db.users.findById(req.user.id);
+    const recoveryCodes = await twoFactor.enable(user, req.body.code);
 
-    if (error) throw error;
-
-    // Log admin action
-    await supabase
-      .from('admin_actions')
-      .insert([{
-        admin_id: adminId,
-        target_user_id: userId,
-        action_type: 'ban',
-        reason: reason,
-        duration_hours: duration_hours
-      }]);
-
-    res.json({ message: 'User banned successfully' });
+    res.json({ message: 'Two-factor authentication is on', recovery_codes: recoveryCodes });
 
   } catch (error) {
-    console.error('Error banning user:', error);
+    if (error.code === 'INVALID_TWO_FACTOR') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error enabling two-factor:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Unban user
-app.post('/api/admin/users/:id/unban', authenticateToken, requireAdmin, async (req, res) => {
+// Replace the recovery codes, given a code from the app or an unused
+// recovery code
+app.post('/api/auth/2fa/recovery-codes', authenticateToken, [
+  body('code').isString().trim().notEmpty().withMessage('Enter a code from your authenticator app')
+], handleValidationErrors, async (req, res) => {
   try {
-    const userId = req.params.id;
-    const adminId = req.user.id;
-
-    const { error } = await supabase
-      .from('users')
-      .update({ 
-        is_banned: false,
-        banned_until: null
-      })
-      .eq('id', userId);
+    const user = await db.users.findById(req.user.id);
 
-    if (error) throw error;
-
-    // Log admin action
-    await supabase
-      .from('admin_actions')
-      .insert([{
-        admin_id: adminId,
-        target_user_id: userId,
-        action_type: 'unban',
-        reason: 'Manual unban by admin'
-      }]);
+    if (!isTwoFactorEnabled(user)) {
+      return res.status(400).json({ error: 'Two-factor authentication is off' });
+    }
+    if (!(await twoFactor.verify(user, req.body.code))) {
+      return res.status(400).json({ error: 'That code didn\'t work. Try again.' });
+    }
 
-    res.json({ message: 'User unbanned successfully' });
+    res.json({ recovery_codes: await twoFactor.regenerateRecoveryCodes(user) });
 
   } catch (error) {
-    console.error('Error unbanning user:', error);
+    console.error('Error replacing recovery codes:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Delete post (admin/moderator)
-app.delete('/api/admin/posts/:id', authenticateToken, requireModerator, async (req, res) => {
+// Turn two-factor off. Takes the password and a code, so an unattended
+// signed-in device isn't enough.
+app.post('/api/auth/2fa/disable', authenticateToken, [
+  body('password').isString().notEmpty().withMessage('Enter your password'),
+  body('code').isString().trim().notEmpty().withMessage('Enter a code from your authenticator app')
+], handleValidationErrors, async (req, res) => {
   try {
-    const postId = req.params.id;
-    const moderatorId = req.user.id;
-
-    const { error } = await supabase
-      .from('posts')
-      .delete()
-      .eq('id', postId);
+    const user = await db.users.findById(req.user.id);
 
-    if (error) throw error;
+    if (!isTwoFactorEnabled(user)) {
+      return res.status(400).json({ error: 'Two-factor authentication is off' });
+    }
+    if (!(await bcrypt.compare(req.body.password, user.password_hash))) {
+      return res.status(400).json({ error: 'Incorrect password' });
+    }
+    if (!(await twoFactor.verify(user, req.body.code))) {
+      return res.status(400).json({ error: 'That code didn\'t work. Try again.' });
+    }
 
-    // Log moderation action
-    await supabase
-      .from('moderation_actions')
-      .insert([{
-        moderator_id: moderatorId,
-        target_post_id: postId,
-        action_type: 'delete_post',
-        reason: req.body.reason || 'Violation of community guidelines'
-      }]);
+    await twoFactor.disable(user);
 
-    res.json({ message: 'Post deleted successfully' });
+    res.json({ message: 'Two-factor authentication is off' });
 
   } catch (error) {
-    console.error('Error deleting post:', error);
+    console.error('Error disabling two-factor:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Get platform analytics
-app.get('/api/admin/analytics', authenticateToken, requireAdmin, async (req, res) => {
-  try {
-    const { period = '7d' } = req.query; // 7d, 30d, 90d
-    
-    // User growth
-    const { data: userStats } = await supabase
-      .from('users')
-      .select('created_at');
-
-    // Post statistics
-    const { data: postStats } = await supabase
-      .from('posts')
-      .select('created_at');
+// ============ SESSION ROUTES ============
 
-    // Revenue (placeholder for Monero integration)
-    const revenueStats = {
-      total_revenue: 0,
-      premium_users: 0,
-      conversion_rate: 0
-    };
+// Devices signed in to this account, most recently used first. last_seen_at
+// moves when the device refreshes its access token.
+app.get('/api/sessions', authenticateToken, async (req, res) => {
+  try {
+    const rows = await db.sessions.listActive(req.user.id, new Date().toISOString());
 
     res.json({
-      user_growth: userStats?.length || 0,
-      total_posts: postStats?.length || 0,
-      active_today: Math.floor(Math.random() * 100) + 50, // Mock data
-      revenue: revenueStats
+      sessions: rows.map(session => ({
+        id: session.id,
+        device: describeDevice(session.user_agent),
+        user_agent: session.user_agent,
+        ip: session.ip,
+        last_seen_at: session.last_seen_at,
+        created_at: session.created_at,
+        current: session.id === req.user.sid
+      }))
     });
 
   } catch (error) {
-    console.error('Error fetching analytics:', error);
+    console.error('Error loading sessions:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// ============ MODERATION ROUTES ============
-
-// Get reported content
-app.get('/api/moderation/reports', authenticateToken, requireModerator, async (req, res) => {
+// Log out one of your sessions
+app.delete('/api/sessions/:id', authenticateToken, async (req, res) => {
   try {
-    const { status = 'pending' } = req.query;
+    const session = await db.sessions.revoke(req.params.id, { user_id: req.user.id });
 
-    const { data: reports, error } = await supabase
-      .from('reports')
-      .select(`
-        *,
-        reporter:users!reporter_id(display_name, username),
-        reported_user:users!reported_user_id(display_name, username),
-        reported_post:posts(content, user_id)
-      `)
-      .eq('status', status)
-      .order('created_at', { ascending: false });
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
 
-    if (error) throw error;
+    events.disconnect({ sessionId: session.id });
 
-    res.json(reports);
+    res.json({ message: 'Session ended', current: session.id === req.user.sid });
 
   } catch (error) {
-    console.error('Error fetching reports:', error);
+    console.error('Error ending session:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Resolve report
-app.post('/api/moderation/reports/:id/resolve', authenticateToken, requireModerator, [
-  body('action').isIn(['dismiss', 'warn', 'ban', 'delete']),
-  body('notes').optional()
+// ============ POST ROUTES ============
+
+// Create a post with its mentions resolved, attach any `media` (already
+// checked by mediaService.check) and index its hashtags
+const createPost = async (fields, { media = [] } = {}) => {
+  const mentions = await resolveMentions(db, fields.content, fields.user_id);
+  const post = await db.posts.create({ ...fields, mentions });
+
+  if (media.length > 0) {
+    post.media = await mediaService.attach(post.id, media);
+  }
+
+  await db.hashtags.index({
+    post_id: post.id,
+    tags: extractHashtags(post.content),
+    created_at: post.created_at
+  });
+  return post;
+};
+
+// Get posts, newest first. Pass `before` (a next_cursor) to get older pages.
+app.get('/api/posts', optionalAuth, [
+  query('before').optional().custom(isValidCursor).withMessage('Invalid cursor'),
+  query('limit').optional().isInt({ min: 1, max: MAX_PAGE_SIZE })
 ], handleValidationErrors, async (req, res) => {
   try {
-    const reportId = req.params.id;
-    const { action, notes } = req.body;
-    const moderatorId = req.user.id;
+    const limit = parseLimit(req.query.limit);
+    const rows = await db.posts.list({
+      before: decodeCursor(req.query.before),
+      limit: limit + 1,
+      replies: false,
+      excludeAuthorIds: await hiddenUserIds(db, req.user?.id, { timeline: true }),
+      viewerId: req.user?.id
+    });
 
-    // Update report status
-    const { error } = await supabase
-      .from('reports')
-      .update({ 
-        status: 'resolved',
-        resolved_by: moderatorId,
-        resolved_at: new Date().toISOString(),
-        resolution_notes: notes
-      })
-      .eq('id', reportId);
+    const { items: posts, next_cursor } = toPage(rows, limit);
 
-    if (error) throw error;
+    res.json({ posts, next_cursor });
 
-    // Take action based on resolution
-    if (action === 'ban') {
-      // Implement ban logic
-    } else if (action === 'delete') {
-      // Implement content deletion
-    }
+  } catch (error) {
+    console.error('Error loading posts:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    res.json({ message: 'Report resolved successfully' });
+// Upload an image (multipart field `image`) to attach to a post. The
+// returned id goes in the post's `media` list.
+app.post('/api/media', authenticateToken, requireVerifiedEmail, uploadImage, async (req, res) => {
+  try {
+    const media = await mediaService.upload(req.user.id, req.file.buffer);
+    res.json(pick(media, POST_MEDIA_FIELDS));
 
   } catch (error) {
+    if (error.code === 'INVALID_IMAGE') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error uploading media:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create post. `media` is up to four uploaded images as [{ id, alt_text }];
+// a post with images may have no text.
+app.post('/api/posts', authenticateToken, [
+  body('content').optional().isString().isLength({ max: 280 }),
+  body('media').optional().isArray({ max: MAX_POST_MEDIA }).withMessage(`Posts can have up to ${MAX_POST_MEDIA} images`),
+  body('media.*.id').isString().notEmpty(),
+  body('media.*.alt_text').optional({ values: 'null' }).isString()
+    .isLength({ max: MAX_ALT_TEXT_LENGTH }).withMessage(`Alt text must be ${MAX_ALT_TEXT_LENGTH} characters or fewer`)
+], handleValidationErrors, async (req, res) => {
+  try {
+    const content = (req.body.content || '').trim();
+    const media = req.body.media || [];
+    const userId = req.user.id;
+
+    if (!content && media.length === 0) {
+      return res.status(400).json({ error: 'Post needs text or an image' });
+    }
+
+    await mediaService.check(userId, media);
+
+    const post = await createPost({
+      user_id: userId,
+      content
+    }, { media });
+
+    await notifier.mentions(post);
+    events.publish('post.created', { post });
+
+    res.json(post);
+
+  } catch (error) {
+    if (error.code === 'INVALID_MEDIA') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error creating post:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Reply to a post
+app.post('/api/posts/:id/replies', authenticateToken, [
+  body('content').isLength({ min: 1, max: 280 })
+], handleValidationErrors, async (req, res) => {
+  try {
+    const parent = await db.posts.findById(req.params.id);
+
+    if (!parent) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+    if (await isBlockedBetween(db, req.user.id, parent.user_id)) {
+      return res.status(403).json({ error: 'You can\'t reply to this account' });
+    }
+
+    const reply = await createPost({
+      user_id: req.user.id,
+      content: req.body.content.trim(),
+      reply_to_id: parent.id,
+      root_id: parent.root_id || parent.id
+    });
+
+    await notifier.notify({ user_id: parent.user_id, actor_id: req.user.id, type: 'reply', post_id: reply.id });
+    await notifier.mentions(reply, { skip: [parent.user_id] });
+
+    res.json(reply);
+
+  } catch (error) {
+    console.error('Error creating reply:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a post with its ancestors and nested replies
+app.get('/api/posts/:id/thread', optionalAuth, async (req, res) => {
+  try {
+    const viewerId = req.user?.id;
+    const hidden = await hiddenUserIds(db, viewerId);
+    const post = await db.posts.findById(req.params.id, { viewerId });
+
+    if (!post || hidden.includes(post.user_id)) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    // Replies from blocked accounts drop out along with the replies under them
+    const rootId = post.root_id || post.id;
+    const conversation = await db.posts.listConversation(rootId, { excludeAuthorIds: hidden, viewerId });
+
+    // The root isn't part of its own conversation list
+    if (post.root_id) {
+      const root = await db.posts.findById(rootId, { viewerId });
+      if (root && !hidden.includes(root.user_id)) conversation.unshift(root);
+    }
+
+    const { ancestors, replies } = buildThread(post, conversation);
+
+    res.json({ post, ancestors, replies });
+
+  } catch (error) {
+    console.error('Error loading thread:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Quote a post
+app.post('/api/posts/:id/quote', authenticateToken, [
+  body('content').isLength({ min: 1, max: 280 })
+], handleValidationErrors, async (req, res) => {
+  try {
+    const original = await db.posts.findById(req.params.id);
+
+    if (!original) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+    if (await isBlockedBetween(db, req.user.id, original.user_id)) {
+      return res.status(403).json({ error: 'You can\'t quote this account' });
+    }
+
+    const post = await createPost({
+      user_id: req.user.id,
+      content: req.body.content.trim(),
+      quote_of_id: original.id
+    });
+
+    await notifier.notify({ user_id: original.user_id, actor_id: req.user.id, type: 'quote', post_id: post.id });
+    await notifier.mentions(post, { skip: [original.user_id] });
+    events.publish('post.created', { post });
+
+    res.json(post);
+
+  } catch (error) {
+    console.error('Error quoting post:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Repost
+app.post('/api/posts/:id/repost', authenticateToken, async (req, res) => {
+  try {
+    const postId = req.params.id;
+    const post = await db.posts.findById(postId);
+
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+    if (await isBlockedBetween(db, req.user.id, post.user_id)) {
+      return res.status(403).json({ error: 'You can\'t repost this account' });
+    }
+
+    try {
+      await db.reposts.create({ user_id: req.user.id, post_id: postId });
+      await notifier.notify({ user_id: post.user_id, actor_id: req.user.id, type: 'repost', post_id: postId });
+    } catch (error) {
+      // Already reposted
+      if (error.code !== '23505') throw error;
+    }
+
+    const repostsCount = await db.reposts.countForPost(postId);
+
+    res.json({ reposted: true, reposts_count: repostsCount });
+
+  } catch (error) {
+    console.error('Error reposting:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Undo repost
+app.delete('/api/posts/:id/repost', authenticateToken, async (req, res) => {
+  try {
+    const postId = req.params.id;
+
+    await db.reposts.delete({ user_id: req.user.id, post_id: postId });
+    await notifier.retract({ actor_id: req.user.id, type: 'repost', post_id: postId });
+    const repostsCount = await db.reposts.countForPost(postId);
+
+    res.json({ reposted: false, reposts_count: repostsCount });
+
+  } catch (error) {
+    console.error('Error undoing repost:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Like post. Liking twice is a no-op; the response carries the new count.
+app.post('/api/posts/:id/like', authenticateToken, async (req, res) => {
+  try {
+    const postId = req.params.id;
+    const userId = req.user.id;
+
+    const post = await db.posts.findById(postId);
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+    if (await isBlockedBetween(db, userId, post.user_id)) {
+      return res.status(403).json({ error: 'You can\'t like this account\'s posts' });
+    }
+
+    try {
+      await db.likes.create({ user_id: userId, post_id: postId });
+      await notifier.notify({ user_id: post.user_id, actor_id: userId, type: 'like', post_id: postId });
+    } catch (error) {
+      // Already liked
+      if (error.code !== '23505') throw error;
+    }
+
+    const likesCount = await db.likes.countForPost(postId);
+    events.publish('post.likes', { post_id: postId, likes_count: likesCount });
+
+    res.json({ liked: true, likes_count: likesCount });
+
+  } catch (error) {
+    console.error('Error liking post:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Unlike post
+app.delete('/api/posts/:id/like', authenticateToken, async (req, res) => {
+  try {
+    const postId = req.params.id;
+    const userId = req.user.id;
+
+    await db.likes.delete({ user_id: userId, post_id: postId });
+    await notifier.retract({ actor_id: userId, type: 'like', post_id: postId });
+    const likesCount = await db.likes.countForPost(postId);
+    events.publish('post.likes', { post_id: postId, likes_count: likesCount });
+
+    res.json({ liked: false, likes_count: likesCount });
+
+  } catch (error) {
+    console.error('Error unliking post:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============ FEED ROUTES ============
+
+// For You timeline: recent posts ordered by the feed ranker.
+// The response names the ranker so clients can tell experiment arms apart.
+app.get('/api/feed/for-you', optionalAuth, [
+  query('before').optional().custom(isValidSnapshotCursor).withMessage('Invalid cursor'),
+  query('limit').optional().isInt({ min: 1, max: MAX_PAGE_SIZE }),
+  query('ranker').optional().isIn(rankerNames)
+], handleValidationErrors, async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit);
+    const ranker = req.query.ranker ? createRanker(req.query.ranker) : feedRanker;
+    const { as_of, offset } = decodeSnapshotCursor(req.query.before) ||
+      { as_of: new Date().toISOString(), offset: 0 };
+    const now = Date.parse(as_of);
+
+    // Rank the same candidates against the same point in time on every page
+    // so posts don't shuffle as new ones arrive
+    const candidates = await db.posts.list({
+      asOf: as_of,
+      limit: CANDIDATE_POOL_SIZE,
+      replies: false,
+      excludeAuthorIds: await hiddenUserIds(db, req.user?.id, { timeline: true }),
+      viewerId: req.user?.id
+    });
+
+    const signals = await gatherSignals(db, candidates, req.user?.id, {
+      now,
+      windowHours: ranker.weights?.velocityWindowHours
+    });
+    const ranked = ranker.rank(candidates, signals, { now });
+    const posts = ranked.slice(offset, offset + limit);
+
+    res.set('X-Feed-Ranker', ranker.name);
+    res.json({
+      posts,
+      next_cursor: ranked.length > offset + limit
+        ? encodeSnapshotCursor({ as_of, offset: offset + limit })
+        : null,
+      ranker: ranker.name
+    });
+
+  } catch (error) {
+    console.error('Error loading for you feed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Following timeline: posts from accounts the current user follows, plus
+// what they reposted (marked with `reposted_by`)
+app.get('/api/feed/following', authenticateToken, [
+  query('before').optional().custom(isValidCursor).withMessage('Invalid cursor'),
+  query('limit').optional().isInt({ min: 1, max: MAX_PAGE_SIZE })
+], handleValidationErrors, async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit);
+    const before = decodeCursor(req.query.before);
+    const viewerId = req.user.id;
+    const hidden = await hiddenUserIds(db, viewerId, { timeline: true });
+    const followingIds = (await db.follows.listFollowingIds(viewerId)).filter(id => !hidden.includes(id));
+
+    const [posts, reposts] = await Promise.all([
+      db.posts.list({ before, limit: limit + 1, authorIds: followingIds, replies: false, viewerId }),
+      db.reposts.list({ userIds: followingIds, excludeAuthorIds: hidden, before, limit: limit + 1, viewerId })
+    ]);
+
+    // Timeline entries are keyed by when they entered the timeline: the post
+    // time for posts, the repost time for reposts
+    const entries = [
+      ...posts.map(post => ({ id: post.id, created_at: post.created_at, post })),
+      ...reposts.map(repost => ({
+        id: repost.id,
+        created_at: repost.created_at,
+        post: { ...repost.post, reposted_by: repost.user }
+      }))
+    ].sort(compareNewest);
+
+    const { items, next_cursor } = toPage(entries, limit);
+
+    // Show each post once per page, at its most recent appearance
+    const seen = new Set();
+    const timeline = items
+      .map(entry => entry.post)
+      .filter(post => !seen.has(post.id) && seen.add(post.id));
+
+    res.json({ posts: timeline, next_cursor });
+
+  } catch (error) {
+    console.error('Error loading following feed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============ USER ROUTES ============
+
+// Profile fields a user can edit themselves
+const EDITABLE_PROFILE_FIELDS = ['display_name', 'bio', 'website', 'location'];
+
+// An absolute http(s) URL with a dotted host, or empty to clear it
+const isValidWebsite = (value) => {
+  if (value === '') return true;
+  try {
+    const url = new URL(value);
+    return ['http:', 'https:'].includes(url.protocol) && url.hostname.includes('.');
+  } catch {
+    return false;
+  }
+};
+
+// Update your profile. Fields left out stay as they are; an empty bio,
+// website or location clears it.
+app.put('/api/users/profile', authenticateToken, [
+  body('display_name').optional().isString().trim()
+    .isLength({ min: 1, max: 50 }).withMessage('Display name must be 1 to 50 characters'),
+  body('bio').optional({ values: 'null' }).isString().trim()
+    .isLength({ max: 160 }).withMessage('Bio must be 160 characters or fewer'),
+  body('website').optional({ values: 'null' }).isString().trim()
+    .isLength({ max: 100 }).withMessage('Website must be 100 characters or fewer').bail()
+    .custom(isValidWebsite).withMessage('Website must be a full http:// or https:// address'),
+  body('location').optional({ values: 'null' }).isString().trim()
+    .isLength({ max: 30 }).withMessage('Location must be 30 characters or fewer')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const changes = Object.fromEntries(EDITABLE_PROFILE_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .map(field => [field, req.body[field] || null]));
+
+    const user = Object.keys(changes).length > 0
+      ? await db.users.update(req.user.id, changes)
+      : await db.users.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Open clients refresh the name and avatar they show for this user
+    events.publish('user.updated', { user: pick(user, PUBLIC_USER_FIELDS) });
+
+    const { password_hash, ...userWithoutPassword } = user;
+    res.json(userWithoutPassword);
+
+  } catch (error) {
+    console.error('Error updating profile:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Upload a new avatar or banner as the multipart field `image`. crop_x,
+// crop_y, crop_width and crop_height pick the area to keep; without them the
+// image is cropped around its centre.
+app.post('/api/users/profile/:kind(avatar|banner)', authenticateToken, requireVerifiedEmail, uploadImage, [
+  body(['crop_x', 'crop_y']).optional().isInt({ min: 0 }).toInt(),
+  body(['crop_width', 'crop_height']).optional().isInt({ min: 1 }).toInt()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { kind } = req.params;
+    const column = `${kind}_url`;
+    const { crop_x, crop_y, crop_width, crop_height } = req.body;
+
+    const crop = [crop_x, crop_y, crop_width, crop_height].every(value => value !== undefined)
+      ? { x: crop_x, y: crop_y, width: crop_width, height: crop_height }
+      : null;
+
+    const current = await db.users.findById(req.user.id);
+
+    if (!current) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const image = await processProfileImage(req.file.buffer, kind, crop);
+    const url = await storage.put(`${kind}s/${req.user.id}/${randomUUID()}.webp`, image, {
+      contentType: 'image/webp'
+    });
+
+    const user = await db.users.update(req.user.id, { [column]: url });
+
+    // Nothing points at the old image any more
+    await storage.remove(current[column]);
+
+    events.publish('user.updated', { user: pick(user, PUBLIC_USER_FIELDS) });
+
+    const { password_hash, ...userWithoutPassword } = user;
+    res.json(userWithoutPassword);
+
+  } catch (error) {
+    if (error.code === 'INVALID_IMAGE') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error uploading profile image:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Why `viewerId` can't see `user`'s posts, or null when they can
+const blockedMessage = async (viewerId, user) => {
+  const { blocking, blocked_by } = await blockStatus(db, viewerId, user.id);
+  if (blocked_by) return `@${user.username} has blocked you`;
+  if (blocking) return `You blocked @${user.username}`;
+  return null;
+};
+
+// Get user profile. Signed-in viewers also get whether they block or mute
+// the user; a user who blocked the viewer can't be viewed.
+app.get('/api/users/:username', optionalAuth, async (req, res) => {
+  try {
+    const { username } = req.params;
+    const viewerId = req.user?.id;
+
+    const user = await db.users.getProfile(username);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { blocking, blocked_by } = await blockStatus(db, viewerId, user.id);
+
+    if (blocked_by) {
+      return res.status(403).json({ error: `@${user.username} has blocked you`, blocked_by: true });
+    }
+
+    // Get user stats
+    const [postsCount, followersCount, followingCount, muting] = await Promise.all([
+      db.posts.countByUser(user.id),
+      db.follows.countFollowers(user.id),
+      db.follows.countFollowing(user.id),
+      viewerId ? db.mutes.isMuted({ muter_id: viewerId, muted_id: user.id }) : false
+    ]);
+
+    res.json({
+      ...user,
+      posts_count: postsCount,
+      followers_count: followersCount,
+      following_count: followingCount,
+      blocking,
+      muting
+    });
+
+  } catch (error) {
+    console.error('Error fetching user:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a user's posts, without their replies
+app.get('/api/users/:username/posts', optionalAuth, [
+  query('before').optional().custom(isValidCursor).withMessage('Invalid cursor'),
+  query('limit').optional().isInt({ min: 1, max: MAX_PAGE_SIZE })
+], handleValidationErrors, async (req, res) => {
+  try {
+    const user = await db.users.getProfile(req.params.username);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const blocked = await blockedMessage(req.user?.id, user);
+    if (blocked) {
+      return res.status(403).json({ error: blocked });
+    }
+
+    const limit = parseLimit(req.query.limit);
+    const rows = await db.posts.list({
+      before: decodeCursor(req.query.before),
+      limit: limit + 1,
+      authorIds: [user.id],
+      replies: false,
+      viewerId: req.user?.id
+    });
+
+    const { items: posts, next_cursor } = toPage(rows, limit);
+
+    res.json({ posts, next_cursor });
+
+  } catch (error) {
+    console.error('Error loading user posts:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a user's posts and replies that have images
+app.get('/api/users/:username/media', optionalAuth, [
+  query('before').optional().custom(isValidCursor).withMessage('Invalid cursor'),
+  query('limit').optional().isInt({ min: 1, max: MAX_PAGE_SIZE })
+], handleValidationErrors, async (req, res) => {
+  try {
+    const user = await db.users.getProfile(req.params.username);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const blocked = await blockedMessage(req.user?.id, user);
+    if (blocked) {
+      return res.status(403).json({ error: blocked });
+    }
+
+    const limit = parseLimit(req.query.limit);
+    const rows = await db.posts.list({
+      before: decodeCursor(req.query.before),
+      limit: limit + 1,
+      authorIds: [user.id],
+      media: true,
+      viewerId: req.user?.id
+    });
+
+    const { items: posts, next_cursor } = toPage(rows, limit);
+
+    res.json({ posts, next_cursor });
+
+  } catch (error) {
+    console.error('Error loading user media:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a user's replies
+app.get('/api/users/:username/replies', optionalAuth, [
+  query('before').optional().custom(isValidCursor).withMessage('Invalid cursor'),
+  query('limit').optional().isInt({ min: 1, max: MAX_PAGE_SIZE })
+], handleValidationErrors, async (req, res) => {
+  try {
+    const user = await db.users.getProfile(req.params.username);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const blocked = await blockedMessage(req.user?.id, user);
+    if (blocked) {
+      return res.status(403).json({ error: blocked });
+    }
+
+    const limit = parseLimit(req.query.limit);
+    const rows = await db.posts.list({
+      before: decodeCursor(req.query.before),
+      limit: limit + 1,
+      authorIds: [user.id],
+      replies: true,
+      viewerId: req.user?.id
+    });
+
+    const { items: posts, next_cursor } = toPage(rows, limit);
+
+    res.json({ posts, next_cursor });
+
+  } catch (error) {
+    console.error('Error loading replies:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get the posts a user liked, most recently liked first
+app.get('/api/users/:username/likes', optionalAuth, [
+  query('before').optional().custom(isValidCursor).withMessage('Invalid cursor'),
+  query('limit').optional().isInt({ min: 1, max: MAX_PAGE_SIZE })
+], handleValidationErrors, async (req, res) => {
+  try {
+    const user = await db.users.getProfile(req.params.username);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const blocked = await blockedMessage(req.user?.id, user);
+    if (blocked) {
+      return res.status(403).json({ error: blocked });
+    }
+
+    const limit = parseLimit(req.query.limit);
+    const likes = await db.likes.listByUser(user.id, {
+      before: decodeCursor(req.query.before),
+      limit: limit + 1,
+      excludeAuthorIds: await hiddenUserIds(db, req.user?.id),
+      viewerId: req.user?.id
+    });
+
+    // Page by like time, not post time
+    const { items, next_cursor } = toPage(likes, limit);
+
+    res.json({
+      posts: items.map(like => like.post).filter(Boolean),
+      next_cursor
+    });
+
+  } catch (error) {
+    console.error('Error loading likes:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Tell the open event streams of `userIds` to reload who they follow, block
+// and mute
+const relationshipsChanged = (userIds) => events.publish('relationships.changed', {}, { userIds });
+
+// Follow user
+app.post('/api/users/:username/follow', authenticateToken, async (req, res) => {
+  try {
+    const targetUsername = req.params.username;
+    const followerId = req.user.id;
+
+    // Get target user ID
+    const targetUser = await db.users.getProfile(targetUsername);
+
+    if (!targetUser) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (await isBlockedBetween(db, followerId, targetUser.id)) {
+      return res.status(403).json({ error: 'You can\'t follow this account' });
+    }
+
+    const follow = await db.follows.create({
+      follower_id: followerId,
+      following_id: targetUser.id
+    });
+
+    await notifier.notify({ user_id: targetUser.id, actor_id: followerId, type: 'follow' });
+    relationshipsChanged([followerId]);
+
+    res.json({ following: true, follow });
+
+  } catch (error) {
+    console.error('Error following user:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Unfollow user
+app.delete('/api/users/:username/follow', authenticateToken, async (req, res) => {
+  try {
+    const targetUsername = req.params.username;
+    const followerId = req.user.id;
+
+    // Get target user ID
+    const targetUser = await db.users.getProfile(targetUsername);
+
+    if (!targetUser) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await db.follows.delete({
+      follower_id: followerId,
+      following_id: targetUser.id
+    });
+
+    await notifier.retract({ user_id: targetUser.id, actor_id: followerId, type: 'follow' });
+    relationshipsChanged([followerId]);
+
+    res.json({ following: false });
+
+  } catch (error) {
+    console.error('Error unfollowing user:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============ BLOCK & MUTE ROUTES ============
+
+// Block a user. Follows between the two end.
+app.post('/api/users/:username/block', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const target = await db.users.getProfile(req.params.username);
+
+    if (!target) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (target.id === userId) {
+      return res.status(400).json({ error: 'You cannot block yourself' });
+    }
+
+    try {
+      await db.blocks.create({ blocker_id: userId, blocked_id: target.id });
+    } catch (error) {
+      // Already blocked
+      if (error.code !== '23505') throw error;
+    }
+
+    await Promise.all([
+      db.follows.delete({ follower_id: userId, following_id: target.id }),
+      db.follows.delete({ follower_id: target.id, following_id: userId }),
+      notifier.retract({ user_id: target.id, actor_id: userId, type: 'follow' }),
+      notifier.retract({ user_id: userId, actor_id: target.id, type: 'follow' })
+    ]);
+    relationshipsChanged([userId, target.id]);
+
+    res.json({ blocking: true });
+
+  } catch (error) {
+    console.error('Error blocking user:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Unblock a user
+app.delete('/api/users/:username/block', authenticateToken, async (req, res) => {
+  try {
+    const target = await db.users.getProfile(req.params.username);
+
+    if (!target) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await db.blocks.delete({ blocker_id: req.user.id, blocked_id: target.id });
+    relationshipsChanged([req.user.id, target.id]);
+
+    res.json({ blocking: false });
+
+  } catch (error) {
+    console.error('Error unblocking user:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Mute a user: their posts leave the current user's timelines
+app.post('/api/users/:username/mute', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const target = await db.users.getProfile(req.params.username);
+
+    if (!target) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (target.id === userId) {
+      return res.status(400).json({ error: 'You cannot mute yourself' });
+    }
+
+    try {
+      await db.mutes.create({ muter_id: userId, muted_id: target.id });
+    } catch (error) {
+      // Already muted
+      if (error.code !== '23505') throw error;
+    }
+
+    relationshipsChanged([userId]);
+
+    res.json({ muting: true });
+
+  } catch (error) {
+    console.error('Error muting user:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Unmute a user
+app.delete('/api/users/:username/mute', authenticateToken, async (req, res) => {
+  try {
+    const target = await db.users.getProfile(req.params.username);
+
+    if (!target) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await db.mutes.delete({ muter_id: req.user.id, muted_id: target.id });
+    relationshipsChanged([req.user.id]);
+
+    res.json({ muting: false });
+
+  } catch (error) {
+    console.error('Error unmuting user:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Accounts the current user has blocked, most recently blocked first
+app.get('/api/blocks', authenticateToken, [
+  query('before').optional().custom(isValidCursor).withMessage('Invalid cursor'),
+  query('limit').optional().isInt({ min: 1, max: MAX_PAGE_SIZE })
+], handleValidationErrors, async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit);
+    const rows = await db.blocks.list(req.user.id, {
+      before: decodeCursor(req.query.before),
+      limit: limit + 1
+    });
+
+    const { items, next_cursor } = toPage(rows, limit);
+
+    res.json({
+      users: items.map(block => ({ ...block.user, blocked_at: block.created_at })),
+      next_cursor
+    });
+
+  } catch (error) {
+    console.error('Error loading blocks:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Accounts the current user has muted, most recently muted first
+app.get('/api/mutes', authenticateToken, [
+  query('before').optional().custom(isValidCursor).withMessage('Invalid cursor'),
+  query('limit').optional().isInt({ min: 1, max: MAX_PAGE_SIZE })
+], handleValidationErrors, async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit);
+    const rows = await db.mutes.list(req.user.id, {
+      before: decodeCursor(req.query.before),
+      limit: limit + 1
+    });
+
+    const { items, next_cursor } = toPage(rows, limit);
+
+    res.json({
+      users: items.map(mute => ({ ...mute.user, muted_at: mute.created_at })),
+      next_cursor
+    });
+
+  } catch (error) {
+    console.error('Error loading mutes:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============ SEARCH ROUTES ============
+
+// Each searcher returns every ranked result for `q`; the route pages them.
+// Accounts on either side of a block with the viewer are left out.
+const searchers = {
+  async users(q, { viewerId }) {
+    const prefix = parsePrefix(q, '@');
+    if (!prefix) return [];
+
+    const hidden = await hiddenUserIds(db, viewerId);
+    const users = (await db.users.search(prefix, { limit: SEARCH_POOL_SIZE }))
+      .filter(user => !hidden.includes(user.id));
+    const followerCounts = await db.follows.countFollowersFor(users.map(user => user.id));
+
+    return rankUsers(users, prefix, followerCounts);
+  },
+
+  async posts(q, { asOf, viewerId }) {
+    const { terms, phrases, from } = parsePostQuery(q);
+    if (terms.length === 0 && phrases.length === 0 && !from) return [];
+
+    let authorId = null;
+    if (from) {
+      const author = await db.users.getProfile(from);
+      if (!author) return [];
+      authorId = author.id;
+    }
+
+    const posts = await db.posts.search({
+      patterns: [...terms, ...phrases],
+      authorId,
+      excludeAuthorIds: await hiddenUserIds(db, viewerId),
+      asOf,
+      limit: SEARCH_POOL_SIZE,
+      viewerId
+    });
+
+    return rankPosts(posts, { terms, phrases }, { now: Date.parse(asOf) });
+  },
+
+  async hashtags(q, { asOf }) {
+    const prefix = parsePrefix(q, '#');
+    if (!prefix) return [];
+
+    const counts = await db.hashtags.countByTag({ prefix, until: asOf });
+
+    return rankHashtags(counts, prefix).slice(0, SEARCH_POOL_SIZE);
+  }
+};
+
+// Search users, posts or hashtags. Results are ranked, so pages are cut from
+// a snapshot taken on the first page.
+app.get('/api/search', optionalAuth, [
+  query('q').trim().isLength({ min: 1, max: 100 }),
+  query('type').optional().isIn(SEARCH_TYPES),
+  query('before').optional().custom(isValidSnapshotCursor).withMessage('Invalid cursor'),
+  query('limit').optional().isInt({ min: 1, max: MAX_PAGE_SIZE })
+], handleValidationErrors, async (req, res) => {
+  try {
+    const type = req.query.type || 'posts';
+    const limit = parseLimit(req.query.limit);
+    const { as_of, offset } = decodeSnapshotCursor(req.query.before) ||
+      { as_of: new Date().toISOString(), offset: 0 };
+
+    const ranked = await searchers[type](req.query.q, { asOf: as_of, viewerId: req.user?.id });
+
+    res.json({
+      type,
+      results: ranked.slice(offset, offset + limit),
+      next_cursor: ranked.length > offset + limit
+        ? encodeSnapshotCursor({ as_of, offset: offset + limit })
+        : null
+    });
+
+  } catch (error) {
+    console.error('Error searching:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============ HASHTAG ROUTES ============
+
+// Tags rising above their usual rate, across each trending window
+app.get('/api/hashtags/trending', [
+  query('limit').optional().isInt({ min: 1, max: 50 })
+], handleValidationErrors, async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 10;
+    const now = Date.now();
+
+    const windows = await Promise.all(TRENDING_WINDOWS_HOURS.map(async (hours) => {
+      const { windowStart, baselineStart } = windowBounds(now, hours);
+      const recent = await db.hashtags.countByTag({ since: windowStart });
+      const baseline = await db.hashtags.countByTag({
+        since: baselineStart,
+        until: windowStart,
+        tags: [...recent.keys()]
+      });
+      return { hours, recent, baseline };
+    }));
+
+    res.json({ trends: rankTrending(windows).slice(0, limit) });
+
+  } catch (error) {
+    console.error('Error loading trends:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Posts using a hashtag, newest first
+app.get('/api/hashtags/:tag', optionalAuth, [
+  query('before').optional().custom(isValidCursor).withMessage('Invalid cursor'),
+  query('limit').optional().isInt({ min: 1, max: MAX_PAGE_SIZE })
+], handleValidationErrors, async (req, res) => {
+  try {
+    const tag = req.params.tag.replace(/^#/, '').toLowerCase();
+    const limit = parseLimit(req.query.limit);
+
+    const rows = await db.posts.list({
+      before: decodeCursor(req.query.before),
+      limit: limit + 1,
+      tag,
+      excludeAuthorIds: await hiddenUserIds(db, req.user?.id, { timeline: true }),
+      viewerId: req.user?.id
+    });
+
+    const { items: posts, next_cursor } = toPage(rows, limit);
+
+    res.json({ tag, posts, next_cursor });
+
+  } catch (error) {
+    console.error('Error loading hashtag:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============ BOOKMARK ROUTES ============
+
+const DEFAULT_COLLECTION = 'Saved';
+
+// Get the user's default collection, creating it on first use
+const getDefaultCollection = async (userId) => {
+  const existing = await db.bookmarkCollections.findByName(userId, DEFAULT_COLLECTION);
+  if (existing) return existing;
+
+  try {
+    return await db.bookmarkCollections.create({ user_id: userId, name: DEFAULT_COLLECTION });
+  } catch (error) {
+    // Another request created it first
+    if (error.code === '23505') {
+      return db.bookmarkCollections.findByName(userId, DEFAULT_COLLECTION);
+    }
+    throw error;
+  }
+};
+
+// Collections are private: anyone else's collection is treated as missing
+const findOwnCollection = async (collectionId, userId) => {
+  const collection = await db.bookmarkCollections.findById(collectionId);
+  return collection && collection.user_id === userId ? collection : null;
+};
+
+// List collections
+app.get('/api/bookmarks/collections', authenticateToken, async (req, res) => {
+  try {
+    await getDefaultCollection(req.user.id);
+    const collections = await db.bookmarkCollections.list(req.user.id);
+
+    res.json(collections);
+
+  } catch (error) {
+    console.error('Error loading collections:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create collection
+app.post('/api/bookmarks/collections', authenticateToken, [
+  body('name').trim().isLength({ min: 1, max: 50 })
+], handleValidationErrors, async (req, res) => {
+  try {
+    await getDefaultCollection(req.user.id);
+
+    const collection = await db.bookmarkCollections.create({
+      user_id: req.user.id,
+      name: req.body.name
+    });
+
+    res.json({ ...collection, bookmarks_count: 0 });
+
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(400).json({ error: 'You already have a collection with that name' });
+    }
+    console.error('Error creating collection:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete collection (and the bookmarks in it)
+app.delete('/api/bookmarks/collections/:id', authenticateToken, async (req, res) => {
+  try {
+    const collection = await findOwnCollection(req.params.id, req.user.id);
+
+    if (!collection) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    if (collection.name === DEFAULT_COLLECTION) {
+      return res.status(400).json({ error: `The ${DEFAULT_COLLECTION} collection can't be deleted` });
+    }
+
+    await db.bookmarkCollections.delete(collection.id);
+
+    res.json({ message: 'Collection deleted' });
+
+  } catch (error) {
+    console.error('Error deleting collection:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get the posts in a collection, in saved order
+app.get('/api/bookmarks/collections/:id', authenticateToken, async (req, res) => {
+  try {
+    const collection = await findOwnCollection(req.params.id, req.user.id);
+
+    if (!collection) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    const bookmarks = await db.bookmarks.list(collection.id, { viewerId: req.user.id });
+
+    res.json({
+      collection,
+      posts: bookmarks.map(bookmark => bookmark.post).filter(Boolean)
+    });
+
+  } catch (error) {
+    console.error('Error loading collection:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Reorder a collection. `post_ids` must list every post in it exactly once.
+app.put('/api/bookmarks/collections/:id/order', authenticateToken, [
+  body('post_ids').isArray()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const collection = await findOwnCollection(req.params.id, req.user.id);
+
+    if (!collection) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    const postIds = req.body.post_ids;
+    const current = await db.bookmarks.listPostIds(collection.id);
+    const sameSet = postIds.length === current.length &&
+      new Set(postIds).size === postIds.length &&
+      postIds.every(id => current.includes(id));
+
+    if (!sameSet) {
+      return res.status(400).json({ error: 'post_ids must list every post in the collection exactly once' });
+    }
+
+    await db.bookmarks.reorder(collection.id, postIds);
+
+    res.json({ post_ids: postIds });
+
+  } catch (error) {
+    console.error('Error reordering collection:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Bookmark a post (into the default collection unless one is given)
+app.post('/api/bookmarks', authenticateToken, [
+  body('post_id').notEmpty(),
+  body('collection_id').optional()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { post_id, collection_id } = req.body;
+
+    const post = await db.posts.findById(post_id);
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    const collection = collection_id
+      ? await findOwnCollection(collection_id, userId)
+      : await getDefaultCollection(userId);
+
+    if (!collection) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    // New bookmarks go to the top of the collection
+    const top = await db.bookmarks.minPosition(collection.id);
+
+    try {
+      await db.bookmarks.create({
+        user_id: userId,
+        post_id,
+        collection_id: collection.id,
+        position: top === null ? 0 : top - 1
+      });
+    } catch (error) {
+      // Already in this collection
+      if (error.code !== '23505') throw error;
+    }
+
+    res.json({ saved: true, collection_id: collection.id });
+
+  } catch (error) {
+    console.error('Error saving bookmark:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove a bookmark from one collection (?collection_id=) or from all of them
+app.delete('/api/bookmarks/:postId', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { postId } = req.params;
+
+    await db.bookmarks.delete({
+      user_id: userId,
+      post_id: postId,
+      collection_id: req.query.collection_id || null
+    });
+
+    const saved = await db.bookmarks.isSaved({ user_id: userId, post_id: postId });
+
+    res.json({ saved });
+
+  } catch (error) {
+    console.error('Error removing bookmark:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============ MESSAGE ROUTES ============
+
+const MAX_MESSAGE_LENGTH = 1000;
+
+// Conversations are private: one the user isn't part of is treated as missing
+const findOwnConversation = async (conversationId, userId) => {
+  const conversation = await db.conversations.findById(conversationId);
+  if (!conversation) return null;
+  return conversation.user_a_id === userId || conversation.user_b_id === userId ? conversation : null;
+};
+
+// Shape a conversation from one participant's side
+const presentConversation = (conversation, userId) => {
+  const { user_a, user_b, user_a_id, user_b_id, ...rest } = conversation;
+  return {
+    ...rest,
+    participant: user_a_id === userId ? user_b : user_a
+  };
+};
+
+// List conversations, most recently active first
+app.get('/api/conversations', authenticateToken, [
+  query('before').optional().custom(isValidCursor).withMessage('Invalid cursor'),
+  query('limit').optional().isInt({ min: 1, max: MAX_PAGE_SIZE })
+], handleValidationErrors, async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit);
+    const rows = await db.conversations.listForUser(req.user.id, {
+      before: decodeCursor(req.query.before),
+      limit: limit + 1
+    });
+
+    const { items, next_cursor } = toPage(rows, limit, 'last_message_at');
+
+    res.json({
+      conversations: items.map(conversation => presentConversation(conversation, req.user.id)),
+      next_cursor
+    });
+
+  } catch (error) {
+    console.error('Error loading conversations:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Open the conversation with a user, starting it if there isn't one yet
+app.post('/api/conversations', authenticateToken, requireVerifiedEmail, [
+  body('username').trim().notEmpty()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const other = await db.users.getProfile(req.body.username);
+
+    if (!other) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (other.id === userId) {
+      return res.status(400).json({ error: 'You cannot message yourself' });
+    }
+    if (await isBlockedBetween(db, userId, other.id)) {
+      return res.status(403).json({ error: 'You can\'t message this account' });
+    }
+
+    let conversation = await db.conversations.findBetween(userId, other.id);
+    let created = false;
+
+    if (!conversation) {
+      try {
+        conversation = await db.conversations.create({ user_ids: [userId, other.id] });
+        created = true;
+      } catch (error) {
+        // Started by the other side at the same time
+        if (error.code !== '23505') throw error;
+        conversation = await db.conversations.findBetween(userId, other.id);
+      }
+    }
+
+    res.status(created ? 201 : 200).json(presentConversation(conversation, userId));
+
+  } catch (error) {
+    console.error('Error starting conversation:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Unread message counts for the inbox badge
+app.get('/api/conversations/unread', authenticateToken, async (req, res) => {
+  try {
+    const unread = await db.conversations.countUnread(req.user.id);
+
+    res.json({
+      unread_count: unread.messages,
+      unread_conversations: unread.conversations
+    });
+
+  } catch (error) {
+    console.error('Error counting unread messages:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a conversation
+app.get('/api/conversations/:id', authenticateToken, async (req, res) => {
+  try {
+    const conversation = await findOwnConversation(req.params.id, req.user.id);
+
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    res.json(presentConversation(conversation, req.user.id));
+
+  } catch (error) {
+    console.error('Error loading conversation:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List messages, newest first
+app.get('/api/conversations/:id/messages', authenticateToken, [
+  query('before').optional().custom(isValidCursor).withMessage('Invalid cursor'),
+  query('limit').optional().isInt({ min: 1, max: MAX_PAGE_SIZE })
+], handleValidationErrors, async (req, res) => {
+  try {
+    const conversation = await findOwnConversation(req.params.id, req.user.id);
+
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const limit = parseLimit(req.query.limit);
+    const rows = await db.messages.list(conversation.id, {
+      before: decodeCursor(req.query.before),
+      limit: limit + 1
+    });
+
+    const { items: messages, next_cursor } = toPage(rows, limit);
+
+    res.json({ messages, next_cursor });
+
+  } catch (error) {
+    console.error('Error loading messages:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Send a message
+app.post('/api/conversations/:id/messages', authenticateToken, requireVerifiedEmail, [
+  body('content').trim().isLength({ min: 1, max: MAX_MESSAGE_LENGTH })
+], handleValidationErrors, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const conversation = await findOwnConversation(req.params.id, userId);
+
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const recipientId = conversation.user_a_id === userId ? conversation.user_b_id : conversation.user_a_id;
+
+    if (await isBlockedBetween(db, userId, recipientId)) {
+      return res.status(403).json({ error: 'You can\'t message this account' });
+    }
+
+    const message = await db.messages.create({
+      conversation_id: conversation.id,
+      sender_id: userId,
+      content: req.body.content
+    });
+
+    // Replying means the sender has seen everything before it
+    await db.conversations.markRead({
+      conversation_id: conversation.id,
+      user_id: userId,
+      at: message.created_at
+    });
+
+    const unread = await db.conversations.countUnread(recipientId);
+
+    events.publish('message', { message, unread_count: unread.messages }, { userIds: [recipientId] });
+    events.publish('message', { message }, { userIds: [userId] });
+
+    res.status(201).json(message);
+
+  } catch (error) {
+    console.error('Error sending message:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Mark a conversation read
+app.post('/api/conversations/:id/read', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const conversation = await findOwnConversation(req.params.id, userId);
+
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    await db.conversations.markRead({
+      conversation_id: conversation.id,
+      user_id: userId,
+      at: new Date().toISOString()
+    });
+
+    const unread = await db.conversations.countUnread(userId);
+
+    res.json({
+      unread_count: unread.messages,
+      unread_conversations: unread.conversations
+    });
+
+  } catch (error) {
+    console.error('Error marking conversation read:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============ NOTIFICATION ROUTES ============
+
+// List notifications, newest first, with likes, reposts and follows about
+// the same thing grouped together
+app.get('/api/notifications', authenticateToken, [
+  query('before').optional().custom(isValidCursor).withMessage('Invalid cursor'),
+  query('limit').optional().isInt({ min: 1, max: MAX_PAGE_SIZE })
+], handleValidationErrors, async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit);
+    const [rows, unreadCount] = await Promise.all([
+      db.notifications.list(req.user.id, {
+        before: decodeCursor(req.query.before),
+        limit: limit + 1
+      }),
+      db.notifications.countUnread(req.user.id)
+    ]);
+
+    // Pages are cut on individual notifications, then grouped
+    const { items, next_cursor } = toPage(rows, limit);
+
+    res.json({
+      notifications: groupNotifications(items),
+      next_cursor,
+      unread_count: unreadCount
+    });
+
+  } catch (error) {
+    console.error('Error loading notifications:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Unread count for the nav badge
+app.get('/api/notifications/unread', authenticateToken, async (req, res) => {
+  try {
+    const unreadCount = await db.notifications.countUnread(req.user.id);
+
+    res.json({ unread_count: unreadCount });
+
+  } catch (error) {
+    console.error('Error counting notifications:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Mark notifications read: the given `ids`, or all of them
+app.post('/api/notifications/read', authenticateToken, [
+  body('ids').optional().isArray({ max: 500 })
+], handleValidationErrors, async (req, res) => {
+  try {
+    await db.notifications.markRead(req.user.id, {
+      ids: req.body.ids || null,
+      at: new Date().toISOString()
+    });
+
+    const unreadCount = await db.notifications.countUnread(req.user.id);
+
+    res.json({ unread_count: unreadCount });
+
+  } catch (error) {
+    console.error('Error marking notifications read:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============ EVENT STREAM ============
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+// Server-Sent Events: post.created, post.likes, notification and message.
+// Reconnect with the last event id (Last-Event-ID header or ?since=) to get
+// missed events; a `reset` event means they're gone and the client should
+// reload what it shows. The stream closes when its session is signed out or
+// the account is banned.
+app.get('/api/events', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    let followingIds = new Set();
+    // Posts from blocked and muted accounts never reach the timeline
+    let hidden = new Set();
+
+    // Reloaded on relationships.changed, so blocks and follows made while
+    // the stream is open apply to it
+    const loadRelationships = async () => {
+      const [following, hiddenIds] = await Promise.all([
+        db.follows.listFollowingIds(userId),
+        hiddenUserIds(db, userId, { timeline: true })
+      ]);
+      followingIds = new Set(following);
+      hidden = new Set(hiddenIds);
+    };
+
+    await loadRelationships();
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = ({ id, type, data }) => {
+      if (type === 'relationships.changed') {
+        loadRelationships().catch(error => console.error('Error reloading stream relationships:', error));
+        return;
+      }
+      if (type === 'post.created' && hidden.has(data.post.user_id)) return;
+
+      // Lets the Following feed tell which new posts belong to it
+      const payload = type === 'post.created'
+        ? { ...data, from_following: followingIds.has(data.post.user_id) }
+        : data;
+      res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(payload)}\n\n`);
+    };
+
+    const since = req.get('Last-Event-ID') || req.query.since;
+    const missed = since ? events.since(since, userId) : [];
+
+    if (missed === null) {
+      send({ id: events.cursor(), type: 'reset', data: {} });
+    } else {
+      missed.forEach(send);
+      send({ id: events.cursor(), type: 'ready', data: { replayed: missed.length } });
+    }
+
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_INTERVAL_MS);
+    const unsubscribe = events.subscribe(userId, send, {
+      sessionId: req.user.sid,
+      close: () => {
+        clearInterval(heartbeat);
+        res.end();
+      }
+    });
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+
+  } catch (error) {
+    console.error('Error opening event stream:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: error.message });
+    } else {
+      res.end();
+    }
+  }
+});
+
+// ============ REPORT ROUTES ============
+
+// Counts each reporter's reports; mounted after authenticateToken
+const reportLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: REPORTS_PER_HOUR,
+  keyGenerator: (req) => req.user.id,
+  message: { error: 'You\'ve sent a lot of reports recently. Please try again later.' }
+});
+
+// Categories a report can be filed under
+app.get('/api/reports/categories', (req, res) => {
+  res.json({ categories: REPORT_CATEGORIES, max_details_length: MAX_REPORT_DETAILS_LENGTH });
+});
+
+// Report a post, a profile or a message. Reporting the same thing again while
+// the first report is open returns that report.
+app.post('/api/reports', authenticateToken, reportLimiter, [
+  body('target_type').isIn(REPORT_TARGETS).withMessage('Invalid report target'),
+  body('target_id').isUUID().withMessage('Invalid report target'),
+  body('category').isIn(REPORT_CATEGORY_IDS).withMessage('Choose a reason for your report'),
+  body('details').optional({ values: 'null' }).isString()
+    .isLength({ max: MAX_REPORT_DETAILS_LENGTH }).withMessage(`Details must be ${MAX_REPORT_DETAILS_LENGTH} characters or fewer`),
+  body('details').if(body('category').equals('other'))
+    .custom(value => typeof value === 'string' && value.trim().length > 0)
+    .withMessage('Tell us what\'s wrong')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { target_type, target_id, category } = req.body;
+    const details = (req.body.details || '').trim() || null;
+
+    const target = await resolveReportTarget(db, userId, target_type, target_id);
+
+    if (!target) {
+      return res.status(404).json({ error: 'Nothing to report there' });
+    }
+    if (target.reported_user_id === userId) {
+      return res.status(400).json({ error: 'You cannot report yourself' });
+    }
+
+    try {
+      const report = await db.reports.create({
+        reporter_id: userId,
+        target_type,
+        target_id,
+        ...target,
+        category,
+        reason: details
+      });
+
+      res.status(201).json({ report, already_reported: false });
+
+    } catch (error) {
+      if (error.code !== '23505') throw error;
+
+      const report = await db.reports.findOpen({ reporter_id: userId, target_type, target_id });
+      res.json({ report, already_reported: true });
+    }
+
+  } catch (error) {
+    console.error('Error creating report:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============ ADMIN ROUTES ============
+
+// Get all users (admin only)
+app.get('/api/admin/users', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { page = 1, limit = 50, search = '' } = req.query;
+    const offset = (page - 1) * limit;
+
+    const { users, count } = await db.users.list({
+      offset,
+      limit: parseInt(limit),
+      search
+    });
+
+    res.json({
+      users,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count,
+        pages: Math.ceil(count / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Ban user
+app.post('/api/admin/users/:id/ban', authenticateToken, requireAdmin, [
+  body('reason').notEmpty(),
+  body('duration_hours').isInt({ min: 1 })
+], handleValidationErrors, async (req, res) => {
+  try {
+    const userId = req.params.id;
+    const { reason, duration_hours } = req.body;
+    const adminId = req.user.id;
+
+    // Update user
+    await db.users.update(userId, {
+      is_banned: true,
+      banned_until: new Date(Date.now() + duration_hours * 3600000).toISOString(),
+      ban_reason: reason
+    });
+
+    // Log admin action
+    await db.adminActions.create({
+      admin_id: adminId,
+      target_user_id: userId,
+      action_type: 'ban',
+      reason: reason,
+      duration_hours: duration_hours
+    });
+
+    // Its open event streams close; reconnecting is refused while banned
+    events.disconnect({ userId });
+
+    res.json({ message: 'User banned successfully' });
+
+  } catch (error) {
+    console.error('Error banning user:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Unban user
+app.post('/api/admin/users/:id/unban', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const userId = req.params.id;
+    const adminId = req.user.id;
+
+    await db.users.update(userId, {
+      is_banned: false,
+      banned_until: null,
+      ban_reason: null
+    });
+
+    // Log admin action
+    await db.adminActions.create({
+      admin_id: adminId,
+      target_user_id: userId,
+      action_type: 'unban',
+      reason: 'Manual unban by admin'
+    });
+
+    res.json({ message: 'User unbanned successfully' });
+
+  } catch (error) {
+    console.error('Error unbanning user:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete post (admin/moderator)
+app.delete('/api/admin/posts/:id', authenticateToken, requireModerator, async (req, res) => {
+  try {
+    const postId = req.params.id;
+    const moderatorId = req.user.id;
+
+    await db.posts.delete(postId);
+
+    // Log moderation action
+    await db.moderationActions.create({
+      moderator_id: moderatorId,
+      target_post_id: postId,
+      action_type: 'delete_post',
+      reason: req.body.reason || 'Violation of community guidelines'
+    });
+
+    res.json({ message: 'Post deleted successfully' });
+
+  } catch (error) {
+    console.error('Error deleting post:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get platform analytics
+app.get('/api/admin/analytics', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { period = '7d' } = req.query; // 7d, 30d, 90d
+    
+    // User growth
+    const userCount = await db.users.count();
+
+    // Post statistics
+    const postCount = await db.posts.count();
+
+    // Revenue (placeholder for Monero integration)
+    const revenueStats = {
+      total_revenue: 0,
+      premium_users: 0,
+      conversion_rate: 0
+    };
+
+    res.json({
+      user_growth: userCount,
+      total_posts: postCount,
+      active_today: Math.floor(Math.random() * 100) + 50, // Mock data
+      revenue: revenueStats
+    });
+
+  } catch (error) {
+    console.error('Error fetching analytics:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============ MODERATION ROUTES ============
+
+// Get reported content
+app.get('/api/moderation/reports', authenticateToken, requireModerator, async (req, res) => {
+  try {
+    const { status = 'pending' } = req.query;
+
+    const reports = await db.reports.list({ status });
+
+    res.json(reports);
+
+  } catch (error) {
+    console.error('Error fetching reports:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Resolve report: dismiss it, warn or ban the reported user, or delete the
+// reported post or message. `reason` is shown to the affected user, `notes`
+// only to moderators; bans last `duration_hours`, or until lifted.
+app.post('/api/moderation/reports/:id/resolve', authenticateToken, requireModerator, [
+  body('action').isIn(RESOLUTION_ACTIONS),
+  body('reason').optional({ values: 'null' }).isString().isLength({ max: 280 }),
+  body('notes').optional({ values: 'null' }).isString(),
+  body('duration_hours').optional({ values: 'null' }).isInt({ min: 1 }).toInt()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const report = await db.reports.findById(req.params.id);
+
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+    if (report.status !== 'pending') {
+      return res.status(409).json({ error: 'This report has already been resolved' });
+    }
+
+    const { reports, notified, banned } = await moderation.resolveReport(report, {
+      moderatorId: req.user.id,
+      action: req.body.action,
+      reason: req.body.reason?.trim() || null,
+      notes: req.body.notes || null,
+      durationHours: req.body.duration_hours || null
+    });
+
+    await notifier.refresh(notified);
+    if (banned) {
+      events.disconnect({ userId: banned });
+    }
+
+    res.json({ message: 'Report resolved successfully', resolved_reports: reports.length });
+
+  } catch (error) {
+    if (error.code === 'INVALID_RESOLUTION') {
+      return res.status(400).json({ error: error.message });
+    }
+    // Resolved by someone else in the meantime
+    if (error.code === 'P0002') {
+      return res.status(409).json({ error: 'This report has already been resolved' });
+    }
     console.error('Error resolving report:', error);
     res.status(500).json({ error: error.message });
   }
@@ -690,14 +2616,12 @@ app.post('/api/moderation/reports/:id/resolve', authenticateToken, requireModera
 app.get('/api/health', async (req, res) => {
   try {
     // Test database connection
-    const { data, error } = await supabase
-      .from('users')
-      .select('count')
-      .limit(1);
+    const connected = await db.ping();
 
     res.json({ 
       status: 'OK', 
-      database: error ? 'Disconnected' : 'Connected',
+      database: connected ? 'Connected' : 'Disconnected',
+      driver: db.driver,
       timestamp: new Date().toISOString() 
     });
   } catch (error) {
@@ -713,6 +2637,7 @@ app.get('/api/health', async (req, res) => {
 app.listen(PORT, () => {
   console.log('🚀 Social Platform Backend Started!');
   console.log(`📍 Port: ${PORT}`);
+  console.log(`🗄️ Database: ${db.driver}`);
   console.log(`🔗 Health: http://localhost:${PORT}/api/health`);
   console.log(`📊 Admin routes: /api/admin/*`);
   console.log(`🛡️ Mod routes: /api/moderation/*`);
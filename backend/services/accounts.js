@@ -0,0 +1,105 @@
+import { createHash, randomBytes } from 'crypto';
+
+// Account emails
+//
+// Confirming an email address and resetting a password both work by mailing
+// a link with a single-use token in it. The server keeps only the token's
+// hash. Verification links last EMAIL_VERIFICATION_TTL_HOURS and reset links
+// PASSWORD_RESET_TTL_MINUTES, and sending a new link cancels the last one.
+//
+// A verification token names the address it was sent to, so it stops
+// working if the account's email changes before it's used. Following a reset
+// link proves the address too, so it also confirms it.
+
+export const EMAIL_VERIFICATION_TTL_HOURS = 48;
+export const PASSWORD_RESET_TTL_MINUTES = 60;
+
+const hashToken = (token) => createHash('sha256').update(token).digest('hex');
+
+// Whether `user` has confirmed their email address
+export const isEmailVerified = (user) => Boolean(user?.email_verified_at);
+
+export const createAccountEmails = (db, mailer, { appUrl }) => {
+  const link = (page, token) => `${appUrl.replace(/\/$/, '')}/${page}?token=${encodeURIComponent(token)}`;
+
+  const issue = async (user, purpose, ttlMinutes) => {
+    await db.accountTokens.invalidate(user.id, purpose);
+
+    const token = randomBytes(32).toString('base64url');
+    await db.accountTokens.create({
+      user_id: user.id,
+      purpose,
+      token_hash: hashToken(token),
+      email: user.email,
+      expires_at: new Date(Date.now() + ttlMinutes * 60000).toISOString()
+    });
+
+    return token;
+  };
+
+  const greeting = (user) => `Hi ${user.display_name || user.username},`;
+
+  // Mail `user` a link to confirm their email address
+  const sendVerification = async (user) => {
+    const token = await issue(user, 'verify_email', EMAIL_VERIFICATION_TTL_HOURS * 60);
+
+    await mailer.send({
+      to: user.email,
+      subject: 'Confirm your email address',
+      text: [
+        greeting(user),
+        'Confirm your email address by opening this link:',
+        link('verify-email.html', token),
+        `It expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours. If you didn't sign up, you can ignore this email.`
+      ].join('\n\n')
+    });
+  };
+
+  // Mail `user` a link to choose a new password
+  const sendPasswordReset = async (user) => {
+    const token = await issue(user, 'reset_password', PASSWORD_RESET_TTL_MINUTES);
+
+    await mailer.send({
+      to: user.email,
+      subject: 'Reset your password',
+      text: [
+        greeting(user),
+        'Someone asked to reset the password for your account. To choose a new one, open this link:',
+        link('reset-password.html', token),
+        `It expires in ${PASSWORD_RESET_TTL_MINUTES} minutes. If it wasn't you, you can ignore this email; your password hasn't changed.`
+      ].join('\n\n')
+    });
+  };
+
+  // Use up a verification token and mark its account's address confirmed.
+  // Returns the account, or null when the token can't be used.
+  const verifyEmail = async (token) => {
+    const used = await db.accountTokens.consume(hashToken(token), 'verify_email');
+    if (!used) return null;
+
+    const user = await db.users.findById(used.user_id);
+    if (!user || user.email !== used.email) return null;
+    if (isEmailVerified(user)) return user;
+
+    return db.users.update(user.id, { email_verified_at: new Date().toISOString() });
+  };
+
+  // Use up a reset token and set its account's password hash. Returns the
+  // account, or null when the token can't be used.
+  const resetPassword = async (token, passwordHash) => {
+    const used = await db.accountTokens.consume(hashToken(token), 'reset_password');
+    if (!used) return null;
+
+    const user = await db.users.findById(used.user_id);
+    if (!user || user.email !== used.email) return null;
+
+    const changes = { password_hash: passwordHash };
+    if (!isEmailVerified(user)) {
+      changes.email_verified_at = new Date().toISOString();
+    }
+
+    return db.users.update(user.id, changes);
+  };
+
+  return { sendVerification, sendPasswordReset, verifyEmail, resetPassword };
+};
@@ -0,0 +1,42 @@
+// Bans
+//
+// A banned account can't sign in, and every request made with one of its
+// tokens is refused, until banned_until passes. A ban without banned_until
+// lasts until an admin lifts it. A ban that has run out is lifted the first
+// time it's checked, and the lift is logged to admin_actions.
+
+// Response body for a request refused because of `ban`
+export const bannedResponse = (ban) => ({
+  error: ban.banned_until
+    ? `Your account is suspended until ${ban.banned_until}`
+    : 'Your account has been suspended',
+  banned: true,
+  banned_until: ban.banned_until,
+  reason: ban.reason
+});
+
+export const createBanService = (db) => {
+  // The ban on `user` that's in force now ({ banned_until, reason }), or null
+  const activeBan = async (user) => {
+    if (!user?.is_banned) return null;
+
+    if (!user.banned_until || new Date(user.banned_until) > new Date()) {
+      return { banned_until: user.banned_until || null, reason: user.ban_reason || null };
+    }
+
+    // Only the request that actually lifts it logs it
+    const lifted = await db.users.liftExpiredBan(user.id, new Date().toISOString());
+    if (lifted) {
+      await db.adminActions.create({
+        admin_id: null,
+        target_user_id: user.id,
+        action_type: 'unban',
+        reason: 'Ban expired'
+      });
+    }
+
+    return null;
+  };
+
+  return { activeBan };
+};
@@ -0,0 +1,44 @@
+// Blocks and mutes
+//
+// A block works both ways: once either user blocks the other, neither sees
+// the other's posts, profile or search results, and neither can follow,
+// reply to, quote or message the other. Blocking also ends any follows
+// between them.
+//
+// A mute is one-sided and quieter: the muted account's posts stay out of the
+// muter's timelines (home feeds and hashtag pages) but still show in search,
+// threads and on their profile, and the muted account isn't told.
+
+// Users whose posts `viewerId` shouldn't see. Timelines also leave out
+// muted accounts.
+export const hiddenUserIds = async (db, viewerId, { timeline = false } = {}) => {
+  if (!viewerId) return [];
+
+  const [blocked, muted] = await Promise.all([
+    db.blocks.listRelatedIds(viewerId),
+    timeline ? db.mutes.listMutedIds(viewerId) : []
+  ]);
+
+  return [...new Set([...blocked, ...muted])];
+};
+
+// Whether `userId` has blocked `otherUserId` (`blocking`) and whether
+// `otherUserId` has blocked them (`blocked_by`)
+export const blockStatus = async (db, userId, otherUserId) => {
+  if (!userId || userId === otherUserId) {
+    return { blocking: false, blocked_by: false };
+  }
+
+  const [blocking, blockedBy] = await Promise.all([
+    db.blocks.findBlockers(otherUserId, [userId]),
+    db.blocks.findBlockers(userId, [otherUserId])
+  ]);
+
+  return { blocking: blocking.length > 0, blocked_by: blockedBy.length > 0 };
+};
+
+// Whether there's a block between the two users, either way
+export const isBlockedBetween = async (db, userId, otherUserId) => {
+  const { blocking, blocked_by } = await blockStatus(db, userId, otherUserId);
+  return blocking || blocked_by;
+};
@@ -0,0 +1,83 @@
+// Real-time events
+//
+// Routes publish events here and GET /api/events streams them to connected
+// clients as Server-Sent Events. Every event gets a cursor "<epoch>.<seq>",
+// and the most recent events are kept so a client that reconnects with its
+// last cursor receives what it missed. A cursor from before a restart, or
+// older than the history kept, can't be replayed; the client is told to
+// reload instead.
+//
+// Each subscription belongs to a session, so signing a session out or banning
+// an account can close its streams straight away with disconnect().
+//
+// The bus lives in this process, so an API instance only sees events
+// published by itself. Running several instances needs a shared broker
+// behind the same publish/subscribe/since interface.
+
+const DEFAULT_HISTORY_SIZE = 1000;
+
+export const createEventBus = ({ historySize = DEFAULT_HISTORY_SIZE } = {}) => {
+  const epoch = Date.now().toString(36);
+  const history = [];
+  const subscribers = new Set();
+  let seq = 0;
+
+  // Broadcast events have no userIds; the rest only reach those users
+  const visibleTo = (event, userId) => !event.userIds || event.userIds.includes(userId);
+
+  // Publish `data` as a `type` event, to everyone or only to `userIds`
+  const publish = (type, data, { userIds = null } = {}) => {
+    seq += 1;
+    const event = { id: `${epoch}.${seq}`, seq, type, data, userIds };
+
+    history.push(event);
+    if (history.length > historySize) history.shift();
+
+    subscribers.forEach(subscriber => {
+      if (visibleTo(event, subscriber.userId)) subscriber.listener(event);
+    });
+
+    return event;
+  };
+
+  // Call `listener` with every event `userId` may see, until unsubscribed or
+  // disconnected; `close` ends the stream when it's disconnected. Returns an
+  // unsubscribe function.
+  const subscribe = (userId, listener, { sessionId = null, close = null } = {}) => {
+    const subscriber = { userId, sessionId, listener, close };
+    subscribers.add(subscriber);
+    return () => subscribers.delete(subscriber);
+  };
+
+  // Close the streams of session `sessionId`, or of every session of `userId`
+  const disconnect = ({ userId = null, sessionId = null }) => {
+    subscribers.forEach(subscriber => {
+      const matches = sessionId ? subscriber.sessionId === sessionId : subscriber.userId === userId;
+      if (!matches) return;
+
+      subscribers.delete(subscriber);
+      subscriber.close?.();
+    });
+  };
+
+  // The cursor of the latest event, for clients that haven't seen any yet
+  const cursor = () => `${epoch}.${seq}`;
+
+  // Events after `since` that `userId` may see, oldest first, or null when
+  // they can't be replayed
+  const since = (since, userId) => {
+    const [sinceEpoch, sinceSeq] = String(since).split('.');
+    const position = Number(sinceSeq);
+
+    if (sinceEpoch !== epoch || !Number.isInteger(position) || position < 0 || position > seq) {
+      return null;
+    }
+
+    const oldest = history.length > 0 ? history[0].seq : seq + 1;
+    if (position < oldest - 1) return null;
+
+    return history.filter(event => event.seq > position && visibleTo(event, userId));
+  };
+
+  return { publish, subscribe, disconnect, cursor, since };
+};
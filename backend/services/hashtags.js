@@ -0,0 +1,69 @@
+// Hashtags
+//
+// Tags are pulled out of posts when they're created and stored lowercased in
+// post_hashtags, which backs tag timelines, hashtag search and trends.
+//
+// A tag is trending when it's used more in a recent window than its baseline
+// predicts. Each window ending now (1h, 6h, 24h) is compared with the week
+// before it, and a tag keeps the score of the window where it's rising
+// fastest, so a sudden burst and a day-long climb can both surface.
+
+const HOUR_MS = 3600000;
+
+// A tag has to start a word, so URL fragments (example.com/#top) and
+// entities like &#039; don't count. Keep in step with formatPostContent in
+// js/feed.js and the post_hashtags backfill in db/schema.sql.
+const HASHTAG_PATTERN = /(?:^|[^\w&/])#(\w{1,50})/g;
+
+export const TRENDING_WINDOWS_HOURS = [1, 6, 24];
+export const TRENDING_BASELINE_HOURS = 7 * 24;
+
+// Fewer posts than this in a window is noise, not a trend
+export const MIN_TRENDING_POSTS = 3;
+
+// Hashtags in `content`, lowercased, without duplicates
+export const extractHashtags = (content) =>
+  [...new Set([...(content || '').matchAll(HASHTAG_PATTERN)].map(match => match[1].toLowerCase()))];
+
+// How far above its baseline a tag is running. `expected` is the baseline
+// rate scaled to the window; dividing by its square root (plus one, so brand
+// new tags don't divide by zero) keeps big tags from winning on volume alone.
+export const risingScore = (recent, expected) =>
+  (recent - expected) / Math.sqrt(expected + 1);
+
+// Rank rising tags. `windows` holds, per window size, the recent counts and
+// the baseline counts (both Maps of tag -> posts) for that window.
+export const rankTrending = (windows, { baselineHours = TRENDING_BASELINE_HOURS, minPosts = MIN_TRENDING_POSTS } = {}) => {
+  const best = new Map();
+
+  windows.forEach(({ hours, recent, baseline }) => {
+    recent.forEach((count, tag) => {
+      if (count < minPosts) return;
+
+      const expected = (baseline.get(tag) || 0) * (hours / baselineHours);
+      if (count <= expected) return;
+
+      const score = risingScore(count, expected);
+      if (!best.has(tag) || score > best.get(tag).score) {
+        best.set(tag, {
+          tag,
+          posts_count: count,
+          window_hours: hours,
+          expected_count: Math.round(expected * 10) / 10,
+          score
+        });
+      }
+    });
+  });
+
+  return [...best.values()].sort((a, b) => b.score - a.score || a.tag.localeCompare(b.tag));
+};
+
+// Start of the window and of its baseline, for a window ending at `now`
+export const windowBounds = (now, hours, baselineHours = TRENDING_BASELINE_HOURS) => {
+  const windowStart = now - hours * HOUR_MS;
+  return {
+    windowStart: new Date(windowStart).toISOString(),
+    baselineStart: new Date(windowStart - baselineHours * HOUR_MS).toISOString()
+  };
+};
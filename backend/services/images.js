@@ -0,0 +1,115 @@
+import sharp from 'sharp';
+import { encode } from 'blurhash';
+
+// Images
+//
+// Uploads are checked by decoding them, not by trusting the client's content
+// type. Each is turned upright from its EXIF orientation and re-encoded as
+// WebP, which drops EXIF and every other piece of metadata, including GPS
+// position.
+//
+// Profile images are cropped to the rectangle the user picked (or centred
+// when there's none) and resized to a fixed size. Post images keep their
+// proportions, get a thumbnail and a blurhash placeholder.
+
+export const IMAGE_FORMATS = ['jpeg', 'png', 'webp', 'gif'];
+
+// Largest upload accepted, before processing
+export const MAX_IMAGE_BYTES = 8 * 1024 * 1024;
+
+// Output size per kind of profile image
+export const PROFILE_IMAGE_SIZES = {
+  avatar: { width: 400, height: 400 },
+  banner: { width: 1500, height: 500 }
+};
+
+// Longest side of a post image as stored, and of its thumbnail
+const POST_IMAGE_MAX_SIDE = 2048;
+const POST_THUMBNAIL_MAX_SIDE = 600;
+
+const invalidImage = (message) => Object.assign(new Error(message), { code: 'INVALID_IMAGE' });
+
+const checkFormat = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch {
+    throw invalidImage('File is not an image');
+  }
+
+  if (!IMAGE_FORMATS.includes(metadata.format)) {
+    throw invalidImage(`Images must be ${IMAGE_FORMATS.join(', ')}`);
+  }
+};
+
+// Keep a crop rectangle inside the image, falling back to the whole image
+const clampCrop = (crop, width, height) => {
+  if (!crop) return { left: 0, top: 0, width, height };
+
+  const left = Math.min(Math.max(Math.round(crop.x), 0), width - 1);
+  const top = Math.min(Math.max(Math.round(crop.y), 0), height - 1);
+  return {
+    left,
+    top,
+    width: Math.max(1, Math.min(Math.round(crop.width), width - left)),
+    height: Math.max(1, Math.min(Math.round(crop.height), height - top))
+  };
+};
+
+// Process an uploaded profile image of `kind` (avatar or banner). `crop` is
+// { x, y, width, height } in pixels of the upright image. Throws an error
+// with code INVALID_IMAGE for anything that isn't a supported image.
+export const processProfileImage = async (buffer, kind, crop = null) => {
+  const size = PROFILE_IMAGE_SIZES[kind];
+  await checkFormat(buffer);
+
+  try {
+    // Rotate first so the crop lines up with what the user saw
+    const { data, info } = await sharp(buffer).rotate().toBuffer({ resolveWithObject: true });
+
+    return await sharp(data)
+      .extract(clampCrop(crop, info.width, info.height))
+      .resize(size.width, size.height, { fit: 'cover', position: 'centre' })
+      .webp({ quality: 85 })
+      .toBuffer();
+  } catch {
+    throw invalidImage('Image could not be processed');
+  }
+};
+
+// Process an image to attach to a post, resolving to the display copy, its
+// thumbnail, the display copy's size and a blurhash. Throws an error with
+// code INVALID_IMAGE for anything that isn't a supported image.
+export const processPostImage = async (buffer) => {
+  await checkFormat(buffer);
+
+  try {
+    const { data: image, info } = await sharp(buffer)
+      .rotate()
+      .resize(POST_IMAGE_MAX_SIDE, POST_IMAGE_MAX_SIDE, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 85 })
+      .toBuffer({ resolveWithObject: true });
+
+    const thumbnail = await sharp(image)
+      .resize(POST_THUMBNAIL_MAX_SIDE, POST_THUMBNAIL_MAX_SIDE, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer();
+
+    // Blurhash only needs a handful of pixels
+    const { data: pixels, info: small } = await sharp(image)
+      .resize(32, 32, { fit: 'inside' })
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    return {
+      image,
+      thumbnail,
+      width: info.width,
+      height: info.height,
+      blurhash: encode(new Uint8ClampedArray(pixels), small.width, small.height, 4, 3)
+    };
+  } catch {
+    throw invalidImage('Image could not be processed');
+  }
+};
@@ -0,0 +1,56 @@
+import { randomUUID } from 'crypto';
+import { processPostImage } from './images.js';
+
+// Post media
+//
+// Images are uploaded on their own, before the post they go with. Each upload
+// is processed (see images.js), stored with its thumbnail and recorded
+// unattached. Creating a post then claims up to MAX_POST_MEDIA of the
+// author's unattached uploads, in the order given, each with its alt text.
+
+export const MAX_POST_MEDIA = 4;
+export const MAX_ALT_TEXT_LENGTH = 1000;
+
+const invalidMedia = (message) => Object.assign(new Error(message), { code: 'INVALID_MEDIA' });
+
+export const createMediaService = (db, storage) => {
+  // Process, store and record an uploaded image for `userId`
+  const upload = async (userId, buffer) => {
+    const { image, thumbnail, width, height, blurhash } = await processPostImage(buffer);
+    const key = `media/${userId}/${randomUUID()}`;
+
+    const [url, thumbnailUrl] = await Promise.all([
+      storage.put(`${key}.webp`, image, { contentType: 'image/webp' }),
+      storage.put(`${key}_thumb.webp`, thumbnail, { contentType: 'image/webp' })
+    ]);
+
+    return db.media.create({ user_id: userId, url, thumbnail_url: thumbnailUrl, width, height, blurhash });
+  };
+
+  // Make sure `items` ([{ id, alt_text }]) are uploads by `userId` that no
+  // post has claimed yet. Throws an error with code INVALID_MEDIA otherwise.
+  const check = async (userId, items) => {
+    if (items.length > MAX_POST_MEDIA) {
+      throw invalidMedia(`Posts can have up to ${MAX_POST_MEDIA} images`);
+    }
+
+    const ids = items.map(item => item.id);
+    if (new Set(ids).size !== ids.length) {
+      throw invalidMedia('The same image is attached twice');
+    }
+
+    const rows = await db.media.findByIds(ids);
+    if (rows.filter(row => row.user_id === userId && !row.post_id).length !== ids.length) {
+      throw invalidMedia('Image not found or already posted');
+    }
+  };
+
+  // Attach checked uploads to a post, resolving to them in display order
+  const attach = (postId, items) => db.media.attach(postId, items.map((item, position) => ({
+    id: item.id,
+    position,
+    alt_text: item.alt_text?.trim() || null
+  })));
+
+  return { upload, check, attach };
+};
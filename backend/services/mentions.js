@@ -0,0 +1,32 @@
+// Mentions
+//
+// @username mentions are resolved against users when a post is saved and
+// stored on it as entities ({ id, username }, in order of appearance). Only
+// those are linked and notified; a name that matches nobody stays plain text.
+// Usernames are stored lowercased, so @Bob mentions bob. Mentions of someone
+// who has blocked the author are dropped.
+
+// Like hashtags, a mention has to start a word, so the @name in a URL such as
+// medium.com/@name isn't one. Keep in step with js/post-content.js and the
+// mentions backfill in db/schema.sql.
+const MENTION_PATTERN = /(?:^|[^\w@/])@(\w{3,30})\b/g;
+
+// Usernames mentioned in `content`, lowercased, without duplicates, in order
+export const extractMentions = (content) =>
+  [...new Set([...(content || '').matchAll(MENTION_PATTERN)].map(match => match[1].toLowerCase()))];
+
+// Mention entities for `content` written by `authorId`
+export const resolveMentions = async (db, content, authorId) => {
+  const usernames = extractMentions(content);
+  if (usernames.length === 0) return [];
+
+  const users = await db.users.findByUsernames(usernames);
+  const blockers = new Set(await db.blocks.findBlockers(authorId, users.map(user => user.id)));
+  const byUsername = new Map(users
+    .filter(user => !blockers.has(user.id))
+    .map(user => [user.username.toLowerCase(), user]));
+
+  return usernames
+    .filter(username => byUsername.has(username))
+    .map(username => ({ id: byUsername.get(username).id, username: byUsername.get(username).username }));
+};
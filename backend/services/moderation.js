@@ -0,0 +1,153 @@
+import { REPORT_CATEGORIES } from './reports.js';
+
+// Report resolutions
+//
+// A moderator resolves a report with one of RESOLUTION_ACTIONS:
+//
+//   dismiss - nothing to act on
+//   warn    - a strike against the reported account
+//   ban     - ban the account, for duration_hours or until lifted
+//   delete  - remove the reported post or message
+//
+// Each sanction is logged to moderation_actions and the affected user gets a
+// 'moderation' notification saying what happened and why. A warning that
+// takes an account to STRIKES_BEFORE_BAN strikes within STRIKE_WINDOW_DAYS
+// also bans it, for longer with every strike after that. The store counts
+// the strikes and decides on the ban inside the transaction, so warnings
+// resolved at the same time can't both miss it.
+//
+// The plan is worked out here and handed to db.reports.resolve, which applies
+// all of it in one transaction and resolves every open report on the same
+// target, so a post reported by five people is only acted on once. A deleted
+// post's image files are removed from storage after that has committed.
+
+export const RESOLUTION_ACTIONS = ['dismiss', 'warn', 'ban', 'delete'];
+
+export const STRIKES_BEFORE_BAN = 3;
+export const STRIKE_WINDOW_DAYS = 90;
+
+// Hours banned on reaching STRIKES_BEFORE_BAN strikes, then on each strike
+// after that; the last entry repeats
+export const STRIKE_BAN_HOURS = [24, 72, 168, 720];
+
+const EXCERPT_LENGTH = 80;
+
+const invalidResolution = (message) => Object.assign(new Error(message), { code: 'INVALID_RESOLUTION' });
+
+const hoursFromNow = (hours) => new Date(Date.now() + hours * 3600000).toISOString();
+
+const excerpt = (text) => (text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH - 1)}…` : text);
+
+// Reports filed before targets were recorded are about their post, if any
+const targetTypeOf = (report) => report.target_type || (report.reported_post_id ? 'post' : 'user');
+
+export const createModerationService = (db, { storage }) => {
+  // Resolve `report` with `action`. `reason` is what the affected user is
+  // told (the report's category by default); `notes` stay with moderators.
+  // Returns the resolved reports, the users who were notified and the user
+  // banned, if any.
+  const resolveReport = async (report, { moderatorId, action, reason = null, notes = null, durationHours = null }) => {
+    const category = REPORT_CATEGORIES.find(c => c.id === report.category);
+    const publicReason = reason || category?.label || 'Violation of community guidelines';
+    const userId = report.reported_user_id;
+
+    const resolution = {
+      resolved_by: moderatorId,
+      action,
+      notes,
+      moderation_actions: [],
+      notifications: []
+    };
+
+    const logAction = (fields) => resolution.moderation_actions.push({
+      moderator_id: moderatorId,
+      report_id: report.id,
+      target_user_id: userId,
+      target_post_id: null,
+      target_message_id: null,
+      reason: publicReason,
+      banned_until: null,
+      ...fields
+    });
+
+    const notice = (recipientId, details) => resolution.notifications.push({
+      user_id: recipientId,
+      type: 'moderation',
+      details: { reason: publicReason, ...details }
+    });
+
+    if ((action === 'warn' || action === 'ban') && !userId) {
+      throw invalidResolution('The reported account no longer exists');
+    }
+
+    if (action === 'warn') {
+      // The store notifies the account with its strike count and bans it if
+      // that reaches the limit
+      resolution.strike = {
+        user_id: userId,
+        moderator_id: moderatorId,
+        report_id: report.id,
+        reason: publicReason,
+        window_days: STRIKE_WINDOW_DAYS,
+        strikes_before_ban: STRIKES_BEFORE_BAN,
+        ban_hours: STRIKE_BAN_HOURS
+      };
+      logAction({ action_type: 'warn' });
+    }
+
+    if (action === 'ban') {
+      const bannedUntil = durationHours ? hoursFromNow(durationHours) : null;
+
+      resolution.ban = { user_id: userId, banned_until: bannedUntil, reason: publicReason };
+      logAction({ action_type: 'ban', banned_until: bannedUntil });
+      notice(userId, { action: 'ban', banned_until: bannedUntil });
+    }
+
+    if (action === 'delete') {
+      const targetType = targetTypeOf(report);
+
+      if (targetType === 'post') {
+        const post = report.reported_post_id && await db.posts.findById(report.reported_post_id);
+        if (!post) {
+          throw invalidResolution('The reported post has already been deleted');
+        }
+
+        resolution.delete_post_id = post.id;
+        logAction({ action_type: 'delete_post', target_user_id: post.user_id, target_post_id: post.id });
+        notice(post.user_id, { action: 'delete_post', excerpt: excerpt(post.content) });
+
+      } else if (targetType === 'message') {
+        const message = report.reported_message_id && await db.messages.findById(report.reported_message_id);
+        if (!message) {
+          throw invalidResolution('The reported message has already been deleted');
+        }
+
+        resolution.delete_message_id = message.id;
+        logAction({ action_type: 'delete_message', target_user_id: message.sender_id, target_message_id: message.id });
+        notice(message.sender_id, { action: 'delete_message', excerpt: excerpt(message.content) });
+
+      } else {
+        throw invalidResolution('Only posts and messages can be deleted');
+      }
+    }
+
+    const { reports, banned_user_id, media_urls } = await db.reports.resolve(report.id, resolution);
+
+    // The rows are gone; don't keep serving the files
+    await Promise.all(media_urls.map(url => storage.remove(url)
+      .catch(error => console.error('Error removing moderated image:', error))));
+
+    const notifiedIds = resolution.notifications.map(n => n.user_id);
+    if (resolution.strike) {
+      notifiedIds.push(userId);
+    }
+
+    return {
+      reports,
+      notified: [...new Set(notifiedIds)],
+      banned: banned_user_id
+    };
+  };
+
+  return { resolveReport };
+};
@@ -0,0 +1,118 @@
+// Notifications
+//
+// Routes record one row per event: someone liked, reposted or quoted your
+// post, replied to it, mentioned you, or followed you. Moderation notices
+// ('moderation', see moderation.js) have no actor and carry their details. When they're read back,
+// likes, reposts and follows about the same thing fold into a single entry
+// ("Alice and 4 others liked your post").
+
+export const NOTIFICATION_TYPES = ['like', 'reply', 'follow', 'mention', 'repost', 'quote', 'moderation'];
+
+// Types that fold together when they're about the same post (follows are
+// about you, so all follows fold together)
+const GROUPED_TYPES = new Set(['like', 'repost', 'follow']);
+
+// Actors listed by name on a grouped entry; the rest are counted
+const MAX_GROUP_ACTORS = 3;
+
+const groupKey = (row) => {
+  if (!GROUPED_TYPES.has(row.type)) return `${row.type}:${row.id}`;
+  return `${row.type}:${row.post_id || ''}`;
+};
+
+// Fold newest-first notification rows into entries, keeping the order of each
+// entry's newest row. An entry is unread while any of its rows is.
+export const groupNotifications = (rows) => {
+  const groups = new Map();
+
+  rows.forEach(row => {
+    const key = groupKey(row);
+    let group = groups.get(key);
+
+    if (!group) {
+      group = {
+        id: row.id,
+        type: row.type,
+        post: row.post || null,
+        details: row.details || null,
+        actors: [],
+        actorIds: new Set(),
+        notification_ids: [],
+        is_read: true,
+        created_at: row.created_at
+      };
+      groups.set(key, group);
+    }
+
+    group.notification_ids.push(row.id);
+    if (!row.read_at) group.is_read = false;
+
+    // Each actor counts once per entry
+    if (row.actor_id && !group.actorIds.has(row.actor_id)) {
+      group.actorIds.add(row.actor_id);
+      if (group.actors.length < MAX_GROUP_ACTORS) {
+        group.actors.push(row.actor);
+      }
+    }
+  });
+
+  return [...groups.values()].map(({ actorIds, ...group }) => ({
+    ...group,
+    actors_count: actorIds.size
+  }));
+};
+
+// Records notifications on behalf of routes. A failed notification is logged
+// and swallowed: it must never fail the action that caused it. With an event
+// bus, recipients are pushed their new unread count.
+export const createNotifier = (db, { events = null } = {}) => {
+  const safely = (label, fn) => async (...args) => {
+    try {
+      return await fn(...args);
+    } catch (error) {
+      console.error(`Error ${label} notification:`, error);
+      return null;
+    }
+  };
+
+  const publishUnread = async (userIds) => {
+    if (!events) return;
+    await Promise.all([...new Set(userIds)].map(async userId => {
+      const unreadCount = await db.notifications.countUnread(userId);
+      events.publish('notification', { unread_count: unreadCount }, { userIds: [userId] });
+    }));
+  };
+
+  // Notify `user_id` that `actor_id` did `type` (to `post_id`). Nobody is
+  // notified about their own actions, or by someone they've blocked.
+  const notify = safely('recording', async ({ user_id, actor_id, type, post_id = null }) => {
+    if (!user_id || user_id === actor_id) return null;
+    if ((await db.blocks.findBlockers(actor_id, [user_id])).length > 0) return null;
+    const notification = await db.notifications.create({ user_id, actor_id, type, post_id });
+    await publishUnread([user_id]);
+    return notification;
+  });
+
+  // Take back a notification when its action is undone (unlike, unfollow...)
+  const retract = safely('retracting', async ({ user_id = null, actor_id, type, post_id = null }) => {
+    const deleted = await db.notifications.delete({ user_id, actor_id, type, post_id });
+    await publishUnread(deleted.map(row => row.user_id));
+  });
+
+  // Notify everyone mentioned in `post` (its resolved mention entities),
+  // except users in `skip` (already notified some other way, e.g. as the
+  // author of the post being replied to)
+  const mentions = safely('recording mention', async (post, { skip = [] } = {}) => {
+    await Promise.all((post.mentions || [])
+      .filter(user => !skip.includes(user.id))
+      .map(user => notify({ user_id: user.id, actor_id: post.user_id, type: 'mention', post_id: post.id })));
+  });
+
+  // Push recipients their unread counts after notifications were recorded
+  // some other way (moderation notices are written with the resolution)
+  const refresh = safely('publishing', async (userIds) => {
+    await publishUnread(userIds);
+  });
+
+  return { notify, retract, mentions, refresh };
+};
@@ -0,0 +1,165 @@
+// Feed ranking
+//
+// A ranker takes candidate posts plus the signals gathered for them and
+// returns the posts in display order. Rankers are pure: given the same
+// posts, signals and `now` they always return the same order, so they can be
+// exercised against a fixed dataset without a database; `rankFixture` takes
+// one as plain data.
+//
+// Register new rankers in `rankers` and pick one with FEED_RANKER (or the
+// `ranker` query parameter on the feed route) to compare them.
+
+const HOUR_MS = 3600000;
+
+// How many of the newest posts are considered for ranking
+export const CANDIDATE_POOL_SIZE = 300;
+
+export const DEFAULT_WEIGHTS = {
+  recency: 1.0,
+  velocity: 0.8,
+  proximity: 0.6,
+  reputation: 0.3,
+  recencyHalfLifeHours: 6,
+  velocityWindowHours: 6
+};
+
+// ============ SIGNALS ============
+
+// 1 for a brand new post, halving every `halfLifeHours`
+export const recencyScore = (ageHours, halfLifeHours) =>
+  Math.pow(0.5, Math.max(ageHours, 0) / halfLifeHours);
+
+// Likes per hour over the window, squashed into 0..1
+export const velocityScore = (recentLikes, windowHours) => {
+  const perHour = recentLikes / windowHours;
+  return perHour / (perHour + 1);
+};
+
+// 1 if the viewer follows the author, 0.5 if someone they follow does
+export const proximityScore = (authorId, { following, secondDegree }) => {
+  if (following.has(authorId)) return 1;
+  if (secondDegree.has(authorId)) return 0.5;
+  return 0;
+};
+
+// Follower count on a log scale, with a bump for verified accounts
+export const reputationScore = (followers, isVerified) =>
+  Math.min(1, Math.log10(1 + followers) / 4 + (isVerified ? 0.2 : 0));
+
+// ============ RANKERS ============
+
+export const createWeightedRanker = (overrides = {}) => {
+  const weights = { ...DEFAULT_WEIGHTS, ...overrides };
+
+  // `post`'s score at `now`; higher ranks first
+  const score = (post, signals, now) => {
+    const ageHours = (now - Date.parse(post.created_at)) / HOUR_MS;
+    const recentLikes = signals.recentLikes.get(post.id) || 0;
+
+    return (
+      weights.recency * recencyScore(ageHours, weights.recencyHalfLifeHours) +
+      weights.velocity * velocityScore(recentLikes, weights.velocityWindowHours) +
+      weights.proximity * proximityScore(post.user_id, signals) +
+      weights.reputation * reputationScore(
+        signals.followerCounts.get(post.user_id) || 0,
+        post.user?.is_verified
+      )
+    );
+  };
+
+  return {
+    name: 'weighted',
+    weights,
+    score,
+    rank(posts, signals, { now = Date.now() } = {}) {
+      return posts
+        .map(post => ({ post, score: score(post, signals, now) }))
+        .sort((a, b) =>
+          b.score - a.score ||
+          b.post.created_at.localeCompare(a.post.created_at) ||
+          b.post.id.localeCompare(a.post.id))
+        .map(({ post }) => post);
+    }
+  };
+};
+
+export const createChronologicalRanker = () => ({
+  name: 'chronological',
+  rank(posts) {
+    return [...posts].sort((a, b) =>
+      b.created_at.localeCompare(a.created_at) || b.id.localeCompare(a.id));
+  }
+});
+
+const rankers = {
+  weighted: createWeightedRanker,
+  chronological: createChronologicalRanker
+};
+
+export const rankerNames = Object.keys(rankers);
+
+const parseWeights = (json) => {
+  if (!json) return {};
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    console.error('Ignoring invalid FEED_RANKER_WEIGHTS:', error.message);
+    return {};
+  }
+};
+
+export const createRanker = (
+  name = process.env.FEED_RANKER || 'weighted',
+  weights = parseWeights(process.env.FEED_RANKER_WEIGHTS)
+) => {
+  const create = rankers[name];
+  if (!create) {
+    throw new Error(`Unknown feed ranker "${name}". Expected one of: ${rankerNames.join(', ')}`);
+  }
+  return create(weights);
+};
+
+// ============ SIGNAL GATHERING ============
+
+// Signals as the rankers take them. Build fixtures with this to rank a fixed
+// dataset: `recentLikes` maps post ids to likes within the velocity window,
+// `followerCounts` maps author ids to follower counts, and `following` and
+// `secondDegree` list who the viewer follows and who those accounts follow.
+export const buildSignals = ({ recentLikes = {}, followerCounts = {}, following = [], secondDegree = [] } = {}) => ({
+  recentLikes: recentLikes instanceof Map ? recentLikes : new Map(Object.entries(recentLikes)),
+  followerCounts: followerCounts instanceof Map ? followerCounts : new Map(Object.entries(followerCounts)),
+  following: new Set(following),
+  secondDegree: new Set(secondDegree)
+});
+
+// Load everything the rankers need for a set of candidates in a few queries.
+// Likes count over the velocity window ending at `now`.
+export const gatherSignals = async (db, posts, viewerId, { now = Date.now(), windowHours = DEFAULT_WEIGHTS.velocityWindowHours } = {}) => {
+  const postIds = posts.map(post => post.id);
+  const authorIds = [...new Set(posts.map(post => post.user_id))];
+
+  const [recentLikes, followerCounts, following, secondDegree] = await Promise.all([
+    db.likes.countRecent(postIds, {
+      since: new Date(now - windowHours * HOUR_MS).toISOString(),
+      until: new Date(now).toISOString()
+    }),
+    db.follows.countFollowersFor(authorIds),
+    viewerId ? db.follows.listFollowingIds(viewerId) : [],
+    viewerId ? db.follows.listSecondDegreeIds(viewerId) : []
+  ]);
+
+  return buildSignals({ recentLikes, followerCounts, following, secondDegree });
+};
+
+// Rank a fixed dataset with `ranker`: `posts` as the feed returns them,
+// `signals` as plain data for buildSignals and `now` as an ISO timestamp.
+// Returns the posts in order, with their scores when the ranker keeps them.
+export const rankFixture = (ranker, { posts, signals = {}, now }) => {
+  const built = buildSignals(signals);
+  const at = Date.parse(now);
+
+  return ranker.rank(posts, built, { now: at }).map(post => ({
+    id: post.id,
+    score: ranker.score ? ranker.score(post, built, at) : null
+  }));
+};
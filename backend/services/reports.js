@@ -0,0 +1,53 @@
+// Reports
+//
+// Anyone signed in can report a post, a profile ('user') or a message from
+// one of their own conversations. A report picks a category from
+// REPORT_CATEGORIES and can add details; 'other' needs them. Each reporter
+// gets one open report per target, and moderators work through them from
+// GET /api/moderation/reports.
+
+export const REPORT_TARGETS = ['post', 'user', 'message'];
+
+export const REPORT_CATEGORIES = [
+  { id: 'spam', label: 'Spam', description: 'Misleading, repetitive or commercial content' },
+  { id: 'harassment', label: 'Harassment or bullying', description: 'Targeting, insulting or threatening someone' },
+  { id: 'hate', label: 'Hateful conduct', description: 'Attacks on people for who they are' },
+  { id: 'violence', label: 'Violence', description: 'Threats or glorification of violence' },
+  { id: 'self_harm', label: 'Self-harm', description: 'Encouraging suicide or self-injury' },
+  { id: 'sexual', label: 'Sexual content', description: 'Unwanted or non-consensual sexual content' },
+  { id: 'impersonation', label: 'Impersonation', description: 'Pretending to be someone else' },
+  { id: 'illegal', label: 'Illegal content', description: 'Content that breaks the law' },
+  { id: 'other', label: 'Something else', description: 'Tell us what\'s wrong' }
+];
+
+export const REPORT_CATEGORY_IDS = REPORT_CATEGORIES.map(category => category.id);
+
+export const MAX_REPORT_DETAILS_LENGTH = 500;
+
+// Reports one user can file per hour
+export const REPORTS_PER_HOUR = 10;
+
+// Find what `userId` is reporting and who's responsible for it. Returns null
+// when the target doesn't exist or, for a message, isn't in one of the
+// reporter's conversations.
+export const resolveReportTarget = async (db, userId, targetType, targetId) => {
+  if (targetType === 'post') {
+    const post = await db.posts.findById(targetId);
+    return post && { reported_user_id: post.user_id, reported_post_id: post.id };
+  }
+
+  if (targetType === 'user') {
+    const user = await db.users.findById(targetId);
+    return user && { reported_user_id: user.id };
+  }
+
+  const message = await db.messages.findById(targetId);
+  if (!message) return null;
+
+  const conversation = await db.conversations.findById(message.conversation_id);
+  if (!conversation || (conversation.user_a_id !== userId && conversation.user_b_id !== userId)) {
+    return null;
+  }
+
+  return { reported_user_id: message.sender_id, reported_message_id: message.id };
+};
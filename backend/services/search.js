@@ -0,0 +1,140 @@
+import { recencyScore, reputationScore } from './ranking.js';
+
+// Search
+//
+// Repositories return candidate rows that match a query; ranking happens
+// here so every storage backend orders results the same way. Like the For
+// You feed, only a pool of candidates is ranked and pages are cut from it
+// with snapshot cursors.
+//
+// Post queries understand:
+//   word             - the post contains "word" (case-insensitive)
+//   "some phrase"    - the post contains the exact phrase
+//   from:username    - only posts by that user
+//
+// `*` is dropped from terms because PostgREST reads it as a wildcard.
+
+const HOUR_MS = 3600000;
+
+export const SEARCH_TYPES = ['users', 'posts', 'hashtags'];
+
+// How many matching rows are ranked per query
+export const SEARCH_POOL_SIZE = 200;
+
+const POST_RECENCY_HALF_LIFE_HOURS = 72;
+
+const clean = (text) => text.replace(/\*/g, '').trim();
+
+// Split a post query into { terms, phrases, from }
+export const parsePostQuery = (q) => {
+  const phrases = [];
+  const terms = [];
+  let from = null;
+
+  const rest = String(q).replace(/"([^"]*)"/g, (match, phrase) => {
+    const cleaned = clean(phrase);
+    if (cleaned) phrases.push(cleaned);
+    return ' ';
+  });
+
+  rest.split(/\s+/).forEach(token => {
+    const operator = token.match(/^from:@?(\w+)$/i);
+    if (operator) {
+      from = operator[1];
+      return;
+    }
+    const cleaned = clean(token.replace(/"/g, ''));
+    if (cleaned) terms.push(cleaned);
+  });
+
+  return { terms, phrases, from };
+};
+
+// Prefix for user and hashtag lookups: "@ali" -> "ali", "#Java" -> "java"
+export const parsePrefix = (q, sigil) => {
+  const trimmed = clean(String(q));
+  return (trimmed.startsWith(sigil) ? trimmed.slice(1) : trimmed).toLowerCase();
+};
+
+// ============ USERS ============
+
+// How well `user` matches `prefix`: exact username, then username prefix,
+// then a display name word starting with it, then anything else
+const userMatchScore = (user, prefix) => {
+  const username = (user.username || '').toLowerCase();
+  const displayName = (user.display_name || '').toLowerCase();
+
+  if (username === prefix) return 4;
+  if (username.startsWith(prefix)) return 3;
+  if (displayName.split(/\s+/).some(word => word.startsWith(prefix))) return 2;
+  return 1;
+};
+
+// Order users by match quality, then reputation, then username
+export const rankUsers = (users, prefix, followerCounts = new Map()) =>
+  users
+    .map(user => ({
+      user,
+      match: userMatchScore(user, prefix),
+      reputation: reputationScore(followerCounts.get(user.id) || 0, user.is_verified)
+    }))
+    .sort((a, b) => b.match - a.match ||
+      b.reputation - a.reputation ||
+      a.user.username.localeCompare(b.user.username))
+    .map(({ user }) => user);
+
+// ============ POSTS ============
+
+const countOccurrences = (haystack, needle) => {
+  let count = 0;
+  let index = haystack.indexOf(needle);
+  while (index !== -1) {
+    count += 1;
+    index = haystack.indexOf(needle, index + needle.length);
+  }
+  return count;
+};
+
+// Text relevance: each term counts more at the start of a word, and a
+// matched phrase is worth more than its words would be
+const postMatchScore = (post, { terms, phrases }) => {
+  const content = (post.content || '').toLowerCase();
+
+  const termScore = terms.reduce((score, term) => {
+    const needle = term.toLowerCase();
+    const wordStart = new RegExp(`(^|\\W)${needle.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`).test(content);
+    return score + Math.min(countOccurrences(content, needle), 3) + (wordStart ? 1 : 0);
+  }, 0);
+
+  const phraseScore = phrases.reduce((score, phrase) =>
+    score + 3 * Math.min(countOccurrences(content, phrase.toLowerCase()), 2), 0);
+
+  return termScore + phraseScore;
+};
+
+// Order posts by relevance, scaled by freshness and engagement
+export const rankPosts = (posts, query, { now = Date.now() } = {}) =>
+  posts
+    .map(post => {
+      const ageHours = (now - Date.parse(post.created_at)) / HOUR_MS;
+      const engagement = Math.log10(1 + (post.likes_count || 0) + (post.reposts_count || 0));
+      const relevance = 1 + postMatchScore(post, query);
+
+      return {
+        post,
+        score: relevance * (0.5 + 0.5 * recencyScore(ageHours, POST_RECENCY_HALF_LIFE_HOURS)) * (1 + 0.25 * engagement)
+      };
+    })
+    .sort((a, b) => b.score - a.score || b.post.created_at.localeCompare(a.post.created_at))
+    .map(({ post }) => post);
+
+// ============ HASHTAGS ============
+
+// Order tags (a Map of tag -> posts using it): an exact match for `prefix`
+// first, then the most used
+export const rankHashtags = (counts, prefix) =>
+  [...counts.entries()]
+    .map(([tag, posts_count]) => ({ tag, posts_count }))
+    .sort((a, b) => (b.tag === prefix) - (a.tag === prefix) ||
+      b.posts_count - a.posts_count ||
+      a.tag.localeCompare(b.tag));
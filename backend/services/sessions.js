@@ -0,0 +1,110 @@
+import { createHash, randomBytes } from 'crypto';
+import jwt from 'jsonwebtoken';
+
+// Sessions
+//
+// Signing in starts a session for that device. The client gets a short-lived
+// access token (a JWT naming the session) and a refresh token, which the
+// server keeps only as a hash. Each refresh swaps the refresh token for a new
+// one. Seeing an already-swapped token again means it leaked, so the session
+// is revoked; within ROTATION_GRACE_SECONDS it's more likely two tabs
+// refreshing at once, and the late one is just turned away.
+//
+// Access tokens are checked against their session on every request, so
+// revoking a session signs that device out straight away.
+
+export const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+export const REFRESH_TOKEN_TTL_DAYS = 30;
+
+const ROTATION_GRACE_SECONDS = 60;
+
+const hashToken = (token) => createHash('sha256').update(token).digest('hex');
+
+const newRefreshToken = () => randomBytes(32).toString('base64url');
+
+const invalidSession = (message) => Object.assign(new Error(message), { code: 'INVALID_SESSION' });
+
+const BROWSERS = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']];
+const SYSTEMS = [['iPhone', 'iOS'], ['iPad', 'iPadOS'], ['Android', 'Android'], ['Windows', 'Windows'],
+  ['Mac OS X', 'macOS'], ['CrOS', 'ChromeOS'], ['Linux', 'Linux']];
+
+// "Firefox on Windows", from a User-Agent header
+export const describeDevice = (userAgent) => {
+  const find = (names) => names.find(([token]) => (userAgent || '').includes(token))?.[1];
+  const browser = find(BROWSERS);
+  const system = find(SYSTEMS);
+
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || 'Unknown device';
+};
+
+// Whether `session` is still signed in
+export const isActiveSession = (session) =>
+  Boolean(session) && !session.revoked_at && new Date(session.expires_at) > new Date();
+
+export const createSessionService = (db, { secret, events = null }) => {
+  const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 86400000).toISOString();
+
+  const issue = (user, session, refreshToken) => ({
+    token: jwt.sign({ id: user.id, username: user.username, sid: session.id }, secret, {
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS
+    }),
+    refresh_token: refreshToken,
+    expires_in: ACCESS_TOKEN_TTL_SECONDS
+  });
+
+  const device = (req) => ({ user_agent: req.get('user-agent') || null, ip: req.ip || null });
+
+  // Sign `user` in on the device making `req`. Returns the token pair.
+  const start = async (user, req) => {
+    const refreshToken = newRefreshToken();
+    const session = await db.sessions.create({
+      user_id: user.id,
+      refresh_token_hash: hashToken(refreshToken),
+      expires_at: refreshExpiry(),
+      ...device(req)
+    });
+
+    return issue(user, session, refreshToken);
+  };
+
+  // Swap `refreshToken` for a new pair. Returns the pair and the session's
+  // user; throws INVALID_SESSION when the token can't be used.
+  const refresh = async (refreshToken, req) => {
+    const hash = hashToken(refreshToken);
+    const session = await db.sessions.findByRefreshHash(hash);
+
+    if (!isActiveSession(session)) {
+      throw invalidSession('Session expired');
+    }
+
+    if (session.refresh_token_hash !== hash) {
+      const secondsSinceRotation = (Date.now() - new Date(session.rotated_at)) / 1000;
+      if (secondsSinceRotation > ROTATION_GRACE_SECONDS) {
+        await db.sessions.revoke(session.id);
+        events?.disconnect({ sessionId: session.id });
+      }
+      throw invalidSession('Refresh token already used');
+    }
+
+    const user = await db.users.findById(session.user_id);
+    if (!user) {
+      throw invalidSession('Account not found');
+    }
+
+    const nextToken = newRefreshToken();
+    const rotated = await db.sessions.rotate(session.id, hash, {
+      refresh_token_hash: hashToken(nextToken),
+      expires_at: refreshExpiry(),
+      ...device(req)
+    });
+
+    if (!rotated) {
+      throw invalidSession('Refresh token already used');
+    }
+
+    return { user, ...issue(user, rotated, nextToken) };
+  };
+
+  return { start, refresh };
+};
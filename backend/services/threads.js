@@ -0,0 +1,35 @@
+// Conversation threads
+//
+// Replies carry `reply_to_id` (the post they answer) and `root_id` (the first
+// post of the conversation), so a whole conversation loads in one query and
+// is assembled here.
+
+// Build { ancestors, replies } for `post` out of its conversation's posts.
+// Ancestors run from the root down to the direct parent; replies nest under
+// the post they answer.
+export const buildThread = (post, conversation) => {
+  const byId = new Map(conversation.map(entry => [entry.id, entry]));
+
+  const ancestors = [];
+  let parentId = post.reply_to_id;
+  while (parentId && byId.has(parentId) && ancestors.length < conversation.length) {
+    const parent = byId.get(parentId);
+    ancestors.unshift(parent);
+    parentId = parent.reply_to_id;
+  }
+
+  const children = new Map();
+  conversation.forEach(entry => {
+    if (!entry.reply_to_id) return;
+    const siblings = children.get(entry.reply_to_id) || [];
+    siblings.push(entry);
+    children.set(entry.reply_to_id, siblings);
+  });
+
+  const nest = (id) => (children.get(id) || []).map(reply => ({
+    ...reply,
+    replies: nest(reply.id)
+  }));
+
+  return { ancestors, replies: nest(post.id) };
+};
@@ -0,0 +1,212 @@
+import { createCipheriv, createDecipheriv, createHash, createHmac, hkdfSync, randomBytes, timingSafeEqual } from 'crypto';
+import QRCode from 'qrcode';
+
+// Two-factor authentication
+//
+// Accounts can add a time-based one-time password (TOTP, RFC 6238) from an
+// authenticator app as a second step when signing in. Enrolling stores a new
+// secret and shows it as an otpauth:// URI and QR code; two-factor is only
+// turned on once a code from the app confirms it was added. Turning it on
+// hands out RECOVERY_CODE_COUNT single-use recovery codes, stored as hashes,
+// for when the app isn't to hand.
+//
+// Codes are accepted for one step either side of the current one to allow
+// for clock drift, and each step's code works once.
+//
+// Secrets are stored encrypted with AES-256-GCM under a key derived from
+// `encryptionKey`, so reading the table doesn't give away the codes.
+//
+// Admins and moderators can't use their tools until two-factor is on.
+
+export const TOTP_DIGITS = 6;
+export const TOTP_STEP_SECONDS = 30;
+export const RECOVERY_CODE_COUNT = 10;
+
+const DRIFT_STEPS = 1;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const twoFactorError = (message) => Object.assign(new Error(message), { code: 'INVALID_TWO_FACTOR' });
+
+const toBase32 = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const fromBase32 = (text) => {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of text.replace(/=+$/, '').toUpperCase()) {
+    value = (value << 5) | BASE32_ALPHABET.indexOf(char);
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// The code for time step `step` (RFC 4226 HOTP with the step as counter)
+const codeAt = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = createHmac('sha1', fromBase32(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+
+  return String(code).padStart(TOTP_DIGITS, '0');
+};
+
+const sameCode = (a, b) => a.length === b.length && timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+// The time step `code` is valid for around now, or null if it isn't
+const matchingStep = (secret, code) => {
+  const current = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+
+  for (let step = current - DRIFT_STEPS; step <= current + DRIFT_STEPS; step++) {
+    if (sameCode(codeAt(secret, step), code)) return step;
+  }
+  return null;
+};
+
+// Recovery codes look like "k3vq9-mx2rt"; spaces, dashes and case don't
+// matter when they're typed back
+const newRecoveryCode = () => {
+  const chars = toBase32(randomBytes(7)).toLowerCase().slice(0, 10);
+  return `${chars.slice(0, 5)}-${chars.slice(5)}`;
+};
+
+const hashRecoveryCode = (code) =>
+  createHash('sha256').update(code.replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+
+const isTotpCode = (code) => new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(code);
+
+// Stored secrets look like "iv.tag.ciphertext", each part base64url
+const sealSecret = (key, secret) => {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join('.');
+};
+
+const openSecret = (key, sealed) => {
+  const [iv, tag, ciphertext] = sealed.split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+// Whether `user` has two-factor turned on
+export const isTwoFactorEnabled = (user) => Boolean(user?.two_factor_enabled_at);
+
+export const createTwoFactorService = (db, { issuer, encryptionKey }) => {
+  if (!encryptionKey) {
+    throw new Error('Two-factor authentication needs an encryption key for stored secrets');
+  }
+  const key = Buffer.from(hkdfSync('sha256', encryptionKey, '', 'two-factor secrets', 32));
+
+  const otpauthUri = (user, secret) => {
+    const label = encodeURIComponent(`${issuer}:${user.username}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer,
+      algorithm: 'SHA1',
+      digits: String(TOTP_DIGITS),
+      period: String(TOTP_STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params}`;
+  };
+
+  // A code from the app, used up. Returns whether it was good.
+  const useTotpCode = async (userId, code) => {
+    const stored = await db.twoFactor.findSecret(userId);
+    if (!stored) return false;
+
+    const step = matchingStep(openSecret(key, stored.secret), code);
+    return step !== null && db.twoFactor.useStep(userId, step);
+  };
+
+  const issueRecoveryCodes = () => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, newRecoveryCode);
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+  };
+
+  // Start enrolling `user` with a new secret, replacing an unconfirmed one.
+  // Returns what the authenticator app needs.
+  const setup = async (user) => {
+    if (isTwoFactorEnabled(user)) {
+      throw twoFactorError('Two-factor authentication is already on');
+    }
+
+    const secret = toBase32(randomBytes(20));
+    await db.twoFactor.saveSecret(user.id, sealSecret(key, secret));
+
+    const uri = otpauthUri(user, secret);
+    return { secret, otpauth_uri: uri, qr_code: await QRCode.toDataURL(uri) };
+  };
+
+  // Finish enrolling with a code from the app. Returns the recovery codes,
+  // which are only ever shown this once.
+  const enable = async (user, code) => {
+    if (isTwoFactorEnabled(user)) {
+      throw twoFactorError('Two-factor authentication is already on');
+    }
+    if (!isTotpCode(code) || !(await useTotpCode(user.id, code))) {
+      throw twoFactorError('That code didn\'t match. Check the time on your device and try again.');
+    }
+
+    const { codes, hashes } = issueRecoveryCodes();
+    await db.twoFactor.enable(user.id, hashes);
+    return codes;
+  };
+
+  // Check a code from the app or a recovery code for `user`, using it up.
+  // Returns whether it was good.
+  const verify = async (user, code) => {
+    const entered = String(code || '').trim();
+    if (!entered) return false;
+
+    if (isTotpCode(entered)) {
+      return useTotpCode(user.id, entered);
+    }
+    return db.twoFactor.useRecoveryCode(user.id, hashRecoveryCode(entered));
+  };
+
+  // Swap the recovery codes for a new set. Returns them.
+  const regenerateRecoveryCodes = async (user) => {
+    const { codes, hashes } = issueRecoveryCodes();
+    await db.twoFactor.replaceRecoveryCodes(user.id, hashes);
+    return codes;
+  };
+
+  // Turn two-factor off for `user`
+  const disable = (user) => db.twoFactor.disable(user.id);
+
+  // Whether two-factor is on, and how many recovery codes are left
+  const status = async (user) => ({
+    enabled: isTwoFactorEnabled(user),
+    enabled_at: user.two_factor_enabled_at || null,
+    recovery_codes_left: isTwoFactorEnabled(user) ? await db.twoFactor.countRecoveryCodes(user.id) : 0
+  });
+
+  return { setup, enable, verify, regenerateRecoveryCodes, disable, status };
+};
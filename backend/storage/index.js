@@ -0,0 +1,37 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createLocalStorage } from './local.js';
+
+// File storage
+//
+// Uploaded files go to a storage driver instead of straight to disk. A driver
+// exposes:
+//
+//   put(key, buffer, { contentType }) - store a file, resolving to its public URL
+//   remove(url)                       - delete a file it stored; other URLs are ignored
+//   serve                             - optional Express middleware that serves
+//                                       the files, mounted at /uploads
+//
+// Backends:
+//
+//   local - files under UPLOADS_DIR, served by the API itself (default)
+//
+// Pick one with STORAGE_DRIVER. An object store driver only has to implement
+// put and remove and hand back URLs its bucket serves.
+
+const backendDir = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+
+const drivers = {
+  local: () => createLocalStorage({
+    dir: process.env.UPLOADS_DIR || path.join(backendDir, 'uploads'),
+    baseUrl: process.env.UPLOADS_BASE_URL || `http://localhost:${process.env.PORT || 3000}/uploads`
+  })
+};
+
+export function createStorage(driver = process.env.STORAGE_DRIVER || 'local') {
+  const create = drivers[driver];
+  if (!create) {
+    throw new Error(`Unknown STORAGE_DRIVER "${driver}". Expected one of: ${Object.keys(drivers).join(', ')}`);
+  }
+  return create();
+}
@@ -0,0 +1,40 @@
+import fs from 'fs/promises';
+import path from 'path';
+import express from 'express';
+
+// Local disk storage: files live under `dir` and are served from `baseUrl`
+export function createLocalStorage({ dir, baseUrl }) {
+  const root = path.resolve(dir);
+  const prefix = `${baseUrl.replace(/\/$/, '')}/`;
+
+  // Keys come from the server, but never let one escape the uploads directory
+  const fileFor = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return file;
+  };
+
+  return {
+    async put(key, buffer) {
+      const file = fileFor(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer);
+      return prefix + key;
+    },
+
+    async remove(url) {
+      if (!url || !url.startsWith(prefix)) return;
+      await fs.rm(fileFor(url.slice(prefix.length)), { force: true });
+    },
+
+    // Pages load these from another origin, which helmet's default
+    // Cross-Origin-Resource-Policy would block
+    serve: express.static(root, {
+      immutable: true,
+      maxAge: '365d',
+      setHeaders: (res) => res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin')
+    })
+  };
+}
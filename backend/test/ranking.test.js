@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import {
+  createChronologicalRanker,
+  createWeightedRanker,
+  rankFixture
+} from '../services/ranking.js';
+
+const fixture = JSON.parse(readFileSync(new URL('./fixtures/ranking.json', import.meta.url), 'utf8'));
+
+const order = (ranked) => ranked.map(post => post.id);
+
+test('weighted ranker orders the fixture by its signals', () => {
+  assert.deepEqual(order(rankFixture(createWeightedRanker(), fixture)), [
+    'post-friend-of-friend',
+    'post-followed',
+    'post-popular',
+    'post-stranger',
+    'post-old'
+  ]);
+});
+
+test('weighted ranker gives the same order whatever order posts arrive in', () => {
+  const reversed = { ...fixture, posts: [...fixture.posts].reverse() };
+  assert.deepEqual(
+    rankFixture(createWeightedRanker(), reversed),
+    rankFixture(createWeightedRanker(), fixture)
+  );
+});
+
+test('weighted ranker follows its weights', () => {
+  const recencyOnly = createWeightedRanker({ velocity: 0, proximity: 0, reputation: 0 });
+  assert.deepEqual(order(rankFixture(recencyOnly, fixture)), [
+    'post-stranger',
+    'post-followed',
+    'post-friend-of-friend',
+    'post-popular',
+    'post-old'
+  ]);
+});
+
+test('chronological ranker orders the fixture newest first', () => {
+  const ranked = rankFixture(createChronologicalRanker(), fixture);
+  assert.deepEqual(order(ranked), [
+    'post-stranger',
+    'post-followed',
+    'post-friend-of-friend',
+    'post-popular',
+    'post-old'
+  ]);
+  assert.ok(ranked.every(post => post.score === null));
+});
@@ -0,0 +1,73 @@
+// Keyset pagination helpers
+//
+// Lists are ordered newest first by (created_at, id). A cursor points at the
+// last row of a page; the next page is everything strictly older than it.
+// Cursors are opaque to clients: base64url of "created_at|id". Lists sorted
+// by another timestamp (the DM inbox, by last message) pass its column name.
+//
+// A decoded cursor ends up inside a PostgREST filter string, so anything
+// that isn't an ISO timestamp and a UUID is rejected rather than passed on.
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 50;
+
+const ISO_TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{1,6})?(Z|[+-]\d{2}:\d{2})$/;
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export const encodeCursor = (row, column = 'created_at') =>
+  Buffer.from(`${row[column]}|${row.id}`).toString('base64url');
+
+export const decodeCursor = (cursor) => {
+  if (!cursor) return null;
+
+  const decoded = Buffer.from(String(cursor), 'base64url').toString('utf8');
+  const separator = decoded.lastIndexOf('|');
+  if (separator === -1) return null;
+
+  const created_at = decoded.slice(0, separator);
+  const id = decoded.slice(separator + 1);
+  if (!UUID.test(id) || !ISO_TIMESTAMP.test(created_at) || Number.isNaN(Date.parse(created_at))) return null;
+
+  return { created_at, id };
+};
+
+export const isValidCursor = (cursor) => decodeCursor(cursor) !== null;
+
+export const parseLimit = (limit) =>
+  Math.min(parseInt(limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+// Repositories fetch limit + 1 rows; the extra row only tells us there's more
+export const toPage = (rows, limit, column = 'created_at') => {
+  const items = rows.slice(0, limit);
+  return {
+    items,
+    next_cursor: rows.length > limit ? encodeCursor(items[items.length - 1], column) : null
+  };
+};
+
+// Newest-first comparator matching the (created_at, id) keyset order
+export const compareNewest = (a, b, column = 'created_at') =>
+  b[column].localeCompare(a[column]) || b.id.localeCompare(a.id);
+
+export const isBefore = (row, cursor, column = 'created_at') =>
+  row[column] < cursor.created_at ||
+  (row[column] === cursor.created_at && row.id < cursor.id);
+
+// Ranked lists can't use keysets, so their cursors pin the ranking time and
+// the offset into the ranked list: base64url of {"as_of","offset"}.
+export const encodeSnapshotCursor = ({ as_of, offset }) =>
+  Buffer.from(JSON.stringify({ as_of, offset })).toString('base64url');
+
+export const decodeSnapshotCursor = (cursor) => {
+  if (!cursor) return null;
+
+  try {
+    const { as_of, offset } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (Number.isNaN(Date.parse(as_of)) || !Number.isInteger(offset) || offset < 0) return null;
+    return { as_of, offset };
+  } catch {
+    return null;
+  }
+};
+
+export const isValidSnapshotCursor = (cursor) => decodeSnapshotCursor(cursor) !== null;
@@ -3,6 +3,7 @@ class App {
     constructor() {
         this.setupEventListeners();
         this.checkAuthState();
+        this.loadTrends();
     }
 
     setupEventListeners() {
@@ -75,7 +76,7 @@ class App {
 
     checkAuthState() {
         const currentUser = getCurrentUser();
-        const protectedPages = ['index.html', 'profile.html', 'dms.html'];
+        const protectedPages = ['index.html', 'profile.html', 'dms.html', 'saved.html', 'notifications.html', 'blocked.html', 'sessions.html', 'two-factor.html'];
         const currentPage = window.location.pathname;
 
         // Redirect to login if not authenticated on protected pages
@@ -86,6 +87,149 @@ class App {
 
         // Update UI based on auth state
         this.updateAuthUI();
+
+        if (currentUser) {
+            this.loadUnreadCounts();
+            this.setupRealtime();
+            this.showVerificationReminder();
+        }
+    }
+
+    // Unconfirmed accounts can't upload images or send messages, so remind
+    // them to confirm and let them send the link again. Users stored before
+    // the server reported email_verified_at aren't nagged.
+    showVerificationReminder() {
+        const main = document.querySelector('.main-content');
+        if (!main || getCurrentUser().email_verified_at !== null) return;
+
+        const banner = document.createElement('div');
+        banner.className = 'status-message status-warning verify-banner';
+        banner.innerHTML = `
+            <span class="verify-banner-text">Confirm your email address to send messages and share images.</span>
+            <button type="button" class="btn btn-secondary btn-sm">Resend link</button>
+        `;
+        main.prepend(banner);
+
+        const text = banner.querySelector('.verify-banner-text');
+        const button = banner.querySelector('button');
+
+        button.addEventListener('click', async () => {
+            button.disabled = true;
+
+            try {
+                const { message } = await auth.resendVerification();
+                text.textContent = message;
+                button.remove();
+            } catch (error) {
+                console.error('Error resending verification email:', error);
+                text.textContent = error.message;
+                button.disabled = false;
+            }
+        });
+    }
+
+    // Keep the nav badges current from the event stream
+    setupRealtime() {
+        realtime.on('notification', ({ unread_count }) => {
+            this.setNavBadge('notifications.html', unread_count);
+        });
+
+        realtime.on('message', ({ unread_count }) => {
+            // Only the recipient's copy carries a count
+            if (unread_count !== undefined) {
+                this.setNavBadge('dms.html', unread_count);
+            }
+        });
+
+        realtime.on('reset', () => this.loadUnreadCounts());
+
+        // Profile edits made on another device or tab
+        realtime.on('user.updated', ({ user }) => {
+            const currentUser = getCurrentUser();
+            if (currentUser && user.id === currentUser.id) {
+                auth.setCurrentUser({ ...currentUser, ...user });
+                this.updateAuthUI();
+            }
+        });
+
+        realtime.connect();
+    }
+
+    // Unread badges on the bottom nav
+    async loadUnreadCounts() {
+        const badges = {
+            'notifications.html': '/notifications/unread',
+            'dms.html': '/conversations/unread'
+        };
+
+        await Promise.all(Object.entries(badges).map(async ([page, endpoint]) => {
+            try {
+                const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+                    headers: auth.getAuthHeaders()
+                });
+
+                if (response.ok) {
+                    const { unread_count } = await response.json();
+                    this.setNavBadge(page, unread_count);
+                }
+            } catch (error) {
+                console.error('Error loading unread counts:', error);
+            }
+        }));
+    }
+
+    setNavBadge(page, count) {
+        const navItem = document.querySelector(`.bottom-nav a[href="${page}"]`);
+        if (!navItem) return;
+
+        let badge = navItem.querySelector('.nav-badge');
+
+        if (!count) {
+            badge?.remove();
+            return;
+        }
+
+        if (!badge) {
+            badge = document.createElement('span');
+            badge.className = 'nav-badge';
+            navItem.appendChild(badge);
+        }
+
+        badge.textContent = count > 99 ? '99+' : count;
+    }
+
+    // Trending hashtags, on pages with a trends list
+    async loadTrends() {
+        const list = document.getElementById('trendingList');
+        if (!list) return;
+
+        try {
+            const response = await fetch(`${API_BASE_URL}/hashtags/trending?limit=5`);
+
+            if (!response.ok) {
+                throw new Error('Failed to load trends');
+            }
+
+            const { trends } = await response.json();
+
+            if (trends.length === 0) {
+                list.innerHTML = '<li class="trend-empty">Nothing trending right now</li>';
+                return;
+            }
+
+            list.innerHTML = trends.map(trend => `
+                <li>
+                    <a class="trend-item" href="hashtag.html?tag=${encodeURIComponent(trend.tag)}">
+                        <span class="trend-tag">#${escapeHtml(trend.tag)}</span>
+                        <span class="trend-count">${trend.posts_count} posts in the last ${trend.window_hours === 1 ? 'hour' : `${trend.window_hours} hours`}</span>
+                    </a>
+                </li>
+            `).join('');
+
+        } catch (error) {
+            console.error('Error loading trends:', error);
+            list.innerHTML = '<li class="trend-empty">Trends are unavailable</li>';
+        }
     }
 
     updateAuthUI() {
@@ -1,10 +1,15 @@
 // Authentication System
 const API_BASE_URL = 'http://localhost:3000/api';
 
+// The browser's own fetch. window.fetch is wrapped further down so expired
+// access tokens are refreshed.
+const nativeFetch = window.fetch.bind(window);
+
 class AuthSystem {
     constructor() {
         this.currentUser = this.getCurrentUser();
         this.token = this.getToken();
+        this.refreshing = null;
     }
 
     // ============ API METHODS ============
@@ -45,7 +50,9 @@ class AuthSystem {
         }
     }
 
-    async login(identifier, password) {
+    // Resolves to { two_factor_required: true } when the account needs a
+    // code from its authenticator app; send it as `twoFactorCode`
+    async login(identifier, password, twoFactorCode = null) {
         try {
             console.log('Login attempt:', identifier);
 
@@ -56,12 +63,21 @@ class AuthSystem {
                 },
                 body: JSON.stringify({ 
                     identifier: identifier, 
-                    password: password 
+                    password: password,
+                    two_factor_code: twoFactorCode
                 })
             });
 
             const data = await response.json();
 
+            if (data.banned) {
+                throw new Error(this.describeBan(data));
+            }
+
+            if (data.two_factor_required && !twoFactorCode) {
+                return { two_factor_required: true };
+            }
+
             if (!response.ok) {
                 throw new Error(data.error || 'Login failed');
             }
@@ -75,16 +91,140 @@ class AuthSystem {
         }
     }
 
+    // "Your account is suspended until <date>. Reason: ..."
+    describeBan({ banned_until, reason }) {
+        let message = banned_until
+            ? `Your account is suspended until ${new Date(banned_until).toLocaleString()}.`
+            : 'Your account has been suspended.';
+
+        if (reason) {
+            message += ` Reason: ${reason}`;
+        }
+
+        return message;
+    }
+
+    // ============ ACCOUNT EMAIL METHODS ============
+
+    // POST `body` to an auth endpoint, throwing the server's error if it fails
+    async postAccountRequest(path, body, fallbackError) {
+        const response = await fetch(`${API_BASE_URL}/auth/${path}`, {
+            method: 'POST',
+            headers: this.getAuthHeaders(),
+            body: JSON.stringify(body)
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || data.errors?.[0]?.msg || fallbackError);
+        }
+
+        return data;
+    }
+
+    // Confirm the email address a verification link was sent to
+    async verifyEmail(token) {
+        const data = await this.postAccountRequest('verify-email', { token }, 'Failed to confirm email address');
+
+        // Stop showing the reminder if it's this account that was confirmed
+        if (this.currentUser && !this.currentUser.email_verified_at) {
+            await this.refreshSession();
+        }
+
+        return data;
+    }
+
+    async resendVerification() {
+        return this.postAccountRequest('resend-verification', {}, 'Failed to send verification email');
+    }
+
+    async requestPasswordReset(email) {
+        return this.postAccountRequest('forgot-password', { email }, 'Failed to send reset link');
+    }
+
+    async resetPassword(token, password) {
+        return this.postAccountRequest('reset-password', { token, password }, 'Failed to reset password');
+    }
+
+    // ============ SESSION METHODS ============
+
+    // Trade the refresh token for a new pair. Concurrent callers share one
+    // request. Resolves to whether the session is still good.
+    refreshSession() {
+        if (!this.refreshing) {
+            this.refreshing = this.requestRefresh().finally(() => {
+                this.refreshing = null;
+            });
+        }
+        return this.refreshing;
+    }
+
+    async requestRefresh() {
+        const refreshToken = this.getRefreshToken();
+        if (!refreshToken) return false;
+
+        try {
+            const response = await nativeFetch(`${API_BASE_URL}/auth/refresh`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refresh_token: refreshToken })
+            });
+
+            if (response.ok) {
+                const { user, token, refresh_token } = await response.json();
+                this.setCurrentUser({ ...this.currentUser, ...user }, token, refresh_token);
+                return true;
+            }
+
+        } catch (error) {
+            console.error('Error refreshing session:', error);
+            return false;
+        }
+
+        // Another tab may have refreshed first and rotated the token
+        if (this.getRefreshToken() !== refreshToken) {
+            this.token = this.getToken();
+            return true;
+        }
+
+        this.clearSession();
+        return false;
+    }
+
+    // Log out this session, or every session with `everywhere`
+    async logout({ everywhere = false } = {}) {
+        try {
+            await fetch(`${API_BASE_URL}/auth/${everywhere ? 'logout-all' : 'logout'}`, {
+                method: 'POST',
+                headers: this.getAuthHeaders()
+            });
+        } catch (error) {
+            // Signed out locally either way
+            console.error('Logout error:', error);
+        }
+
+        this.clearSession();
+        console.log('User logged out');
+
+        // Redirect to login page
+        window.location.href = 'login.html';
+    }
+
     // ============ STORAGE METHODS ============
 
-    setCurrentUser(user, token) {
+    // Store the user, and the session's tokens when they're given
+    setCurrentUser(user, token, refreshToken) {
         try {
             localStorage.setItem('social_currentUser', JSON.stringify(user));
             if (token) {
                 localStorage.setItem('social_token', token);
+                this.token = token;
+            }
+            if (refreshToken) {
+                localStorage.setItem('social_refreshToken', refreshToken);
             }
             this.currentUser = user;
-            this.token = token;
             console.log('User set in storage:', user.username);
         } catch (error) {
             console.error('Error setting current user:', error);
@@ -110,19 +250,25 @@ class AuthSystem {
         }
     }
 
-    logout() {
+    getRefreshToken() {
+        try {
+            return localStorage.getItem('social_refreshToken');
+        } catch (error) {
+            console.error('Error getting refresh token:', error);
+            return null;
+        }
+    }
+
+    clearSession() {
         try {
             localStorage.removeItem('social_currentUser');
             localStorage.removeItem('social_token');
-            this.currentUser = null;
-            this.token = null;
-            console.log('User logged out');
-            
-            // Redirect to login page
-            window.location.href = 'login.html';
+            localStorage.removeItem('social_refreshToken');
         } catch (error) {
-            console.error('Logout error:', error);
+            console.error('Error clearing session:', error);
         }
+        this.currentUser = null;
+        this.token = null;
     }
 
     isAuthenticated() {
@@ -243,6 +389,24 @@ function initializeAuthForms() {
     if (loginForm) {
         loginForm.addEventListener('submit', handleLogin);
     }
+
+    // Forgot and reset password forms
+    const forgotPasswordForm = document.getElementById('forgotPasswordForm');
+    const resetPasswordForm = document.getElementById('resetPasswordForm');
+
+    if (forgotPasswordForm) {
+        forgotPasswordForm.addEventListener('submit', handleForgotPassword);
+    }
+
+    if (resetPasswordForm) {
+        resetPasswordForm.addEventListener('submit', handleResetPassword);
+        document.getElementById('confirmPassword').addEventListener('input', validatePasswordMatch);
+    }
+
+    // Verification link
+    if (document.getElementById('verifyEmail')) {
+        handleVerifyEmail();
+    }
 }
 
 async function handleSignup(e) {
@@ -279,7 +443,7 @@ async function handleSignup(e) {
         const result = await auth.register(userData);
         
         // Auto-login after successful registration
-        auth.setCurrentUser(result.user, result.token);
+        auth.setCurrentUser(result.user, result.token, result.refresh_token);
         
         // Show success message
         showSuccess('Account created successfully! Redirecting...');
@@ -304,6 +468,10 @@ async function handleLogin(e) {
     const formData = new FormData(e.target);
     const identifier = formData.get('loginIdentifier')?.trim();
     const password = formData.get('loginPassword');
+    const twoFactorGroup = document.getElementById('twoFactorGroup');
+    const twoFactorCode = twoFactorGroup.classList.contains('hidden')
+        ? null
+        : formData.get('twoFactorCode')?.trim();
 
     const errorElement = document.getElementById('errorMessage');
     const submitBtn = document.getElementById('loginBtn');
@@ -320,10 +488,22 @@ async function handleLogin(e) {
         if (errors.length > 0) {
             throw new Error(errors[0]);
         }
+        if (twoFactorCode === '') {
+            throw new Error('Please enter your authentication code');
+        }
 
         // Login user
-        const result = await auth.login(identifier, password);
-        auth.setCurrentUser(result.user, result.token);
+        const result = await auth.login(identifier, password, twoFactorCode);
+
+        // Second step: ask for the code and submit again
+        if (result.two_factor_required) {
+            twoFactorGroup.classList.remove('hidden');
+            document.getElementById('twoFactorCode').focus();
+            setButtonLoading(submitBtn, false, 'Verify');
+            return;
+        }
+
+        auth.setCurrentUser(result.user, result.token, result.refresh_token);
         
         // Redirect to home page
         window.location.href = 'index.html';
@@ -333,7 +513,95 @@ async function handleLogin(e) {
         showError(error.message);
         
         // Re-enable button
-        setButtonLoading(submitBtn, false, 'Sign In');
+        setButtonLoading(submitBtn, false, twoFactorCode === null ? 'Sign In' : 'Verify');
+    }
+}
+
+async function handleForgotPassword(e) {
+    e.preventDefault();
+
+    const email = new FormData(e.target).get('email')?.trim();
+    const submitBtn = document.getElementById('forgotPasswordBtn');
+
+    try {
+        clearMessages();
+        setButtonLoading(submitBtn, true);
+
+        if (!auth.isValidEmail(email)) {
+            throw new Error('Please enter a valid email address');
+        }
+
+        const result = await auth.requestPasswordReset(email);
+        showSuccess(result.message);
+        e.target.reset();
+
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        showError(error.message);
+    } finally {
+        setButtonLoading(submitBtn, false, 'Send Reset Link');
+    }
+}
+
+async function handleResetPassword(e) {
+    e.preventDefault();
+
+    const formData = new FormData(e.target);
+    const password = formData.get('password');
+    const token = new URLSearchParams(window.location.search).get('token');
+    const submitBtn = document.getElementById('resetPasswordBtn');
+
+    try {
+        clearMessages();
+        setButtonLoading(submitBtn, true);
+
+        if (!token) {
+            throw new Error('This link is invalid or has expired');
+        }
+        if (!password || password.length < 6) {
+            throw new Error('Password must be at least 6 characters');
+        }
+        if (password !== formData.get('confirmPassword')) {
+            throw new Error('Passwords do not match');
+        }
+
+        const result = await auth.resetPassword(token, password);
+
+        // Every session was signed out, this browser's included
+        auth.clearSession();
+        e.target.classList.add('hidden');
+        showSuccess(result.message);
+
+        setTimeout(() => {
+            window.location.href = 'login.html';
+        }, 2000);
+
+    } catch (error) {
+        console.error('Reset password error:', error);
+        showError(error.message);
+        setButtonLoading(submitBtn, false, 'Reset Password');
+    }
+}
+
+async function handleVerifyEmail() {
+    const status = document.getElementById('verifyEmailStatus');
+    const token = new URLSearchParams(window.location.search).get('token');
+
+    try {
+        if (!token) {
+            throw new Error('This link is invalid or has expired');
+        }
+
+        const result = await auth.verifyEmail(token);
+        status.textContent = 'Thanks! You can now use every part of your account.';
+        showSuccess(result.message);
+
+    } catch (error) {
+        console.error('Verify email error:', error);
+        status.textContent = 'We couldn\'t confirm your email address.';
+        showError(auth.isAuthenticated()
+            ? `${error.message}. You can send a new link from your feed.`
+            : `${error.message}. Sign in to send a new link.`);
     }
 }
 
@@ -428,6 +696,30 @@ function isUserLoggedIn() {
     return auth.isAuthenticated();
 }
 
+// ============ TOKEN REFRESH ============
+
+// Access tokens only last minutes. An API request sent with one that comes
+// back 401 is retried once with a fresh token, so callers never deal with
+// expiry. If the session can't be refreshed, it's back to the login page.
+window.fetch = async (input, init = {}) => {
+    const response = await nativeFetch(input, init);
+
+    const url = typeof input === 'string' ? input : input.url;
+    const headers = new Headers(init.headers);
+
+    if (response.status !== 401 || !url.startsWith(API_BASE_URL) || !headers.has('Authorization')) {
+        return response;
+    }
+
+    if (!(await auth.refreshSession())) {
+        window.location.href = 'login.html';
+        return response;
+    }
+
+    headers.set('Authorization', `Bearer ${auth.token}`);
+    return nativeFetch(input, { ...init, headers });
+};
+
 // Make functions available globally
 window.auth = auth;
 window.logout = logout;
@@ -0,0 +1,158 @@
+// Lists on the Blocked & Muted page: the endpoint each one reads, the
+// action that takes someone off it and what it shows when empty
+const ACCOUNT_LISTS = {
+    blocks: {
+        action: 'block',
+        undoLabel: 'Unblock',
+        undoneLabel: 'Unblocked',
+        hint: 'Blocked accounts can\'t see your posts, follow you or message you, and you won\'t see theirs.',
+        empty: 'You haven\'t blocked anyone.'
+    },
+    mutes: {
+        action: 'mute',
+        undoLabel: 'Unmute',
+        undoneLabel: 'Unmuted',
+        hint: 'Posts from muted accounts stay out of your timelines. They aren\'t told they\'re muted.',
+        empty: 'You haven\'t muted anyone.'
+    }
+};
+
+// Blocked & muted accounts
+class BlockedAccountsManager {
+    constructor() {
+        this.list = 'blocks';
+        this.users = [];
+        this.nextCursor = null;
+        this.isLoading = false;
+    }
+
+    initialize() {
+        document.querySelectorAll('#accountTabs .collection-tab').forEach(tab => {
+            tab.addEventListener('click', () => this.setList(tab.dataset.list));
+        });
+
+        this.setList(new URLSearchParams(window.location.search).get('list') || 'blocks');
+    }
+
+    setList(list) {
+        if (!ACCOUNT_LISTS[list]) return;
+
+        this.list = list;
+        this.users = [];
+        this.nextCursor = null;
+
+        document.querySelectorAll('#accountTabs .collection-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.list === list);
+        });
+        document.getElementById('accountListHint').textContent = ACCOUNT_LISTS[list].hint;
+        history.replaceState(null, '', `blocked.html?list=${list}`);
+
+        this.loadUsers();
+    }
+
+    async loadUsers(append = false) {
+        if (this.isLoading) return;
+        this.isLoading = true;
+
+        const list = this.list;
+
+        try {
+            const params = new URLSearchParams();
+            if (append && this.nextCursor) params.set('before', this.nextCursor);
+
+            const response = await fetch(`${API_BASE_URL}/${list}?${params}`, {
+                headers: auth.getAuthHeaders()
+            });
+
+            if (!response.ok) {
+                throw new Error('Failed to load accounts');
+            }
+
+            const { users, next_cursor } = await response.json();
+
+            // Switched tabs while this was loading
+            if (list !== this.list) return;
+
+            this.users = append ? [...this.users, ...users] : users;
+            this.nextCursor = next_cursor;
+            this.renderUsers();
+
+        } catch (error) {
+            console.error('Error loading accounts:', error);
+            feedManager.showError('Failed to load accounts');
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    renderUsers() {
+        const container = document.getElementById('accountList');
+        const { undoLabel, empty } = ACCOUNT_LISTS[this.list];
+
+        if (this.users.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <p>${empty}</p>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = this.users.map(user => `
+            <div class="search-result user-result" data-username="${user.username}">
+                <a href="profile.html?user=${encodeURIComponent(user.username)}">
+                    <img src="${user.avatar_url || 'assets/icons/default-profile.png'}" alt="" class="post-user-avatar"
+                         onerror="this.src='assets/icons/default-profile.png'">
+                </a>
+                <div class="post-user-info">
+                    <div class="post-display-name">${escapeHtml(user.display_name || user.username)}</div>
+                    <div class="post-username">@${user.username}</div>
+                </div>
+                <button class="btn btn-secondary btn-sm account-undo">${undoLabel}</button>
+            </div>
+        `).join('');
+
+        if (this.nextCursor) {
+            container.insertAdjacentHTML('beforeend', '<button class="btn btn-ghost btn-sm load-more-accounts" id="loadMoreAccountsBtn">Load more</button>');
+            document.getElementById('loadMoreAccountsBtn').addEventListener('click', () => this.loadUsers(true));
+        }
+
+        container.querySelectorAll('.account-undo').forEach(button => {
+            button.addEventListener('click', () => this.undo(button.closest('.user-result').dataset.username));
+        });
+    }
+
+    // Unblock or unmute someone and drop them from the list
+    async undo(username) {
+        const { action, undoLabel, undoneLabel } = ACCOUNT_LISTS[this.list];
+
+        try {
+            const response = await fetch(`${API_BASE_URL}/users/${encodeURIComponent(username)}/${action}`, {
+                method: 'DELETE',
+                headers: auth.getAuthHeaders()
+            });
+
+            if (!response.ok) {
+                const data = await response.json();
+                throw new Error(data.error || `Failed to ${undoLabel.toLowerCase()}`);
+            }
+
+            this.users = this.users.filter(user => user.username !== username);
+            this.renderUsers();
+            feedManager.showSuccess(`${undoneLabel} @${username}`);
+
+        } catch (error) {
+            console.error(`Error updating ${action}:`, error);
+            feedManager.showError(error.message || `Failed to ${undoLabel.toLowerCase()}`);
+        }
+    }
+}
+
+// Initialize blocked accounts manager
+const blockedAccountsManager = new BlockedAccountsManager();
+
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.getElementById('accountList')) {
+        blockedAccountsManager.initialize();
+    }
+});
@@ -0,0 +1,100 @@
+// Blurhash decoding (https://blurha.sh)
+// Turns the short placeholder strings the API sends with each image into a
+// small blurred picture to show while the real thumbnail loads.
+
+const BLURHASH_DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz#$%*+,-.:;=?@[]^_{|}~';
+
+const blurhashCache = new Map();
+
+function decode83(text) {
+    return [...text].reduce((value, char) => value * 83 + BLURHASH_DIGITS.indexOf(char), 0);
+}
+
+function sRGBToLinear(value) {
+    const v = value / 255;
+    return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+}
+
+function linearToSRGB(value) {
+    const v = Math.max(0, Math.min(1, value));
+    return v <= 0.0031308
+        ? Math.round(v * 12.92 * 255 + 0.5)
+        : Math.round((1.055 * Math.pow(v, 1 / 2.4) - 0.055) * 255 + 0.5);
+}
+
+function signPow(value, exponent) {
+    return Math.sign(value) * Math.pow(Math.abs(value), exponent);
+}
+
+// RGBA pixels for a `width` x `height` rendering of `hash`
+function decodeBlurhash(hash, width, height) {
+    const sizeFlag = decode83(hash[0]);
+    const numY = Math.floor(sizeFlag / 9) + 1;
+    const numX = (sizeFlag % 9) + 1;
+    const maxValue = (decode83(hash[1]) + 1) / 166;
+
+    const colors = [];
+    for (let i = 0; i < numX * numY; i++) {
+        if (i === 0) {
+            const value = decode83(hash.substring(2, 6));
+            colors.push([sRGBToLinear(value >> 16), sRGBToLinear((value >> 8) & 255), sRGBToLinear(value & 255)]);
+        } else {
+            const value = decode83(hash.substring(4 + i * 2, 6 + i * 2));
+            colors.push([
+                signPow((Math.floor(value / (19 * 19)) - 9) / 9, 2) * maxValue,
+                signPow((Math.floor(value / 19) % 19 - 9) / 9, 2) * maxValue,
+                signPow((value % 19 - 9) / 9, 2) * maxValue
+            ]);
+        }
+    }
+
+    const pixels = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let r = 0;
+            let g = 0;
+            let b = 0;
+
+            for (let j = 0; j < numY; j++) {
+                for (let i = 0; i < numX; i++) {
+                    const basis = Math.cos(Math.PI * x * i / width) * Math.cos(Math.PI * y * j / height);
+                    const color = colors[i + j * numX];
+                    r += color[0] * basis;
+                    g += color[1] * basis;
+                    b += color[2] * basis;
+                }
+            }
+
+            const offset = 4 * (x + y * width);
+            pixels[offset] = linearToSRGB(r);
+            pixels[offset + 1] = linearToSRGB(g);
+            pixels[offset + 2] = linearToSRGB(b);
+            pixels[offset + 3] = 255;
+        }
+    }
+
+    return pixels;
+}
+
+// A data: URL of `hash`, for use as a background image. Invalid hashes give ''.
+function blurhashToDataUrl(hash, size = 32) {
+    if (!hash || hash.length < 6) return '';
+    if (blurhashCache.has(hash)) return blurhashCache.get(hash);
+
+    let url = '';
+    try {
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        const context = canvas.getContext('2d');
+        const image = context.createImageData(size, size);
+        image.data.set(decodeBlurhash(hash, size, size));
+        context.putImageData(image, 0, 0);
+        url = canvas.toDataURL();
+    } catch (error) {
+        console.error('Error decoding blurhash:', error);
+    }
+
+    blurhashCache.set(hash, url);
+    return url;
+}
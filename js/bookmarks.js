@@ -0,0 +1,236 @@
+// Bookmarks Management System
+class BookmarksManager {
+    constructor() {
+        this.collections = [];
+        this.activeCollectionId = null;
+        this.posts = [];
+    }
+
+    async initialize() {
+        document.getElementById('newCollectionBtn')?.addEventListener('click', () => this.createCollection());
+
+        // Drop a post from the list as soon as it's unsaved here
+        feedManager.onSaveChanged = (postId, saved) => {
+            if (!saved) {
+                this.loadCollections();
+            }
+        };
+
+        await this.loadCollections();
+    }
+
+    // Load collections and show the active one (Saved by default)
+    async loadCollections() {
+        try {
+            this.collections = await feedManager.loadCollections(true);
+
+            if (!this.collections.some(c => c.id === this.activeCollectionId)) {
+                this.activeCollectionId = this.collections[0]?.id || null;
+            }
+
+            this.renderCollectionTabs();
+            await this.loadCollection(this.activeCollectionId);
+
+        } catch (error) {
+            console.error('Error loading collections:', error);
+            feedManager.showError('Failed to load bookmarks');
+        }
+    }
+
+    renderCollectionTabs() {
+        const tabs = document.getElementById('collectionTabs');
+
+        tabs.innerHTML = this.collections.map(collection => `
+            <button class="btn btn-secondary btn-sm collection-tab ${collection.id === this.activeCollectionId ? 'active' : ''}"
+                    data-collection-id="${collection.id}">
+                ${escapeHtml(collection.name)} (${collection.bookmarks_count})
+            </button>
+        `).join('');
+
+        tabs.querySelectorAll('.collection-tab').forEach(tab => {
+            tab.addEventListener('click', () => {
+                this.activeCollectionId = tab.dataset.collectionId;
+                this.renderCollectionTabs();
+                this.loadCollection(this.activeCollectionId);
+            });
+        });
+    }
+
+    async loadCollection(collectionId) {
+        if (!collectionId) return;
+
+        try {
+            const response = await fetch(`${API_BASE_URL}/bookmarks/collections/${collectionId}`, {
+                headers: auth.getAuthHeaders()
+            });
+
+            if (!response.ok) {
+                throw new Error('Failed to load collection');
+            }
+
+            const { collection, posts } = await response.json();
+            this.posts = posts;
+            this.renderCollection(collection);
+
+        } catch (error) {
+            console.error('Error loading collection:', error);
+            feedManager.showError('Failed to load collection');
+        }
+    }
+
+    renderCollection(collection) {
+        const container = document.getElementById('bookmarksContainer');
+        const isDefault = collection.id === this.collections[0]?.id;
+
+        container.innerHTML = `
+            <div class="collection-toolbar">
+                <h2>${escapeHtml(collection.name)}</h2>
+                ${isDefault ? '' : '<button class="btn btn-ghost btn-sm" id="deleteCollectionBtn">🗑️ Delete</button>'}
+            </div>
+        `;
+
+        document.getElementById('deleteCollectionBtn')?.addEventListener('click', () => this.deleteCollection(collection));
+
+        if (this.posts.length === 0) {
+            container.insertAdjacentHTML('beforeend', `
+                <div class="empty-state">
+                    <h3>Nothing saved yet</h3>
+                    <p>Tap 🔖 on any post to save it here.</p>
+                </div>
+            `);
+            return;
+        }
+
+        this.posts.forEach((post, index) => {
+            const postElement = feedManager.createPostElement(post);
+
+            const controls = document.createElement('div');
+            controls.className = 'bookmark-controls';
+            controls.innerHTML = `
+                <button class="btn btn-ghost btn-sm" data-move="-1" ${index === 0 ? 'disabled' : ''} title="Move up">↑</button>
+                <button class="btn btn-ghost btn-sm" data-move="1" ${index === this.posts.length - 1 ? 'disabled' : ''} title="Move down">↓</button>
+                <button class="btn btn-ghost btn-sm" data-remove title="Remove from collection">Remove</button>
+            `;
+
+            controls.querySelectorAll('[data-move]').forEach(button => {
+                button.addEventListener('click', () => this.movePost(index, parseInt(button.dataset.move)));
+            });
+            controls.querySelector('[data-remove]').addEventListener('click', () => this.removePost(post.id));
+
+            postElement.appendChild(controls);
+            container.appendChild(postElement);
+        });
+    }
+
+    // Swap a post with its neighbour and save the new order
+    async movePost(index, offset) {
+        const target = index + offset;
+        if (target < 0 || target >= this.posts.length) return;
+
+        const reordered = [...this.posts];
+        [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+
+        try {
+            const response = await fetch(`${API_BASE_URL}/bookmarks/collections/${this.activeCollectionId}/order`, {
+                method: 'PUT',
+                headers: auth.getAuthHeaders(),
+                body: JSON.stringify({ post_ids: reordered.map(post => post.id) })
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json();
+                throw new Error(errorData.error || 'Failed to reorder');
+            }
+
+            this.posts = reordered;
+            const collection = this.collections.find(c => c.id === this.activeCollectionId);
+            this.renderCollection(collection);
+
+        } catch (error) {
+            console.error('Error reordering bookmarks:', error);
+            feedManager.showError(error.message || 'Failed to reorder');
+        }
+    }
+
+    // Remove a post from this collection only
+    async removePost(postId) {
+        try {
+            const response = await fetch(`${API_BASE_URL}/bookmarks/${postId}?collection_id=${this.activeCollectionId}`, {
+                method: 'DELETE',
+                headers: auth.getAuthHeaders()
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json();
+                throw new Error(errorData.error || 'Failed to remove bookmark');
+            }
+
+            feedManager.showSuccess('Removed from collection');
+            await this.loadCollections();
+
+        } catch (error) {
+            console.error('Error removing bookmark:', error);
+            feedManager.showError(error.message || 'Failed to remove bookmark');
+        }
+    }
+
+    async createCollection() {
+        const name = prompt('Name your new collection')?.trim();
+        if (!name) return;
+
+        try {
+            const response = await fetch(`${API_BASE_URL}/bookmarks/collections`, {
+                method: 'POST',
+                headers: auth.getAuthHeaders(),
+                body: JSON.stringify({ name })
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to create collection');
+            }
+
+            this.activeCollectionId = data.id;
+            feedManager.showSuccess('Collection created!');
+            await this.loadCollections();
+
+        } catch (error) {
+            console.error('Error creating collection:', error);
+            feedManager.showError(error.message || 'Failed to create collection');
+        }
+    }
+
+    async deleteCollection(collection) {
+        if (!confirm(`Delete "${collection.name}" and everything saved in it?`)) return;
+
+        try {
+            const response = await fetch(`${API_BASE_URL}/bookmarks/collections/${collection.id}`, {
+                method: 'DELETE',
+                headers: auth.getAuthHeaders()
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json();
+                throw new Error(errorData.error || 'Failed to delete collection');
+            }
+
+            this.activeCollectionId = null;
+            feedManager.showSuccess('Collection deleted');
+            await this.loadCollections();
+
+        } catch (error) {
+            console.error('Error deleting collection:', error);
+            feedManager.showError(error.message || 'Failed to delete collection');
+        }
+    }
+}
+
+// Initialize bookmarks manager
+const bookmarksManager = new BookmarksManager();
+
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.getElementById('bookmarksContainer')) {
+        bookmarksManager.initialize();
+    }
+});
@@ -0,0 +1,383 @@
+// Direct Messages
+class DMManager {
+    constructor() {
+        this.currentUser = getCurrentUser();
+        this.conversations = [];
+        this.inboxCursor = null;
+        this.conversation = null;
+        this.messages = [];
+        this.messagesCursor = null;
+        this.isLoading = false;
+    }
+
+    async initialize() {
+        this.setupEventListeners();
+
+        const params = new URLSearchParams(window.location.search);
+
+        if (params.get('user')) {
+            await this.startConversation(params.get('user'));
+        } else if (params.get('c')) {
+            await this.openConversation(params.get('c'));
+        } else {
+            await this.loadInbox();
+        }
+    }
+
+    setupEventListeners() {
+        const form = document.getElementById('messageForm');
+        const input = document.getElementById('messageInput');
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.sendMessage();
+        });
+
+        input.addEventListener('input', () => {
+            document.getElementById('sendMessageBtn').disabled = input.value.trim().length === 0;
+        });
+
+        // Enter sends, Shift+Enter adds a line
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                this.sendMessage();
+            }
+        });
+
+        document.getElementById('loadOlderBtn').addEventListener('click', () => this.loadOlderMessages());
+        document.getElementById('backToInboxBtn').addEventListener('click', () => this.showInbox());
+
+        realtime.on('message', ({ message }) => this.receiveMessage(message));
+        realtime.on('reset', () => this.refresh());
+    }
+
+    // A message pushed by the server, from the other side or another tab
+    receiveMessage(message) {
+        if (!this.conversation) {
+            this.loadInbox();
+            return;
+        }
+
+        if (message.conversation_id !== this.conversation.id) return;
+        if (this.messages.some(m => m.id === message.id)) return;
+
+        this.messages.push(message);
+        this.renderMessages();
+        this.scrollToBottom();
+
+        if (message.sender_id !== this.currentUser?.id) {
+            this.markRead();
+        }
+    }
+
+    // Reload whatever is on screen after missing events
+    async refresh() {
+        if (!this.conversation) {
+            await this.loadInbox();
+            return;
+        }
+
+        try {
+            this.messages = [];
+            this.messagesCursor = null;
+            await this.loadMessages();
+            this.scrollToBottom();
+            await this.markRead();
+        } catch (error) {
+            console.error('Error refreshing conversation:', error);
+        }
+    }
+
+    // ============ INBOX ============
+
+    async loadInbox(append = false) {
+        if (this.isLoading) return;
+        this.isLoading = true;
+
+        try {
+            const params = new URLSearchParams();
+            if (append && this.inboxCursor) params.set('before', this.inboxCursor);
+
+            const response = await fetch(`${API_BASE_URL}/conversations?${params}`, {
+                headers: auth.getAuthHeaders()
+            });
+
+            if (!response.ok) {
+                throw new Error('Failed to load conversations');
+            }
+
+            const { conversations, next_cursor } = await response.json();
+            this.conversations = append ? [...this.conversations, ...conversations] : conversations;
+            this.inboxCursor = next_cursor;
+            this.renderInbox();
+
+        } catch (error) {
+            console.error('Error loading conversations:', error);
+            feedManager.showError('Failed to load messages');
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    renderInbox() {
+        const inbox = document.getElementById('inboxView');
+
+        if (this.conversations.length === 0) {
+            inbox.innerHTML = `
+                <div class="empty-state">
+                    <h3>No messages yet</h3>
+                    <p>Start a conversation from someone's profile with the Message button.</p>
+                </div>
+            `;
+            return;
+        }
+
+        inbox.innerHTML = this.conversations.map(conversation => this.renderConversationItem(conversation)).join('');
+
+        if (this.inboxCursor) {
+            inbox.insertAdjacentHTML('beforeend', '<button class="btn btn-ghost btn-sm load-older" id="loadMoreConversationsBtn">Load more</button>');
+            document.getElementById('loadMoreConversationsBtn').addEventListener('click', () => this.loadInbox(true));
+        }
+
+        inbox.querySelectorAll('.conversation-item').forEach(item => {
+            item.addEventListener('click', () => this.openConversation(item.dataset.conversationId));
+        });
+    }
+
+    renderConversationItem(conversation) {
+        const user = conversation.participant || {};
+        const lastMessage = conversation.last_message;
+        const fromMe = lastMessage?.sender_id === this.currentUser?.id;
+        const preview = lastMessage ? `${fromMe ? 'You: ' : ''}${lastMessage.content}` : '';
+        const unread = conversation.unread_count > 0;
+
+        return `
+            <div class="conversation-item ${unread ? 'unread' : ''}" data-conversation-id="${conversation.id}">
+                <img src="${user.avatar_url || 'assets/icons/default-profile.png'}" alt="" class="post-user-avatar"
+                     onerror="this.src='assets/icons/default-profile.png'">
+                <div class="conversation-summary">
+                    <div class="conversation-header">
+                        <span class="post-display-name">${escapeHtml(user.display_name || user.username || 'Unknown')}</span>
+                        <span class="post-username">@${user.username || 'unknown'} · ${feedManager.formatTimestamp(conversation.last_message_at)}</span>
+                    </div>
+                    <div class="conversation-preview">${escapeHtml(preview)}</div>
+                </div>
+                ${unread ? `<span class="unread-badge">${conversation.unread_count}</span>` : ''}
+            </div>
+        `;
+    }
+
+    showInbox() {
+        this.conversation = null;
+        this.messages = [];
+        history.replaceState(null, '', 'dms.html');
+
+        document.getElementById('dmTitle').textContent = 'Messages';
+        document.getElementById('backToInboxBtn').classList.add('hidden');
+        document.getElementById('conversationView').classList.add('hidden');
+        document.getElementById('inboxView').classList.remove('hidden');
+
+        this.loadInbox();
+    }
+
+    // ============ CONVERSATION ============
+
+    // Open the conversation with a user, starting one if needed
+    async startConversation(username) {
+        try {
+            const response = await fetch(`${API_BASE_URL}/conversations`, {
+                method: 'POST',
+                headers: auth.getAuthHeaders(),
+                body: JSON.stringify({ username })
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to start conversation');
+            }
+
+            await this.openConversation(data.id, data);
+
+        } catch (error) {
+            console.error('Error starting conversation:', error);
+            feedManager.showError(error.message || 'Failed to start conversation');
+            await this.loadInbox();
+        }
+    }
+
+    async openConversation(conversationId, conversation = null) {
+        try {
+            if (!conversation) {
+                const response = await fetch(`${API_BASE_URL}/conversations/${conversationId}`, {
+                    headers: auth.getAuthHeaders()
+                });
+
+                if (!response.ok) {
+                    throw new Error(response.status === 404 ? 'Conversation not found' : 'Failed to load conversation');
+                }
+
+                conversation = await response.json();
+            }
+
+            this.conversation = conversation;
+            this.messages = [];
+            this.messagesCursor = null;
+            history.replaceState(null, '', `dms.html?c=${conversation.id}`);
+
+            const user = conversation.participant || {};
+            document.getElementById('dmTitle').textContent = user.display_name || user.username || 'Messages';
+            document.title = `${user.display_name || user.username} - Messages - Social Platform`;
+            document.getElementById('backToInboxBtn').classList.remove('hidden');
+            document.getElementById('inboxView').classList.add('hidden');
+            document.getElementById('conversationView').classList.remove('hidden');
+
+            await this.loadMessages();
+            this.scrollToBottom();
+            document.getElementById('messageInput').focus();
+
+            await this.markRead();
+
+        } catch (error) {
+            console.error('Error opening conversation:', error);
+            feedManager.showError(error.message || 'Failed to load conversation');
+            this.showInbox();
+        }
+    }
+
+    // Fetch a page of messages older than what's shown
+    async loadMessages() {
+        const params = new URLSearchParams();
+        if (this.messagesCursor) params.set('before', this.messagesCursor);
+
+        const response = await fetch(`${API_BASE_URL}/conversations/${this.conversation.id}/messages?${params}`, {
+            headers: auth.getAuthHeaders()
+        });
+
+        if (!response.ok) {
+            throw new Error('Failed to load messages');
+        }
+
+        const { messages, next_cursor } = await response.json();
+
+        // The API pages newest first; the view reads oldest first
+        this.messages = [...messages.reverse(), ...this.messages];
+        this.messagesCursor = next_cursor;
+        this.renderMessages();
+    }
+
+    async loadOlderMessages() {
+        if (this.isLoading || !this.messagesCursor) return;
+        this.isLoading = true;
+
+        const list = document.getElementById('messageList');
+        const previousHeight = list.scrollHeight;
+
+        try {
+            await this.loadMessages();
+            // Keep the message that was at the top in place
+            list.scrollTop = list.scrollHeight - previousHeight;
+        } catch (error) {
+            console.error('Error loading older messages:', error);
+            feedManager.showError('Failed to load older messages');
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    renderMessages() {
+        const list = document.getElementById('messageList');
+        document.getElementById('loadOlderBtn').classList.toggle('hidden', !this.messagesCursor);
+
+        if (this.messages.length === 0) {
+            list.innerHTML = `
+                <div class="empty-state">
+                    <p>Say hi to @${this.conversation.participant?.username || 'them'}!</p>
+                </div>
+            `;
+            return;
+        }
+
+        list.innerHTML = this.messages.map(message => this.renderMessage(message)).join('');
+    }
+
+    renderMessage(message) {
+        const mine = message.sender_id === this.currentUser?.id;
+
+        return `
+            <div class="message ${mine ? 'message-mine' : 'message-theirs'}">
+                <div class="message-bubble">${escapeHtml(message.content)}</div>
+                <div class="message-time">${feedManager.formatTimestamp(message.created_at)}</div>
+            </div>
+        `;
+    }
+
+    async sendMessage() {
+        const input = document.getElementById('messageInput');
+        const sendButton = document.getElementById('sendMessageBtn');
+        const content = input.value.trim();
+
+        if (!content || !this.conversation) return;
+
+        sendButton.disabled = true;
+
+        try {
+            const response = await fetch(`${API_BASE_URL}/conversations/${this.conversation.id}/messages`, {
+                method: 'POST',
+                headers: auth.getAuthHeaders(),
+                body: JSON.stringify({ content })
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to send message');
+            }
+
+            input.value = '';
+            // The event stream may have delivered it already
+            if (!this.messages.some(m => m.id === data.id)) {
+                this.messages.push(data);
+            }
+            this.renderMessages();
+            this.scrollToBottom();
+
+        } catch (error) {
+            console.error('Error sending message:', error);
+            feedManager.showError(error.message || 'Failed to send message');
+            sendButton.disabled = false;
+        }
+    }
+
+    async markRead() {
+        try {
+            const response = await fetch(`${API_BASE_URL}/conversations/${this.conversation.id}/read`, {
+                method: 'POST',
+                headers: auth.getAuthHeaders()
+            });
+
+            if (response.ok) {
+                const { unread_count } = await response.json();
+                app.setNavBadge('dms.html', unread_count);
+            }
+
+        } catch (error) {
+            console.error('Error marking conversation read:', error);
+        }
+    }
+
+    scrollToBottom() {
+        const list = document.getElementById('messageList');
+        list.scrollTop = list.scrollHeight;
+    }
+}
+
+// Initialize DM manager
+const dmManager = new DMManager();
+
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.getElementById('conversationView')) {
+        dmManager.initialize();
+    }
+});
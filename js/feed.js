@@ -4,14 +4,31 @@ class FeedManager {
         this.posts = [];
         this.isLoading = false;
         this.hasMore = true;
-        this.currentPage = 1;
+        this.nextCursor = null;
+        this.pageSize = 20;
         this.currentFeed = 'for-you';
+        this.ranker = null;
+        this.onReplyCreated = null;
+        this.onSaveChanged = null;
+        this.collections = null;
+        this.pendingPosts = [];
+        this.isStale = false;
+        // Images picked in the composer: { file, previewUrl, id, altText, status }
+        this.attachments = [];
+        // Images of each rendered post, for the lightbox
+        this.postMedia = new Map();
+        this.lightbox = null;
+
+        // Like counts stay live on every page that shows posts
+        realtime.on('post.likes', ({ post_id, likes_count }) => this.setLikeCount(post_id, likes_count));
+        realtime.on('user.updated', ({ user }) => this.updateAuthor(user));
     }
 
     // Initialize feed
     async initialize() {
         await this.loadInitialPosts();
         this.setupEventListeners();
+        this.setupRealtime();
         this.updateUI();
     }
 
@@ -20,17 +37,16 @@ class FeedManager {
         if (this.isLoading) return;
         
         this.isLoading = true;
+        this.nextCursor = null;
+        this.hasMore = true;
+        this.clearPendingPosts();
         this.showLoading();
         
         try {
-            const response = await fetch(`${API_BASE_URL}/posts`);
-            
-            if (!response.ok) {
-                throw new Error('Failed to load posts');
-            }
-            
-            const posts = await response.json();
+            const { posts, next_cursor } = await this.fetchPage();
             this.posts = posts || [];
+            this.nextCursor = next_cursor;
+            this.hasMore = Boolean(next_cursor);
             
             if (this.posts.length === 0) {
                 this.showEmptyState();
@@ -47,6 +63,53 @@ class FeedManager {
         }
     }
 
+    // Load the next page when scrolling near the bottom
+    async loadMorePosts() {
+        if (this.isLoading || !this.hasMore || !this.nextCursor) return;
+
+        this.isLoading = true;
+        this.showLoadingMore();
+
+        try {
+            const { posts, next_cursor } = await this.fetchPage(this.nextCursor);
+            this.posts.push(...posts);
+            this.nextCursor = next_cursor;
+            this.hasMore = Boolean(next_cursor);
+            this.appendPosts(posts);
+
+        } catch (error) {
+            console.error('Error loading more posts:', error);
+            this.showError('Failed to load more posts.');
+        } finally {
+            this.isLoading = false;
+            this.hideLoadingMore();
+        }
+    }
+
+    // Fetch one page of the current feed
+    async fetchPage(cursor = null) {
+        const params = new URLSearchParams({ limit: this.pageSize });
+        if (cursor) {
+            params.set('before', cursor);
+        }
+
+        const endpoint = this.currentFeed === 'following' ? 'feed/following' : 'feed/for-you';
+        const response = await fetch(`${API_BASE_URL}/${endpoint}?${params}`, {
+            headers: auth.getAuthHeaders()
+        });
+
+        if (!response.ok) {
+            throw new Error('Failed to load posts');
+        }
+
+        const page = await response.json();
+        // Which ranker ordered this feed, for comparing experiments
+        if (page.ranker) {
+            this.ranker = page.ranker;
+        }
+        return page;
+    }
+
     // Create new post
     async createPost(content) {
         const currentUser = getCurrentUser();
@@ -56,11 +119,16 @@ class FeedManager {
             return null;
         }
 
-        if (!content || content.trim().length === 0) {
+        if ((!content || content.trim().length === 0) && this.attachments.length === 0) {
             this.showError('Post content cannot be empty');
             return null;
         }
 
+        if (this.attachments.some(attachment => attachment.status !== 'ready')) {
+            this.showError('Wait for your images to finish uploading');
+            return null;
+        }
+
         if (content.length > 280) {
             this.showError('Post must be 280 characters or less');
             return null;
@@ -71,12 +139,13 @@ class FeedManager {
             
             const response = await fetch(`${API_BASE_URL}/posts`, {
                 method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
+                headers: auth.getAuthHeaders(),
                 body: JSON.stringify({
-                    userId: currentUser.id,
-                    content: content.trim()
+                    content: content.trim(),
+                    media: this.attachments.map(attachment => ({
+                        id: attachment.id,
+                        alt_text: attachment.altText.trim()
+                    }))
                 })
             });
 
@@ -93,6 +162,7 @@ class FeedManager {
             
             // Clear input
             document.getElementById('postInput').value = '';
+            this.clearAttachments();
             this.updateCharCounter();
             
             this.showSuccess('Post created!');
@@ -143,6 +213,14 @@ class FeedManager {
             return;
         }
         
+        this.appendPosts(posts);
+    }
+
+    // Add posts to the end of the feed
+    appendPosts(posts) {
+        const feedContainer = document.getElementById('feedContainer');
+        if (!feedContainer) return;
+
         posts.forEach(post => {
             const postElement = this.createPostElement(post);
             feedContainer.appendChild(postElement);
@@ -156,59 +234,176 @@ class FeedManager {
         postDiv.dataset.postId = post.id;
         
         const user = post.user || {};
+        postDiv.dataset.author = user.username || '';
         const displayName = user.display_name || 'Unknown User';
         const username = user.username || 'unknown';
         const avatar = user.avatar_url || 'assets/icons/default-profile.png';
         const timestamp = this.formatTimestamp(post.created_at);
+        const isOwnPost = getCurrentUser()?.id === post.user_id;
+        const replyContext = post.reply_to?.user
+            ? `<div class="reply-context">Replying to <a href="profile.html?user=${encodeURIComponent(post.reply_to.user.username)}">@${escapeHtml(post.reply_to.user.username)}</a></div>`
+            : '';
+        const repostContext = post.reposted_by
+            ? `<div class="repost-context">🔄 ${escapeHtml(post.reposted_by.display_name || post.reposted_by.username)} reposted</div>`
+            : '';
 
         postDiv.innerHTML = `
+            ${repostContext}
             <div class="post-header">
-                <img src="${avatar}" alt="${displayName}" class="post-user-avatar"
+                <img src="${avatar}" alt="${escapeHtml(displayName)}" class="post-user-avatar"
                      onerror="this.src='assets/icons/default-profile.png'">
                 <div class="post-user-info">
-                    <div class="post-display-name">${this.escapeHtml(displayName)}</div>
-                    <div class="post-username">@${username}</div>
+                    <div class="post-display-name">${escapeHtml(displayName)}</div>
+                    <div class="post-username">@${escapeHtml(username)}</div>
                 </div>
                 <div class="post-time">${timestamp}</div>
             </div>
-            <div class="post-content">
-                <p>${this.formatPostContent(post.content)}</p>
+            ${replyContext}
+            <div class="post-content" onclick="feedManager.openThread('${post.id}', event)">
+                <p>${formatPostContent(post.content, post.mentions)}</p>
             </div>
+            ${this.renderMedia(post)}
+            ${this.renderQuotedPost(post)}
             <div class="post-actions">
-                <button class="post-action like-btn" onclick="feedManager.handleLike('${post.id}')">
-                    ❤️ <span class="like-count">0</span>
+                <button class="post-action like-btn ${post.liked_by_me ? 'liked' : ''}" onclick="feedManager.handleLike('${post.id}')">
+                    ❤️ <span class="like-count">${post.likes_count || 0}</span>
                 </button>
                 <button class="post-action comment-btn" onclick="feedManager.handleComment('${post.id}')">
-                    💬 <span class="comment-count">0</span>
+                    💬 <span class="comment-count">${post.replies_count || 0}</span>
                 </button>
-                <button class="post-action repost-btn" onclick="feedManager.handleRepost('${post.id}')">
-                    🔄
+                <button class="post-action repost-btn ${post.reposted_by_me ? 'reposted' : ''}" onclick="feedManager.handleRepost('${post.id}')">
+                    🔄 <span class="repost-count">${post.reposts_count || 0}</span>
                 </button>
-                <button class="post-action save-btn" onclick="feedManager.handleSave('${post.id}')">
+                <button class="post-action save-btn ${post.saved_by_me ? 'saved' : ''}" onclick="feedManager.handleSave('${post.id}')">
                     🔖
                 </button>
+                ${isOwnPost ? '' : `
+                <button class="post-action report-btn" onclick="feedManager.handleReport('${post.id}')" title="Report post">
+                    🚩
+                </button>`}
             </div>
         `;
 
         return postDiv;
     }
 
-    // Format post content (basic formatting)
-    formatPostContent(content) {
-        if (!content) return '';
-        
-        let formatted = this.escapeHtml(content);
-        
-        // Convert URLs to links
-        formatted = formatted.replace(/(https?:\/\/[^\s]+)/g, '<a href="$1" target="_blank" rel="noopener">$1</a>');
-        
-        // Convert hashtags
-        formatted = formatted.replace(/#(\w+)/g, '<span class="hashtag">#$1</span>');
-        
-        // Convert mentions
-        formatted = formatted.replace(/@(\w+)/g, '<span class="mention">@$1</span>');
-        
-        return formatted;
+    // Image grid with blurred placeholders; each image opens the lightbox
+    renderMedia(post) {
+        if (!post.media || post.media.length === 0) return '';
+
+        this.postMedia.set(post.id, post.media);
+
+        // A lone image keeps its shape, within limits set in CSS
+        const [first] = post.media;
+        const shape = post.media.length === 1 && first.width && first.height
+            ? `style="aspect-ratio: ${first.width} / ${first.height}"`
+            : '';
+
+        return `
+            <div class="post-media media-count-${post.media.length}" ${shape}>
+                ${post.media.map((item, index) => `
+                    <button class="post-media-item" onclick="feedManager.openLightbox('${post.id}', ${index}, event)"
+                            style="background-image: url('${blurhashToDataUrl(item.blurhash)}')">
+                        <img src="${item.thumbnail_url}" alt="${escapeHtml(item.alt_text || '')}" loading="lazy"
+                             onload="this.classList.add('loaded')">
+                        ${item.alt_text ? '<span class="alt-badge">ALT</span>' : ''}
+                    </button>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    // ============ LIGHTBOX ============
+
+    openLightbox(postId, index, event) {
+        event?.stopPropagation();
+
+        const media = this.postMedia.get(postId);
+        if (!media) return;
+
+        if (!this.lightbox) {
+            this.createLightbox();
+        }
+
+        this.lightbox.media = media;
+        this.showLightboxImage(index);
+        this.lightbox.element.classList.add('open');
+        document.body.style.overflow = 'hidden';
+    }
+
+    createLightbox() {
+        const element = document.createElement('div');
+        element.className = 'lightbox';
+        element.innerHTML = `
+            <button class="lightbox-close" aria-label="Close">×</button>
+            <button class="lightbox-nav lightbox-prev" aria-label="Previous image">‹</button>
+            <figure>
+                <img alt="">
+                <figcaption></figcaption>
+            </figure>
+            <button class="lightbox-nav lightbox-next" aria-label="Next image">›</button>
+        `;
+        document.body.appendChild(element);
+
+        element.querySelector('.lightbox-close').addEventListener('click', () => this.closeLightbox());
+        element.querySelector('.lightbox-prev').addEventListener('click', () => this.showLightboxImage(this.lightbox.index - 1));
+        element.querySelector('.lightbox-next').addEventListener('click', () => this.showLightboxImage(this.lightbox.index + 1));
+
+        // Clicking the backdrop closes it
+        element.addEventListener('click', (e) => {
+            if (e.target === element) this.closeLightbox();
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (!element.classList.contains('open')) return;
+            if (e.key === 'Escape') this.closeLightbox();
+            if (e.key === 'ArrowLeft') this.showLightboxImage(this.lightbox.index - 1);
+            if (e.key === 'ArrowRight') this.showLightboxImage(this.lightbox.index + 1);
+        });
+
+        this.lightbox = { element, media: [], index: 0 };
+    }
+
+    showLightboxImage(index) {
+        const { element, media } = this.lightbox;
+        if (index < 0 || index >= media.length) return;
+
+        const item = media[index];
+        const image = element.querySelector('img');
+        image.src = item.url;
+        image.alt = item.alt_text || '';
+        element.querySelector('figcaption').textContent = item.alt_text || '';
+
+        element.querySelector('.lightbox-prev').classList.toggle('hidden', index === 0);
+        element.querySelector('.lightbox-next').classList.toggle('hidden', index === media.length - 1);
+        this.lightbox.index = index;
+    }
+
+    closeLightbox() {
+        this.lightbox.element.classList.remove('open');
+        this.lightbox.element.querySelector('img').removeAttribute('src');
+        document.body.style.overflow = '';
+    }
+
+    // Embedded card for quote posts, or a tombstone if the original is gone
+    renderQuotedPost(post) {
+        if (!post.quote_of_id) return '';
+
+        const quoted = post.quoted_post;
+        if (!quoted) {
+            return '<div class="quoted-post tombstone">This post is unavailable.</div>';
+        }
+
+        const user = quoted.user || {};
+        return `
+            <div class="quoted-post" onclick="feedManager.openThread('${quoted.id}', event)">
+                <div class="quoted-post-header">
+                    <span class="post-display-name">${escapeHtml(user.display_name || 'Unknown User')}</span>
+                    <span class="post-username">@${escapeHtml(user.username || 'unknown')} · ${this.formatTimestamp(quoted.created_at)}</span>
+                </div>
+                <p>${formatPostContent(quoted.content, quoted.mentions)}</p>
+            </div>
+        `;
     }
 
     // Format timestamp
@@ -238,52 +433,441 @@ class FeedManager {
             return;
         }
 
+        const likeBtn = document.querySelector(`[data-post-id="${postId}"] > .post-actions .like-btn`);
+        if (!likeBtn || likeBtn.dataset.pending) return;
+
+        const wasLiked = likeBtn.classList.contains('liked');
+        const previousCount = parseInt(likeBtn.querySelector('.like-count').textContent) || 0;
+
+        // Optimistic update, rolled back if the request fails
+        this.setLikeState(postId, !wasLiked, Math.max(previousCount + (wasLiked ? -1 : 1), 0));
+        likeBtn.dataset.pending = 'true';
+
         try {
-            const likeBtn = document.querySelector(`[data-post-id="${postId}"] .like-btn`);
-            const isLiked = likeBtn.classList.contains('liked');
-            
-            if (isLiked) {
-                await this.unlikePost(postId);
-            } else {
-                await this.likePost(postId);
-            }
+            const { liked, likes_count } = wasLiked
+                ? await this.unlikePost(postId)
+                : await this.likePost(postId);
+
+            this.setLikeState(postId, liked, likes_count);
+
         } catch (error) {
             console.error('Error handling like:', error);
-            this.showError('Failed to like post');
+            this.setLikeState(postId, wasLiked, previousCount);
+            this.showError(error.message);
+        } finally {
+            delete likeBtn.dataset.pending;
         }
     }
 
     async likePost(postId) {
-        // TODO: Implement API call
-        const likeBtn = document.querySelector(`[data-post-id="${postId}"] .like-btn`);
-        likeBtn.classList.add('liked');
-        likeBtn.innerHTML = '❤️ <span class="like-count">1</span>';
-        
-        this.showSuccess('Post liked!');
+        const response = await fetch(`${API_BASE_URL}/posts/${postId}/like`, {
+            method: 'POST',
+            headers: auth.getAuthHeaders()
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(errorData.error || 'Failed to like post');
+        }
+
+        return response.json();
     }
 
     async unlikePost(postId) {
-        // TODO: Implement API call
-        const likeBtn = document.querySelector(`[data-post-id="${postId}"] .like-btn`);
-        likeBtn.classList.remove('liked');
-        likeBtn.innerHTML = '❤️ <span class="like-count">0</span>';
-        
-        this.showSuccess('Post unliked!');
+        const response = await fetch(`${API_BASE_URL}/posts/${postId}/like`, {
+            method: 'DELETE',
+            headers: auth.getAuthHeaders()
+        });
+
+        if (!response.ok) {
+            throw new Error('Failed to unlike post');
+        }
+
+        return response.json();
+    }
+
+    // Update the count from a live event, leaving the viewer's own like alone
+    setLikeCount(postId, count) {
+        document.querySelectorAll(`[data-post-id="${postId}"] > .post-actions .like-btn`).forEach(button => {
+            if (button.dataset.pending) return;
+            button.querySelector('.like-count').textContent = count;
+        });
+    }
+
+    // Show a user's new name and avatar on their posts already on the page
+    updateAuthor(user) {
+        document.querySelectorAll(`.post[data-author="${user.username}"] > .post-header`).forEach(header => {
+            header.querySelector('.post-display-name').textContent = user.display_name || user.username;
+            header.querySelector('.post-user-avatar').src = user.avatar_url || 'assets/icons/default-profile.png';
+        });
+    }
+
+    // Sync the like button on every copy of the post on the page
+    setLikeState(postId, liked, count) {
+        document.querySelectorAll(`[data-post-id="${postId}"] > .post-actions .like-btn`).forEach(button => {
+            button.classList.toggle('liked', liked);
+            button.querySelector('.like-count').textContent = count;
+        });
     }
 
+    // Toggle the inline reply composer under a post
     handleComment(postId) {
-        // TODO: Implement comment functionality
-        this.showMessage('Comment feature coming soon!');
+        this.toggleComposer(postId, {
+            mode: 'reply',
+            placeholder: 'Post your reply',
+            submitLabel: 'Reply',
+            submit: (content) => this.createReply(postId, content)
+        });
+    }
+
+    // Inline composer shared by replies and quotes. Opening a different mode
+    // on the same post replaces the open composer; the same mode closes it.
+    toggleComposer(postId, { mode, placeholder, submitLabel, submit }) {
+        const currentUser = getCurrentUser();
+        if (!currentUser) {
+            this.showError(`Please log in to ${mode}`);
+            return;
+        }
+
+        const postElement = document.querySelector(`[data-post-id="${postId}"]`);
+        if (!postElement) return;
+
+        const existing = postElement.querySelector('.reply-composer');
+        if (existing) {
+            existing.remove();
+            if (existing.dataset.mode === mode) return;
+        }
+
+        const composer = document.createElement('div');
+        composer.className = 'reply-composer';
+        composer.dataset.mode = mode;
+        composer.innerHTML = `
+            <textarea class="reply-input" placeholder="${placeholder}" maxlength="280"></textarea>
+            <div class="reply-composer-actions">
+                <span class="char-counter">0/280</span>
+                <button class="btn btn-primary btn-sm reply-submit" disabled>${submitLabel}</button>
+            </div>
+        `;
+
+        const input = composer.querySelector('.reply-input');
+        const counter = composer.querySelector('.char-counter');
+        const submitButton = composer.querySelector('.reply-submit');
+
+        input.addEventListener('input', () => {
+            const length = input.value.trim().length;
+            counter.textContent = `${input.value.length}/280`;
+            submitButton.disabled = length === 0 || length > 280;
+        });
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                e.stopPropagation();
+                submitButton.click();
+            }
+        });
+
+        submitButton.addEventListener('click', async () => {
+            submitButton.disabled = true;
+            const created = await submit(input.value);
+            if (created) {
+                composer.remove();
+            } else {
+                submitButton.disabled = false;
+            }
+        });
+
+        postElement.appendChild(composer);
+        input.focus();
     }
 
+    // Reply to a post and bump its comment count
+    async createReply(postId, content) {
+        if (!content || content.trim().length === 0) {
+            this.showError('Reply cannot be empty');
+            return null;
+        }
+
+        try {
+            const response = await fetch(`${API_BASE_URL}/posts/${postId}/replies`, {
+                method: 'POST',
+                headers: auth.getAuthHeaders(),
+                body: JSON.stringify({ content: content.trim() })
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json();
+                throw new Error(errorData.error || 'Failed to post reply');
+            }
+
+            const reply = await response.json();
+
+            document.querySelectorAll(`[data-post-id="${postId}"] > .post-actions .comment-count`).forEach(count => {
+                count.textContent = parseInt(count.textContent || '0') + 1;
+            });
+
+            this.showSuccess('Reply posted!');
+            if (this.onReplyCreated) {
+                this.onReplyCreated(reply);
+            }
+            return reply;
+
+        } catch (error) {
+            console.error('Error creating reply:', error);
+            this.showError(error.message || 'Failed to post reply');
+            return null;
+        }
+    }
+
+    // Open the conversation view, unless a link inside the post was clicked
+    openThread(postId, e) {
+        if (e && e.target.closest('a')) return;
+        window.location.href = `thread.html?id=${postId}`;
+    }
+
+    // Show the repost / quote menu under a post
     handleRepost(postId) {
-        // TODO: Implement repost functionality
-        this.showMessage('Repost feature coming soon!');
+        const currentUser = getCurrentUser();
+        if (!currentUser) {
+            this.showError('Please log in to repost');
+            return;
+        }
+
+        const postElement = document.querySelector(`[data-post-id="${postId}"]`);
+        if (!postElement) return;
+
+        const existing = postElement.querySelector('.repost-menu');
+        if (existing) {
+            existing.remove();
+            return;
+        }
+
+        const isReposted = postElement.querySelector('.repost-btn')?.classList.contains('reposted');
+        const menu = document.createElement('div');
+        menu.className = 'repost-menu';
+        menu.innerHTML = `
+            <button class="btn btn-ghost btn-sm" data-action="repost">🔄 ${isReposted ? 'Undo repost' : 'Repost'}</button>
+            <button class="btn btn-ghost btn-sm" data-action="quote">✏️ Quote</button>
+        `;
+
+        menu.querySelector('[data-action="repost"]').addEventListener('click', () => {
+            menu.remove();
+            this.toggleRepost(postId);
+        });
+
+        menu.querySelector('[data-action="quote"]').addEventListener('click', () => {
+            menu.remove();
+            this.handleQuote(postId);
+        });
+
+        postElement.querySelector('.post-actions').insertAdjacentElement('afterend', menu);
+    }
+
+    // Repost, or undo a repost, and sync every copy of the post on the page
+    async toggleRepost(postId) {
+        const buttons = document.querySelectorAll(`[data-post-id="${postId}"] > .post-actions .repost-btn`);
+        const isReposted = buttons[0]?.classList.contains('reposted');
+
+        try {
+            const response = await fetch(`${API_BASE_URL}/posts/${postId}/repost`, {
+                method: isReposted ? 'DELETE' : 'POST',
+                headers: auth.getAuthHeaders()
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json();
+                throw new Error(errorData.error || 'Failed to update repost');
+            }
+
+            const { reposted, reposts_count } = await response.json();
+
+            buttons.forEach(button => {
+                button.classList.toggle('reposted', reposted);
+                button.querySelector('.repost-count').textContent = reposts_count;
+            });
+
+            this.showSuccess(reposted ? 'Reposted!' : 'Repost removed');
+
+        } catch (error) {
+            console.error('Error toggling repost:', error);
+            this.showError(error.message || 'Failed to update repost');
+        }
     }
 
-    handleSave(postId) {
-        // TODO: Implement save functionality
-        this.showMessage('Save feature coming soon!');
+    // Open the quote composer under a post
+    handleQuote(postId) {
+        this.toggleComposer(postId, {
+            mode: 'quote',
+            placeholder: 'Add a comment',
+            submitLabel: 'Post',
+            submit: (content) => this.createQuote(postId, content)
+        });
+    }
+
+    // Publish a quote post and put it at the top of the feed
+    async createQuote(postId, content) {
+        if (!content || content.trim().length === 0) {
+            this.showError('Post content cannot be empty');
+            return null;
+        }
+
+        try {
+            const response = await fetch(`${API_BASE_URL}/posts/${postId}/quote`, {
+                method: 'POST',
+                headers: auth.getAuthHeaders(),
+                body: JSON.stringify({ content: content.trim() })
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json();
+                throw new Error(errorData.error || 'Failed to quote post');
+            }
+
+            const quote = await response.json();
+
+            if (document.getElementById('feedContainer')) {
+                this.posts.unshift(quote);
+                this.prependPost(quote);
+            }
+
+            this.showSuccess('Post created!');
+            return quote;
+
+        } catch (error) {
+            console.error('Error quoting post:', error);
+            this.showError(error.message || 'Failed to quote post');
+            return null;
+        }
+    }
+
+    handleReport(postId) {
+        if (!getCurrentUser()) {
+            this.showError('Please log in to report posts');
+            return;
+        }
+
+        reportDialog.open('post', postId, 'this post');
+    }
+
+    // Unsave a saved post, or pick a collection to save it into
+    async handleSave(postId) {
+        const currentUser = getCurrentUser();
+        if (!currentUser) {
+            this.showError('Please log in to save posts');
+            return;
+        }
+
+        const postElement = document.querySelector(`[data-post-id="${postId}"]`);
+        if (!postElement) return;
+
+        const saveBtn = postElement.querySelector('.save-btn');
+        if (saveBtn?.classList.contains('saved')) {
+            await this.unsavePost(postId);
+            return;
+        }
+
+        const existing = postElement.querySelector('.save-menu');
+        if (existing) {
+            existing.remove();
+            return;
+        }
+
+        try {
+            const collections = await this.loadCollections();
+
+            const menu = document.createElement('div');
+            menu.className = 'save-menu';
+            menu.innerHTML = collections.map(collection => `
+                <button class="btn btn-ghost btn-sm" data-collection-id="${collection.id}">
+                    🔖 ${escapeHtml(collection.name)}
+                </button>
+            `).join('');
+
+            menu.querySelectorAll('[data-collection-id]').forEach(button => {
+                button.addEventListener('click', () => {
+                    menu.remove();
+                    this.savePost(postId, button.dataset.collectionId);
+                });
+            });
+
+            postElement.querySelector('.post-actions').insertAdjacentElement('afterend', menu);
+
+        } catch (error) {
+            console.error('Error loading collections:', error);
+            this.showError('Failed to load collections');
+        }
+    }
+
+    // Bookmark collections, fetched once per page
+    async loadCollections(refresh = false) {
+        if (this.collections && !refresh) return this.collections;
+
+        const response = await fetch(`${API_BASE_URL}/bookmarks/collections`, {
+            headers: auth.getAuthHeaders()
+        });
+
+        if (!response.ok) {
+            throw new Error('Failed to load collections');
+        }
+
+        this.collections = await response.json();
+        return this.collections;
+    }
+
+    async savePost(postId, collectionId) {
+        try {
+            const response = await fetch(`${API_BASE_URL}/bookmarks`, {
+                method: 'POST',
+                headers: auth.getAuthHeaders(),
+                body: JSON.stringify({ post_id: postId, collection_id: collectionId })
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json();
+                throw new Error(errorData.error || 'Failed to save post');
+            }
+
+            this.setSavedState(postId, true);
+            const collection = this.collections?.find(c => c.id === collectionId);
+            this.showSuccess(`Saved to ${collection ? collection.name : 'bookmarks'}`);
+
+        } catch (error) {
+            console.error('Error saving post:', error);
+            this.showError(error.message || 'Failed to save post');
+        }
+    }
+
+    // Remove a post from every collection it's in
+    async unsavePost(postId) {
+        try {
+            const response = await fetch(`${API_BASE_URL}/bookmarks/${postId}`, {
+                method: 'DELETE',
+                headers: auth.getAuthHeaders()
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json();
+                throw new Error(errorData.error || 'Failed to remove bookmark');
+            }
+
+            const { saved } = await response.json();
+            this.setSavedState(postId, saved);
+            this.showSuccess('Removed from bookmarks');
+
+        } catch (error) {
+            console.error('Error removing bookmark:', error);
+            this.showError(error.message || 'Failed to remove bookmark');
+        }
+    }
+
+    // Sync the save button on every copy of the post on the page
+    setSavedState(postId, saved) {
+        document.querySelectorAll(`[data-post-id="${postId}"] > .post-actions .save-btn`).forEach(button => {
+            button.classList.toggle('saved', saved);
+        });
+
+        if (this.onSaveChanged) {
+            this.onSaveChanged(postId, saved);
+        }
     }
 
     // Event listeners
@@ -309,8 +893,17 @@ class FeedManager {
             });
         }
 
+        // Image attachments
+        document.getElementById('mediaInput')?.addEventListener('change', (e) => {
+            this.addAttachments([...e.target.files]);
+            e.target.value = '';
+        });
+
         // Refresh on pull-to-refresh
         this.setupPullToRefresh();
+
+        // Load older posts on scroll
+        this.setupInfiniteScroll();
     }
 
     // Update character counter
@@ -340,7 +933,13 @@ class FeedManager {
         if (!postInput || !postButton) return;
 
         const length = postInput.value.trim().length;
-        postButton.disabled = length === 0 || length > 280;
+        const uploading = this.attachments.some(attachment => attachment.status !== 'ready');
+        postButton.disabled = (length === 0 && this.attachments.length === 0) || length > 280 || uploading;
+
+        const mediaButton = document.getElementById('mediaButton');
+        if (mediaButton) {
+            mediaButton.classList.toggle('disabled', this.attachments.length >= 4);
+        }
     }
 
     // Handle post creation
@@ -349,11 +948,125 @@ class FeedManager {
         if (!postInput) return;
 
         const content = postInput.value.trim();
-        if (!content) return;
+        if (!content && this.attachments.length === 0) return;
 
         await this.createPost(content);
     }
 
+    // ============ COMPOSER IMAGES ============
+
+    // Upload picked images straight away, up to four per post
+    addAttachments(files) {
+        const types = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+        const room = 4 - this.attachments.length;
+
+        if (files.length > room) {
+            this.showError('Posts can have up to 4 images');
+        }
+
+        files.slice(0, Math.max(room, 0)).forEach(file => {
+            if (!types.includes(file.type)) {
+                this.showError(`${file.name} isn't a JPEG, PNG, WebP or GIF image`);
+                return;
+            }
+            if (file.size > 8 * 1024 * 1024) {
+                this.showError(`${file.name} is larger than 8MB`);
+                return;
+            }
+
+            const attachment = {
+                file,
+                previewUrl: URL.createObjectURL(file),
+                id: null,
+                altText: '',
+                status: 'uploading'
+            };
+            this.attachments.push(attachment);
+            this.uploadAttachment(attachment);
+        });
+
+        this.renderAttachments();
+    }
+
+    async uploadAttachment(attachment) {
+        const formData = new FormData();
+        formData.append('image', attachment.file);
+
+        // Let the browser set the multipart boundary
+        const headers = auth.getAuthHeaders();
+        delete headers['Content-Type'];
+
+        try {
+            const response = await fetch(`${API_BASE_URL}/media`, {
+                method: 'POST',
+                headers,
+                body: formData
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to upload image');
+            }
+
+            attachment.id = data.id;
+            attachment.status = 'ready';
+
+        } catch (error) {
+            console.error('Error uploading image:', error);
+            this.showError(error.message || 'Failed to upload image');
+            this.removeAttachment(attachment);
+            return;
+        }
+
+        this.renderAttachments();
+    }
+
+    removeAttachment(attachment) {
+        URL.revokeObjectURL(attachment.previewUrl);
+        this.attachments = this.attachments.filter(a => a !== attachment);
+        this.renderAttachments();
+    }
+
+    clearAttachments() {
+        this.attachments.forEach(attachment => URL.revokeObjectURL(attachment.previewUrl));
+        this.attachments = [];
+        this.renderAttachments();
+    }
+
+    // Previews with alt text fields under the composer
+    renderAttachments() {
+        const container = document.getElementById('composerMedia');
+        if (!container) return;
+
+        container.classList.toggle('hidden', this.attachments.length === 0);
+        container.innerHTML = '';
+
+        this.attachments.forEach(attachment => {
+            const item = document.createElement('div');
+            item.className = `composer-media-item ${attachment.status}`;
+            item.innerHTML = `
+                <img src="${attachment.previewUrl}" alt="">
+                <button class="composer-media-remove" aria-label="Remove image">×</button>
+                <input type="text" class="input alt-text-input" maxlength="1000"
+                       placeholder="Add alt text: describe this image for people who can't see it">
+            `;
+
+            const altInput = item.querySelector('.alt-text-input');
+            altInput.value = attachment.altText;
+            altInput.classList.toggle('missing', !attachment.altText.trim());
+            altInput.addEventListener('input', () => {
+                attachment.altText = altInput.value;
+                altInput.classList.toggle('missing', !altInput.value.trim());
+            });
+
+            item.querySelector('.composer-media-remove').addEventListener('click', () => this.removeAttachment(attachment));
+            container.appendChild(item);
+        });
+
+        this.updatePostButton();
+    }
+
     // Set post button loading state
     setPostButtonLoading(isLoading) {
         const postButton = document.getElementById('postButton');
@@ -368,6 +1081,70 @@ class FeedManager {
         }
     }
 
+    // New posts from the event stream wait behind a banner rather than
+    // shifting the feed under the reader
+    setupRealtime() {
+        document.getElementById('newPostsBanner')?.addEventListener('click', () => this.showPendingPosts());
+
+        realtime.on('post.created', ({ post, from_following }) => this.queueNewPost(post, from_following));
+
+        // Events were missed while disconnected; only a reload catches up
+        realtime.on('reset', () => {
+            this.isStale = true;
+            this.updateNewPostsBanner();
+        });
+    }
+
+    queueNewPost(post, fromFollowing) {
+        const currentUser = getCurrentUser();
+
+        if (post.user_id === currentUser?.id) return; // already prepended by createPost
+        if (this.currentFeed === 'following' && !fromFollowing) return;
+        if (this.posts.some(p => p.id === post.id) || this.pendingPosts.some(p => p.id === post.id)) return;
+
+        this.pendingPosts.unshift(post);
+        this.updateNewPostsBanner();
+    }
+
+    updateNewPostsBanner() {
+        const banner = document.getElementById('newPostsBanner');
+        if (!banner) return;
+
+        const count = this.pendingPosts.length;
+
+        if (count > 0) {
+            banner.textContent = `⬆ ${count} new post${count === 1 ? '' : 's'}`;
+        } else if (this.isStale) {
+            banner.textContent = '⬆ New posts available';
+        }
+
+        banner.classList.toggle('hidden', count === 0 && !this.isStale);
+    }
+
+    // Put the waiting posts on top of the feed
+    showPendingPosts() {
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+
+        if (this.isStale) {
+            this.loadInitialPosts();
+            return;
+        }
+
+        // Oldest first, so the newest ends up on top
+        [...this.pendingPosts].reverse().forEach(post => {
+            this.posts.unshift(post);
+            this.prependPost(post);
+        });
+
+        this.clearPendingPosts();
+    }
+
+    clearPendingPosts() {
+        this.pendingPosts = [];
+        this.isStale = false;
+        this.updateNewPostsBanner();
+    }
+
     // Pull to refresh
     setupPullToRefresh() {
         let touchStartY = 0;
@@ -383,6 +1160,18 @@ class FeedManager {
         });
     }
 
+    // Infinite scroll
+    setupInfiniteScroll() {
+        window.addEventListener('scroll', () => {
+            const distanceFromBottom = document.documentElement.scrollHeight -
+                (window.scrollY + window.innerHeight);
+
+            if (distanceFromBottom < 600) {
+                this.loadMorePosts();
+            }
+        }, { passive: true });
+    }
+
     // UI helpers
     showLoading() {
         const feedContainer = document.getElementById('feedContainer');
@@ -398,9 +1187,31 @@ class FeedManager {
         }
     }
 
+    showLoadingMore() {
+        const feedContainer = document.getElementById('feedContainer');
+        if (feedContainer && !document.getElementById('feedLoadingMore')) {
+            feedContainer.insertAdjacentHTML('beforeend',
+                '<div class="loading-indicator" id="feedLoadingMore">Loading more posts...</div>');
+        }
+    }
+
+    hideLoadingMore() {
+        const loadingIndicator = document.getElementById('feedLoadingMore');
+        if (loadingIndicator) {
+            loadingIndicator.remove();
+        }
+    }
+
     showEmptyState() {
         const feedContainer = document.getElementById('feedContainer');
-        if (feedContainer) {
+        if (feedContainer && this.currentFeed === 'following') {
+            feedContainer.innerHTML = `
+                <div class="empty-state">
+                    <h3>Nothing here yet</h3>
+                    <p>Posts from people you follow will show up here.</p>
+                </div>
+            `;
+        } else if (feedContainer) {
             feedContainer.innerHTML = `
                 <div class="empty-state">
                     <h3>No posts yet</h3>
@@ -449,16 +1260,6 @@ class FeedManager {
         }, 3000);
     }
 
-    // Utility functions
-    escapeHtml(unsafe) {
-        return unsafe
-            .replace(/&/g, "&amp;")
-            .replace(/</g, "&lt;")
-            .replace(/>/g, "&gt;")
-            .replace(/"/g, "&quot;")
-            .replace(/'/g, "&#039;");
-    }
-
     // Update UI based on auth state
     updateUI() {
         const currentUser = getCurrentUser();
@@ -0,0 +1,93 @@
+// Hashtag Timeline
+class HashtagManager {
+    constructor() {
+        const tag = new URLSearchParams(window.location.search).get('tag') || '';
+        this.tag = tag.replace(/^#/, '').toLowerCase();
+        this.nextCursor = null;
+        this.isLoading = false;
+        this.loaded = false;
+    }
+
+    async initialize() {
+        if (!this.tag) {
+            this.showEmpty('No hashtag given');
+            return;
+        }
+
+        document.getElementById('hashtagTitle').textContent = `#${this.tag}`;
+        document.title = `#${this.tag} - Social Platform`;
+
+        this.setupInfiniteScroll();
+        await this.loadPosts();
+    }
+
+    // Load the next page of posts using the tag
+    async loadPosts() {
+        if (this.isLoading || (this.loaded && !this.nextCursor)) return;
+        this.isLoading = true;
+
+        try {
+            const params = new URLSearchParams();
+            if (this.nextCursor) params.set('before', this.nextCursor);
+
+            const response = await fetch(`${API_BASE_URL}/hashtags/${encodeURIComponent(this.tag)}?${params}`, {
+                headers: auth.getAuthHeaders()
+            });
+
+            if (!response.ok) {
+                throw new Error('Failed to load posts');
+            }
+
+            const { posts, next_cursor } = await response.json();
+            const container = document.getElementById('hashtagPosts');
+
+            if (!this.loaded) {
+                container.innerHTML = '';
+                if (posts.length === 0) {
+                    this.showEmpty(`No posts with #${this.tag} yet`);
+                }
+            }
+
+            posts.forEach(post => container.appendChild(feedManager.createPostElement(post)));
+
+            this.nextCursor = next_cursor;
+            this.loaded = true;
+
+        } catch (error) {
+            console.error('Error loading hashtag:', error);
+            feedManager.showError('Failed to load posts. Please try again.');
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    showEmpty(message) {
+        document.getElementById('hashtagPosts').innerHTML = `
+            <div class="empty-state">
+                <h3>${escapeHtml(message)}</h3>
+                <p>Posts using it will show up here.</p>
+            </div>
+        `;
+    }
+
+    // Infinite scroll
+    setupInfiniteScroll() {
+        window.addEventListener('scroll', () => {
+            const distanceFromBottom = document.documentElement.scrollHeight -
+                (window.scrollY + window.innerHeight);
+
+            if (distanceFromBottom < 600 && this.nextCursor) {
+                this.loadPosts();
+            }
+        }, { passive: true });
+    }
+}
+
+// Initialize hashtag manager
+const hashtagManager = new HashtagManager();
+
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.getElementById('hashtagPosts')) {
+        hashtagManager.initialize();
+    }
+});
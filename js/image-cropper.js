@@ -0,0 +1,126 @@
+// Image Cropper
+// Pan (drag) and zoom (slider) a chosen image inside a fixed-aspect frame,
+// then read back the visible area in the image's own pixels for the server
+// to crop to.
+class ImageCropper {
+    constructor(frame, zoomInput) {
+        this.frame = frame;
+        this.zoomInput = zoomInput;
+        this.image = frame.querySelector('img');
+        this.file = null;
+        this.objectUrl = null;
+        this.zoom = 1;
+        this.offsetX = 0;
+        this.offsetY = 0;
+        this.drag = null;
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.frame.addEventListener('pointerdown', (e) => {
+            if (!this.file) return;
+            e.preventDefault();
+            this.drag = { x: e.clientX, y: e.clientY, offsetX: this.offsetX, offsetY: this.offsetY };
+            this.frame.setPointerCapture(e.pointerId);
+        });
+
+        this.frame.addEventListener('pointermove', (e) => {
+            if (!this.drag) return;
+            this.offsetX = this.drag.offsetX + e.clientX - this.drag.x;
+            this.offsetY = this.drag.offsetY + e.clientY - this.drag.y;
+            this.update();
+        });
+
+        ['pointerup', 'pointercancel'].forEach(type => {
+            this.frame.addEventListener(type, () => { this.drag = null; });
+        });
+
+        this.zoomInput.addEventListener('input', () => this.setZoom(parseFloat(this.zoomInput.value)));
+    }
+
+    // Show an image that's already saved; there's nothing to crop
+    showUrl(url) {
+        this.reset();
+        if (url) {
+            this.image.src = url;
+        } else {
+            this.image.removeAttribute('src');
+        }
+    }
+
+    // Start cropping a newly chosen file, zoomed out and centred
+    async load(file) {
+        this.reset();
+        this.file = file;
+        this.objectUrl = URL.createObjectURL(file);
+        this.image.src = this.objectUrl;
+        await this.image.decode();
+
+        this.frame.classList.add('cropping');
+        this.zoomInput.classList.remove('hidden');
+
+        const scale = this.baseScale();
+        this.offsetX = (this.frame.clientWidth - this.image.naturalWidth * scale) / 2;
+        this.offsetY = (this.frame.clientHeight - this.image.naturalHeight * scale) / 2;
+        this.update();
+    }
+
+    // Scale at which the image just covers the frame
+    baseScale() {
+        return Math.max(
+            this.frame.clientWidth / this.image.naturalWidth,
+            this.frame.clientHeight / this.image.naturalHeight
+        );
+    }
+
+    // Zoom around the middle of the frame
+    setZoom(zoom) {
+        const before = this.baseScale() * this.zoom;
+        const after = this.baseScale() * zoom;
+        const centreX = this.frame.clientWidth / 2;
+        const centreY = this.frame.clientHeight / 2;
+
+        this.offsetX = centreX - (centreX - this.offsetX) * after / before;
+        this.offsetY = centreY - (centreY - this.offsetY) * after / before;
+        this.zoom = zoom;
+        this.update();
+    }
+
+    // Keep the frame covered, then place the image
+    update() {
+        const scale = this.baseScale() * this.zoom;
+        const width = this.image.naturalWidth * scale;
+        const height = this.image.naturalHeight * scale;
+
+        this.offsetX = Math.min(0, Math.max(this.frame.clientWidth - width, this.offsetX));
+        this.offsetY = Math.min(0, Math.max(this.frame.clientHeight - height, this.offsetY));
+
+        this.image.style.width = `${width}px`;
+        this.image.style.height = `${height}px`;
+        this.image.style.transform = `translate(${this.offsetX}px, ${this.offsetY}px)`;
+    }
+
+    // The visible area, in pixels of the original image
+    getCrop() {
+        const scale = this.baseScale() * this.zoom;
+        return {
+            x: Math.round(-this.offsetX / scale),
+            y: Math.round(-this.offsetY / scale),
+            width: Math.round(this.frame.clientWidth / scale),
+            height: Math.round(this.frame.clientHeight / scale)
+        };
+    }
+
+    reset() {
+        if (this.objectUrl) {
+            URL.revokeObjectURL(this.objectUrl);
+        }
+        this.file = null;
+        this.objectUrl = null;
+        this.zoom = 1;
+        this.zoomInput.value = 1;
+        this.zoomInput.classList.add('hidden');
+        this.frame.classList.remove('cropping');
+        this.image.removeAttribute('style');
+    }
+}
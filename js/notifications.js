@@ -0,0 +1,206 @@
+// Notifications
+class NotificationsManager {
+    constructor() {
+        this.notifications = [];
+        this.nextCursor = null;
+        this.isLoading = false;
+    }
+
+    async initialize() {
+        document.getElementById('markAllReadBtn')?.addEventListener('click', () => this.markRead());
+
+        await this.loadNotifications();
+    }
+
+    // Load a page of notifications; pass append to load the next page
+    async loadNotifications(append = false) {
+        if (this.isLoading) return;
+        this.isLoading = true;
+
+        try {
+            const params = new URLSearchParams();
+            if (append && this.nextCursor) params.set('before', this.nextCursor);
+
+            const response = await fetch(`${API_BASE_URL}/notifications?${params}`, {
+                headers: auth.getAuthHeaders()
+            });
+
+            if (!response.ok) {
+                throw new Error('Failed to load notifications');
+            }
+
+            const { notifications, next_cursor } = await response.json();
+            this.notifications = append ? [...this.notifications, ...notifications] : notifications;
+            this.nextCursor = next_cursor;
+            this.renderNotifications();
+
+            // Seen now; they stay highlighted until the next visit
+            const unseen = notifications.filter(n => !n.is_read).flatMap(n => n.notification_ids);
+            if (unseen.length > 0) {
+                await this.markRead(unseen, { quiet: true });
+            }
+
+        } catch (error) {
+            console.error('Error loading notifications:', error);
+            feedManager.showError('Failed to load notifications');
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    renderNotifications() {
+        const container = document.getElementById('notificationsContainer');
+
+        if (this.notifications.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <h3>No notifications yet</h3>
+                    <p>When you get likes, comments, or new followers, they'll appear here.</p>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = this.notifications.map(notification => this.renderNotification(notification)).join('');
+
+        if (this.nextCursor) {
+            container.insertAdjacentHTML('beforeend', '<button class="btn btn-ghost btn-sm load-more" id="loadMoreNotificationsBtn">Load more</button>');
+            document.getElementById('loadMoreNotificationsBtn').addEventListener('click', () => this.loadNotifications(true));
+        }
+
+        container.querySelectorAll('.notification-item[data-href]').forEach(item => {
+            item.addEventListener('click', () => {
+                window.location.href = item.dataset.href;
+            });
+        });
+    }
+
+    renderNotification(notification) {
+        if (notification.type === 'moderation') {
+            return this.renderModerationNotice(notification);
+        }
+
+        const icons = {
+            like: '❤️',
+            reply: '💬',
+            follow: '👤',
+            mention: '@',
+            repost: '🔄',
+            quote: '💭'
+        };
+
+        // Follows go to the follower's profile, everything else to the post
+        const firstActor = notification.actors[0] || {};
+        const href = notification.post
+            ? `thread.html?id=${notification.post.id}`
+            : `profile.html?user=${encodeURIComponent(firstActor.username || '')}`;
+
+        const avatars = notification.actors.map(actor => `
+            <img src="${actor.avatar_url || 'assets/icons/default-profile.png'}" alt="" class="notification-avatar"
+                 onerror="this.src='assets/icons/default-profile.png'">
+        `).join('');
+
+        return `
+            <div class="notification-item ${notification.is_read ? '' : 'unread'}" data-href="${href}">
+                <div class="notification-icon">${icons[notification.type] || '🔔'}</div>
+                <div class="notification-body">
+                    <div class="notification-avatars">${avatars}</div>
+                    <div class="notification-text">
+                        ${this.describe(notification)}
+                        <span class="post-username">· ${feedManager.formatTimestamp(notification.created_at)}</span>
+                    </div>
+                    ${notification.post ? `<div class="notification-post">${escapeHtml(notification.post.content)}</div>` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    // What a moderator did to your account or content, and why
+    renderModerationNotice(notification) {
+        const { action, reason, banned_until, strikes, strikes_before_ban, excerpt } = notification.details || {};
+
+        const summaries = {
+            warn: `Your account received a warning (${strikes} of ${strikes_before_ban} strikes before a suspension)`,
+            ban: banned_until
+                ? `Your account is suspended until ${new Date(banned_until).toLocaleString()}`
+                : 'Your account has been suspended',
+            delete_post: 'Your post was removed',
+            delete_message: 'Your message was removed'
+        };
+
+        return `
+            <div class="notification-item moderation-notice ${notification.is_read ? '' : 'unread'}">
+                <div class="notification-icon">🛡️</div>
+                <div class="notification-body">
+                    <div class="notification-text">
+                        <strong>${summaries[action] || 'A moderator reviewed your account'}</strong>
+                        <span class="post-username">· ${feedManager.formatTimestamp(notification.created_at)}</span>
+                    </div>
+                    ${reason ? `<div class="notification-reason">Reason: ${escapeHtml(reason)}</div>` : ''}
+                    ${excerpt ? `<div class="notification-post">${escapeHtml(excerpt)}</div>` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    // "Alice liked your post", "Alice and Bob...", "Alice and 4 others..."
+    describe(notification) {
+        const verbs = {
+            like: 'liked your post',
+            reply: 'replied to your post',
+            follow: 'followed you',
+            mention: 'mentioned you',
+            repost: 'reposted your post',
+            quote: 'quoted your post'
+        };
+
+        const name = (actor) => `<strong>${escapeHtml(actor?.display_name || actor?.username || 'Someone')}</strong>`;
+        const [first, second] = notification.actors;
+        const others = notification.actors_count - 1;
+
+        let who = name(first);
+        if (others === 1) {
+            who += ` and ${name(second)}`;
+        } else if (others > 1) {
+            who += ` and ${others} others`;
+        }
+
+        return `${who} ${verbs[notification.type] || 'interacted with you'}`;
+    }
+
+    // Mark the given notification ids read, or all of them
+    async markRead(ids = null, { quiet = false } = {}) {
+        try {
+            const response = await fetch(`${API_BASE_URL}/notifications/read`, {
+                method: 'POST',
+                headers: auth.getAuthHeaders(),
+                body: JSON.stringify(ids ? { ids } : {})
+            });
+
+            if (!response.ok) {
+                throw new Error('Failed to mark notifications read');
+            }
+
+            const { unread_count } = await response.json();
+            app.setNavBadge('notifications.html', unread_count);
+
+            if (!quiet) {
+                this.notifications.forEach(notification => { notification.is_read = true; });
+                this.renderNotifications();
+            }
+
+        } catch (error) {
+            console.error('Error marking notifications read:', error);
+            if (!quiet) feedManager.showError('Failed to mark notifications read');
+        }
+    }
+}
+
+// Initialize notifications manager
+const notificationsManager = new NotificationsManager();
+
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.getElementById('notificationsContainer')) {
+        notificationsManager.initialize();
+    }
+});
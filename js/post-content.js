@@ -0,0 +1,47 @@
+// Post content rendering
+// Shared by every page that shows posts. Hashtags and mentions are matched the
+// same way as extractHashtags and extractMentions in backend/services; keep
+// them in step.
+
+// A URL, a hashtag or a mention. Tags and mentions have to start a word, so
+// URL fragments and paths like medium.com/@name are left alone; URLs come
+// first so nothing inside one is linked twice.
+const POST_TOKEN_PATTERN = /(https?:\/\/[^\s]+)|(?<=^|[^\w&\/])#(\w{1,50})|(?<=^|[^\w@\/])@(\w{3,30})\b/g;
+
+function escapeHtml(unsafe) {
+    return unsafe
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#039;");
+}
+
+// Post text as HTML with links. `mentions` are the post's resolved mentions;
+// only those become profile links. Usernames are case-insensitive, so @Bob
+// links to bob but keeps how it was typed.
+function formatPostContent(content, mentions = []) {
+    if (!content) return '';
+
+    const mentioned = new Set((mentions || []).map(mention => mention.username.toLowerCase()));
+    let formatted = '';
+    let last = 0;
+
+    for (const match of content.matchAll(POST_TOKEN_PATTERN)) {
+        const [text, url, tag, username] = match;
+        formatted += escapeHtml(content.slice(last, match.index));
+        last = match.index + text.length;
+
+        if (url) {
+            formatted += `<a href="${escapeHtml(url)}" target="_blank" rel="noopener">${escapeHtml(url)}</a>`;
+        } else if (tag) {
+            formatted += `<a class="hashtag" href="hashtag.html?tag=${encodeURIComponent(tag.toLowerCase())}">#${tag}</a>`;
+        } else if (mentioned.has(username.toLowerCase())) {
+            formatted += `<a class="mention" href="profile.html?user=${encodeURIComponent(username.toLowerCase())}">@${username}</a>`;
+        } else {
+            formatted += escapeHtml(text);
+        }
+    }
+
+    return formatted + escapeHtml(content.slice(last));
+}
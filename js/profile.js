@@ -1,9 +1,38 @@
+// Profile tabs: the /users/:username/<tab> endpoint each one lists, the
+// container it fills and what it shows when empty
+const PROFILE_TABS = {
+    posts: {
+        containerId: 'profilePosts',
+        empty: { title: 'No posts yet', message: 'This user hasn\'t posted anything yet.' }
+    },
+    replies: {
+        containerId: 'profileReplies',
+        empty: { title: 'No replies yet', message: 'Replies will appear here when the user comments on posts.' }
+    },
+    media: {
+        containerId: 'profileMedia',
+        empty: { title: 'No media yet', message: 'Photos and videos will appear here when the user posts them.' }
+    },
+    likes: {
+        containerId: 'profileLikes',
+        empty: { title: 'No likes yet', message: 'Posts that this user liked will appear here.' }
+    }
+};
+
 // Profile Management System
 class ProfileManager {
     constructor() {
         this.currentProfile = null;
         this.isOwnProfile = false;
         this.currentTab = 'posts';
+        // Loaded tabs: { nextCursor, isLoading }. A tab is fetched the first
+        // time it's opened and kept until the page reloads.
+        this.tabs = {};
+        // Avatar and banner pickers in the edit modal
+        this.croppers = {
+            avatar: new ImageCropper(document.getElementById('avatarCropFrame'), document.getElementById('avatarZoom')),
+            banner: new ImageCropper(document.getElementById('bannerCropFrame'), document.getElementById('bannerZoom'))
+        };
         this.setupEventListeners();
         this.loadProfile();
     }
@@ -29,52 +58,38 @@ class ProfileManager {
             return;
         }
 
-        this.isOwnProfile = true;
-        document.body.classList.add('own-profile');
-        
-        // Use current user data
-        this.currentProfile = {
-            ...currentUser,
-            posts_count: 0,
-            following_count: 0,
-            followers_count: 0,
-            created_at: currentUser.created_at || new Date().toISOString()
-        };
-
-        this.renderProfile();
-        this.loadProfilePosts();
-        this.updateProfileActions();
+        await this.loadUserProfile(currentUser.username);
     }
 
-    // Load another user's profile
+    // Load a user's profile
     async loadUserProfile(username) {
         try {
-            // TODO: Replace with actual API call
-            // const response = await fetch(`${API_BASE_URL}/users/${username}`);
-            // const profile = await response.json();
-            
-            // For now, use mock data
-            const mockProfile = {
-                id: 'user-' + username,
-                username: username,
-                display_name: username.charAt(0).toUpperCase() + username.slice(1),
-                avatar_url: 'assets/icons/default-profile.png',
-                banner_url: null,
-                bio: `This is ${username}'s profile. Bio coming soon!`,
-                website: null,
-                location: null,
-                is_verified: Math.random() > 0.7,
-                is_premium: Math.random() > 0.8,
-                posts_count: Math.floor(Math.random() * 50),
-                following_count: Math.floor(Math.random() * 200),
-                followers_count: Math.floor(Math.random() * 150),
-                created_at: new Date(Date.now() - Math.random() * 31536000000).toISOString(), // Random date within last year
-                is_following: false
-            };
-
-            this.currentProfile = mockProfile;
+            const response = await fetch(`${API_BASE_URL}/users/${encodeURIComponent(username)}`, {
+                headers: auth.getAuthHeaders()
+            });
+
+            if (response.status === 404) {
+                this.showNotFound(username);
+                return;
+            }
+
+            const data = await response.json();
+
+            if (data.blocked_by) {
+                this.showUnavailable(username, 'You\'re blocked', `@${username} has blocked you. You can't follow them or see their posts.`);
+                return;
+            }
+
+            if (!response.ok) {
+                throw new Error('Failed to load profile');
+            }
+
+            this.currentProfile = data;
+            this.isOwnProfile = this.currentProfile.id === getCurrentUser()?.id;
+            document.body.classList.toggle('own-profile', this.isOwnProfile);
+
             this.renderProfile();
-            this.loadProfilePosts();
+            this.renderBlockState();
             this.updateProfileActions();
 
         } catch (error) {
@@ -83,6 +98,35 @@ class ProfileManager {
         }
     }
 
+    showNotFound(username) {
+        this.showUnavailable(username, 'This account doesn\'t exist', 'Try searching for another.');
+    }
+
+    // A profile that can't be shown: just the handle and why
+    showUnavailable(username, title, message) {
+        this.updateElement('profileDisplayName', title);
+        this.updateElement('profileHandle', `@${username}`);
+        this.updateElement('profileBio', message);
+        document.querySelector('.profile-actions')?.classList.add('hidden');
+        document.querySelector('.profile-tabs')?.classList.add('hidden');
+        document.querySelector('.tab-content')?.classList.add('hidden');
+    }
+
+    // A profile the viewer blocked shows a notice instead of its posts
+    renderBlockState() {
+        const { blocking, username } = this.currentProfile;
+
+        document.querySelector('.profile-tabs')?.classList.toggle('hidden', blocking);
+        document.querySelector('.tab-content')?.classList.toggle('hidden', blocking);
+        document.getElementById('blockedNotice')?.classList.toggle('hidden', !blocking);
+
+        if (blocking) {
+            this.updateElement('blockedNoticeText', `Unblock @${username} to see their posts.`);
+        } else {
+            this.loadTab(this.currentTab);
+        }
+    }
+
     // Render profile information
     renderProfile() {
         if (!this.currentProfile) return;
@@ -118,6 +162,7 @@ class ProfileManager {
         this.updateImage('profileAvatar', avatar_url);
         if (banner_url) {
             this.updateImage('profileBanner', banner_url);
+            document.getElementById('profileBanner').style.display = '';
         }
 
         // Add badges
@@ -127,73 +172,117 @@ class ProfileManager {
         document.title = `${display_name} (@${username}) - Social Platform`;
     }
 
-    // Load profile posts
-    async loadProfilePosts() {
+    // Fetch /users/:username/<tab> into its pane: the first page, or the
+    // next one with `append`
+    async loadTab(tabName, append = false) {
+        if (!this.currentProfile) return;
+
+        const tab = PROFILE_TABS[tabName];
+        const state = this.tabs[tabName] || { nextCursor: null, isLoading: false };
+
+        // Opened before, or already loading
+        if (state.isLoading || (this.tabs[tabName] && !append) || (append && !state.nextCursor)) return;
+
+        this.tabs[tabName] = state;
+        state.isLoading = true;
+
+        const container = document.getElementById(tab.containerId);
+
         try {
-            // TODO: Replace with actual API call
-            // const response = await fetch(`${API_BASE_URL}/users/${this.currentProfile.username}/posts`);
-            // const posts = await response.json();
-            
-            // For now, use mock posts
-            const mockPosts = this.generateMockPosts();
-            this.renderProfilePosts(mockPosts);
+            const params = new URLSearchParams();
+            if (append) params.set('before', state.nextCursor);
+
+            const response = await fetch(`${API_BASE_URL}/users/${encodeURIComponent(this.currentProfile.username)}/${tabName}?${params}`, {
+                headers: auth.getAuthHeaders()
+            });
+
+            if (!response.ok) {
+                throw new Error(`Failed to load ${tabName}`);
+            }
+
+            const { posts, next_cursor } = await response.json();
+            state.nextCursor = next_cursor;
+
+            if (!append && posts.length === 0) {
+                this.renderEmptyTab(tabName, container);
+            } else {
+                this.renderPostList(container, posts, append);
+            }
 
         } catch (error) {
-            console.error('Error loading profile posts:', error);
-            this.showError('Failed to load posts');
-        }
-    }
+            console.error(`Error loading profile ${tabName}:`, error);
+            this.showError(`Failed to load ${tabName}`);
 
-    // Generate mock posts for demo
-    generateMockPosts() {
-        const posts = [];
-        const postCount = this.currentProfile.posts_count || 5;
-        
-        for (let i = 0; i < postCount; i++) {
-            posts.push({
-                id: `post-${i}`,
-                content: `This is post ${i + 1} from ${this.currentProfile.display_name}. Lorem ipsum dolor sit amet, consectetur adipiscing elit. #demo #post`,
-                created_at: new Date(Date.now() - i * 3600000).toISOString(),
-                likes_count: Math.floor(Math.random() * 50),
-                comments_count: Math.floor(Math.random() * 10),
-                user: {
-                    display_name: this.currentProfile.display_name,
-                    username: this.currentProfile.username,
-                    avatar_url: this.currentProfile.avatar_url
-                }
-            });
+            // Try again the next time the tab is opened
+            if (!append) {
+                delete this.tabs[tabName];
+                container.innerHTML = '';
+            }
+        } finally {
+            state.isLoading = false;
         }
-        
-        return posts;
     }
 
-    // Render profile posts
-    renderProfilePosts(posts) {
-        const postsContainer = document.getElementById('profilePosts');
-        
-        if (!posts || posts.length === 0) {
-            postsContainer.innerHTML = `
+    renderEmptyTab(tabName, container) {
+        if (tabName === 'posts' && this.isOwnProfile) {
+            container.innerHTML = `
                 <div class="empty-state">
                     <h3>No posts yet</h3>
-                    <p>${this.isOwnProfile ? 'Share your first post!' : 'This user hasn\'t posted anything yet.'}</p>
-                    ${this.isOwnProfile ? '<button class="btn btn-primary mt-3" onclick="window.location.href=\'index.html\'">Create Post</button>' : ''}
+                    <p>Share your first post!</p>
+                    <button class="btn btn-primary mt-3" onclick="window.location.href='index.html'">Create Post</button>
                 </div>
             `;
             return;
         }
 
-        postsContainer.innerHTML = posts.map(post => `
-            <div class="profile-post" data-post-id="${post.id}">
+        const { title, message } = PROFILE_TABS[tabName].empty;
+        container.innerHTML = `
+            <div class="empty-state">
+                <h3>${title}</h3>
+                <p>${message}</p>
+            </div>
+        `;
+    }
+
+    // Render posts from any author as compact profile cards
+    renderPostList(container, posts, append = false) {
+        const html = posts.map(post => `
+            <div class="profile-post" data-post-id="${post.id}" onclick="window.location.href='thread.html?id=${post.id}'">
+                ${post.user && post.user.username !== this.currentProfile.username
+                    ? `<div class="reply-context">@${post.user.username}</div>`
+                    : ''}
+                ${post.reply_to?.user ? `<div class="reply-context">Replying to @${escapeHtml(post.reply_to.user.username)}</div>` : ''}
                 <div class="post-content">
-                    <p>${this.formatPostContent(post.content)}</p>
+                    <p>${formatPostContent(post.content, post.mentions)}</p>
                 </div>
+                ${this.renderThumbnails(post.media)}
                 <div class="post-stats">
-                    <span>❤️ ${post.likes_count}</span>
-                    <span>💬 ${post.comments_count}</span>
+                    <span class="${post.liked_by_me ? 'liked' : ''}">❤️ ${post.likes_count || 0}</span>
+                    <span>💬 ${post.replies_count || 0}</span>
                     <span class="post-time">${this.formatTimestamp(post.created_at)}</span>
                 </div>
             </div>
         `).join('');
+
+        if (append) {
+            container.insertAdjacentHTML('beforeend', html);
+        } else {
+            container.innerHTML = html;
+        }
+    }
+
+    // Small image strip for posts with pictures
+    renderThumbnails(media = []) {
+        if (media.length === 0) return '';
+
+        return `
+            <div class="profile-post-media">
+                ${media.map(item => `
+                    <img src="${item.thumbnail_url}" alt="${escapeHtml(item.alt_text || '')}" loading="lazy"
+                         style="background-image: url('${blurhashToDataUrl(item.blurhash)}')">
+                `).join('')}
+            </div>
+        `;
     }
 
     // Update profile action buttons
@@ -210,9 +299,17 @@ class ProfileManager {
             }
             if (messageButton) messageButton.style.display = 'none';
             if (moreActionsBtn) moreActionsBtn.style.display = 'none';
+            document.getElementById('blockUserBtn')?.classList.add('hidden');
+            document.getElementById('muteUserBtn')?.classList.add('hidden');
         } else {
             // Other user's profile
-            if (followButton) {
+            const { blocking, muting } = this.currentProfile;
+
+            if (followButton && blocking) {
+                followButton.textContent = 'Unblock';
+                followButton.classList.remove('following');
+                followButton.onclick = () => this.blockUser();
+            } else if (followButton) {
                 const isFollowing = this.currentProfile.is_following;
                 followButton.textContent = isFollowing ? 'Following' : 'Follow';
                 followButton.classList.toggle('following', isFollowing);
@@ -220,8 +317,12 @@ class ProfileManager {
             }
             
             if (messageButton) {
+                messageButton.style.display = blocking ? 'none' : '';
                 messageButton.onclick = () => this.startConversation();
             }
+
+            this.updateElement('blockUserBtn', blocking ? '🚫 Unblock User' : '🚫 Block User');
+            this.updateElement('muteUserBtn', muting ? '🔊 Unmute User' : '🔇 Mute User');
             
             if (moreActionsBtn) {
                 moreActionsBtn.onclick = (e) => this.toggleProfileDropdown(e);
@@ -257,8 +358,7 @@ class ProfileManager {
 
     // Start conversation with user
     startConversation() {
-        // TODO: Implement DM functionality
-        this.showMessage('Direct messaging coming soon!');
+        window.location.href = `dms.html?user=${encodeURIComponent(this.currentProfile.username)}`;
     }
 
     // Open edit profile modal
@@ -273,13 +373,70 @@ class ProfileManager {
         document.getElementById('editLocation').value = this.currentProfile.location || '';
         
         this.updateBioCharCounter();
+        this.clearFieldErrors();
         modal.classList.add('open');
+
+        this.croppers.avatar.showUrl(this.currentProfile.avatar_url || 'assets/icons/default-profile.png');
+        this.croppers.banner.showUrl(this.currentProfile.banner_url);
     }
 
     // Close edit profile modal
     closeEditModal() {
         const modal = document.getElementById('editProfileModal');
         modal.classList.remove('open');
+
+        // Drop any image picked but not saved
+        Object.values(this.croppers).forEach(cropper => cropper.reset());
+    }
+
+    // Start cropping an avatar or banner picked in the modal
+    async chooseImage(kind, file) {
+        const types = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+        this.clearFieldErrors();
+
+        if (!types.includes(file.type)) {
+            this.showFieldErrors([{ path: kind, msg: 'Choose a JPEG, PNG, WebP or GIF image' }]);
+            return;
+        }
+        if (file.size > 8 * 1024 * 1024) {
+            this.showFieldErrors([{ path: kind, msg: 'Images must be 8MB or smaller' }]);
+            return;
+        }
+
+        try {
+            await this.croppers[kind].load(file);
+        } catch (error) {
+            console.error('Error reading image:', error);
+            this.showFieldErrors([{ path: kind, msg: 'That image couldn\'t be read' }]);
+        }
+    }
+
+    // Upload a cropped avatar or banner; resolves to the saved user
+    async uploadImage(kind) {
+        const cropper = this.croppers[kind];
+        const formData = new FormData();
+        formData.append('image', cropper.file);
+        Object.entries(cropper.getCrop()).forEach(([key, value]) => formData.append(`crop_${key}`, value));
+
+        // Let the browser set the multipart boundary
+        const headers = auth.getAuthHeaders();
+        delete headers['Content-Type'];
+
+        const response = await fetch(`${API_BASE_URL}/users/profile/${kind}`, {
+            method: 'POST',
+            headers,
+            body: formData
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            const error = new Error(data.error || `Failed to upload ${kind}`);
+            error.field = kind;
+            throw error;
+        }
+
+        return data;
     }
 
     // Save profile changes
@@ -291,36 +448,88 @@ class ProfileManager {
             location: document.getElementById('editLocation').value.trim()
         };
 
+        const saveButton = document.getElementById('saveProfileBtn');
+        saveButton.disabled = true;
+        this.clearFieldErrors();
+
         try {
-            // TODO: Implement actual API call
-            // const response = await fetch(`${API_BASE_URL}/users/profile`, {
-            //     method: 'PUT',
-            //     headers: auth.getAuthHeaders(),
-            //     body: JSON.stringify(formData)
-            // });
-            
-            // Update local profile data
-            Object.assign(this.currentProfile, formData);
+            // New images first, so a rejected one keeps the modal open
+            for (const kind of ['avatar', 'banner']) {
+                if (this.croppers[kind].file) {
+                    Object.assign(this.currentProfile, await this.uploadImage(kind));
+                    this.croppers[kind].reset();
+                }
+            }
+
+            const response = await fetch(`${API_BASE_URL}/users/profile`, {
+                method: 'PUT',
+                headers: auth.getAuthHeaders(),
+                body: JSON.stringify(formData)
+            });
+
+            const data = await response.json();
+
+            if (response.status === 400 && data.errors) {
+                this.showFieldErrors(data.errors);
+                return;
+            }
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to update profile');
+            }
+
+            // Keep the counts, which the update doesn't return
+            Object.assign(this.currentProfile, data);
             
             // Update UI
             this.renderProfile();
             this.closeEditModal();
             
             // Update global user data
-            const currentUser = getCurrentUser();
-            if (currentUser) {
-                Object.assign(currentUser, formData);
-                auth.setCurrentUser(currentUser);
-            }
+            auth.setCurrentUser({ ...getCurrentUser(), ...data });
             
             this.showSuccess('Profile updated!');
             
         } catch (error) {
             console.error('Error saving profile:', error);
-            this.showError('Failed to update profile');
+            if (error.field) {
+                this.showFieldErrors([{ path: error.field, msg: error.message }]);
+            } else {
+                this.showError(error.message || 'Failed to update profile');
+            }
+        } finally {
+            saveButton.disabled = false;
         }
     }
 
+    // Show validation errors from the server under their inputs
+    showFieldErrors(errors) {
+        const inputs = {
+            display_name: 'editDisplayName',
+            bio: 'editBio',
+            website: 'editWebsite',
+            location: 'editLocation',
+            avatar: 'avatarCropFrame',
+            banner: 'bannerCropFrame'
+        };
+
+        errors.forEach(({ path, msg }) => {
+            const input = document.getElementById(inputs[path]);
+            if (!input || input.classList.contains('invalid')) return;
+
+            input.classList.add('invalid');
+            const message = document.createElement('div');
+            message.className = 'field-error';
+            message.textContent = msg;
+            input.closest('.form-group').appendChild(message);
+        });
+    }
+
+    clearFieldErrors() {
+        document.querySelectorAll('#editProfileForm .field-error').forEach(message => message.remove());
+        document.querySelectorAll('#editProfileForm .invalid').forEach(input => input.classList.remove('invalid'));
+    }
+
     // Tab management
     switchTab(tabName) {
         this.currentTab = tabName;
@@ -335,10 +544,8 @@ class ProfileManager {
             pane.classList.toggle('active', pane.id === `${tabName}Tab`);
         });
         
-        // Load tab content if needed
-        if (tabName === 'posts') {
-            this.loadProfilePosts();
-        }
+        // Load tab content the first time it's opened
+        this.loadTab(tabName);
     }
 
     // Event listeners
@@ -355,6 +562,16 @@ class ProfileManager {
         document.getElementById('cancelEditBtn')?.addEventListener('click', () => this.closeEditModal());
         document.getElementById('saveProfileBtn')?.addEventListener('click', () => this.saveProfile());
 
+        // Avatar and banner pickers
+        ['avatar', 'banner'].forEach(kind => {
+            document.getElementById(`${kind}Input`)?.addEventListener('change', (e) => {
+                const [file] = e.target.files;
+                if (file) this.chooseImage(kind, file);
+                // Picking the same file again should still fire
+                e.target.value = '';
+            });
+        });
+
         // Bio character counter
         document.getElementById('editBio')?.addEventListener('input', () => this.updateBioCharCounter());
 
@@ -365,6 +582,7 @@ class ProfileManager {
         document.getElementById('shareProfileBtn')?.addEventListener('click', () => this.shareProfile());
         document.getElementById('reportProfileBtn')?.addEventListener('click', () => this.reportProfile());
         document.getElementById('blockUserBtn')?.addEventListener('click', () => this.blockUser());
+        document.getElementById('muteUserBtn')?.addEventListener('click', () => this.muteUser());
 
         // Close dropdown when clicking outside
         document.addEventListener('click', (e) => {
@@ -373,6 +591,16 @@ class ProfileManager {
             }
         });
 
+        // Load the open tab's next page near the bottom
+        window.addEventListener('scroll', () => {
+            const distanceFromBottom = document.documentElement.scrollHeight -
+                (window.scrollY + window.innerHeight);
+
+            if (distanceFromBottom < 600 && this.tabs[this.currentTab]?.nextCursor) {
+                this.loadTab(this.currentTab, true);
+            }
+        }, { passive: true });
+
         // Stats clicks
         document.querySelectorAll('.stat').forEach(stat => {
             stat.addEventListener('click', () => {
@@ -411,20 +639,71 @@ class ProfileManager {
     }
 
     reportProfile() {
-        if (confirm(`Report @${this.currentProfile.username} for violating community guidelines?`)) {
-            // TODO: Implement reporting
-            this.showMessage('Report submitted. Thank you for helping keep the community safe.');
-        }
         this.closeProfileDropdown();
+        reportDialog.open('user', this.currentProfile.id, `@${this.currentProfile.username}`);
     }
 
-    blockUser() {
-        if (confirm(`Block @${this.currentProfile.username}? You won't see their posts and they won't be able to follow or message you.`)) {
-            // TODO: Implement blocking
-            this.showSuccess('User blocked');
-            window.history.back();
+    // Block the user, or unblock them if they're blocked
+    async blockUser() {
+        this.closeProfileDropdown();
+
+        const { username, blocking } = this.currentProfile;
+
+        if (!blocking && !confirm(`Block @${username}? You won't see their posts and they won't be able to follow or message you.`)) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`${API_BASE_URL}/users/${encodeURIComponent(username)}/block`, {
+                method: blocking ? 'DELETE' : 'POST',
+                headers: auth.getAuthHeaders()
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to update block');
+            }
+
+            // Blocking ends follows both ways, so reload the counts and tabs too
+            this.tabs = {};
+            await this.loadUserProfile(username);
+            this.showSuccess(data.blocking ? `Blocked @${username}` : `Unblocked @${username}`);
+
+        } catch (error) {
+            console.error('Error updating block:', error);
+            this.showError(error.message || 'Failed to update block');
         }
+    }
+
+    // Mute the user, or unmute them if they're muted
+    async muteUser() {
         this.closeProfileDropdown();
+
+        const { username, muting } = this.currentProfile;
+
+        try {
+            const response = await fetch(`${API_BASE_URL}/users/${encodeURIComponent(username)}/mute`, {
+                method: muting ? 'DELETE' : 'POST',
+                headers: auth.getAuthHeaders()
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to update mute');
+            }
+
+            this.currentProfile.muting = data.muting;
+            this.updateProfileActions();
+            this.showSuccess(data.muting
+                ? `Muted @${username}. Their posts won't show in your timelines.`
+                : `Unmuted @${username}`);
+
+        } catch (error) {
+            console.error('Error updating mute:', error);
+            this.showError(error.message || 'Failed to update mute');
+        }
     }
 
     // Utility methods
@@ -484,22 +763,6 @@ class ProfileManager {
         return postDate.toLocaleDateString();
     }
 
-    formatPostContent(content) {
-        // Basic formatting similar to feed.js
-        if (!content) return '';
-        
-        let formatted = content
-            .replace(/&/g, "&amp;")
-            .replace(/</g, "&lt;")
-            .replace(/>/g, "&gt;");
-        
-        formatted = formatted.replace(/(https?:\/\/[^\s]+)/g, '<a href="$1" target="_blank" rel="noopener">$1</a>');
-        formatted = formatted.replace(/#(\w+)/g, '<span class="hashtag">#$1</span>');
-        formatted = formatted.replace(/@(\w+)/g, '<span class="mention">@$1</span>');
-        
-        return formatted;
-    }
-
     updateBioCharCounter() {
         const bioInput = document.getElementById('editBio');
         const charCounter = document.getElementById('bioCharCounter');
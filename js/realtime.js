@@ -0,0 +1,133 @@
+// Real-time updates
+//
+// Reads the server's event stream (GET /api/events). fetch is used instead of
+// EventSource so the JWT travels in the Authorization header rather than the
+// URL. After a drop it reconnects with the id of the last event seen, and the
+// server replays whatever was missed.
+class RealtimeClient {
+    constructor() {
+        this.handlers = {};
+        this.lastEventId = null;
+        this.controller = null;
+        this.retryDelay = 1000;
+        this.maxRetryDelay = 30000;
+        this.reconnectTimer = null;
+    }
+
+    // Listen for an event type: post.created, post.likes, notification,
+    // message, or reset (missed events are gone, reload what's shown)
+    on(type, handler) {
+        (this.handlers[type] = this.handlers[type] || []).push(handler);
+    }
+
+    emit(type, data) {
+        (this.handlers[type] || []).forEach(handler => {
+            try {
+                handler(data);
+            } catch (error) {
+                console.error(`Error handling ${type} event:`, error);
+            }
+        });
+    }
+
+    async connect() {
+        if (this.controller || !auth.isAuthenticated()) return;
+
+        this.controller = new AbortController();
+        const headers = auth.getAuthHeaders();
+        if (this.lastEventId) {
+            headers['Last-Event-ID'] = this.lastEventId;
+        }
+
+        try {
+            const response = await fetch(`${API_BASE_URL}/events`, {
+                headers,
+                signal: this.controller.signal
+            });
+
+            // Signed out or token expired: don't keep retrying
+            if (response.status === 401 || response.status === 403) {
+                this.controller = null;
+                return;
+            }
+
+            if (!response.ok || !response.body) {
+                throw new Error(`Event stream failed (${response.status})`);
+            }
+
+            this.retryDelay = 1000;
+            await this.readStream(response.body);
+
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error('Event stream error:', error);
+        }
+
+        this.controller = null;
+        this.scheduleReconnect();
+    }
+
+    disconnect() {
+        clearTimeout(this.reconnectTimer);
+        this.controller?.abort();
+        this.controller = null;
+    }
+
+    // Back off exponentially, with jitter so clients don't reconnect in step
+    scheduleReconnect() {
+        clearTimeout(this.reconnectTimer);
+        const delay = this.retryDelay * (0.5 + Math.random() / 2);
+        this.retryDelay = Math.min(this.retryDelay * 2, this.maxRetryDelay);
+        this.reconnectTimer = setTimeout(() => this.connect(), delay);
+    }
+
+    // Parse "id:", "event:" and "data:" lines; a blank line ends an event
+    async readStream(body) {
+        const reader = body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) return;
+
+            buffer += decoder.decode(value, { stream: true });
+
+            let boundary;
+            while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                const block = buffer.slice(0, boundary);
+                buffer = buffer.slice(boundary + 2);
+                this.handleBlock(block);
+            }
+        }
+    }
+
+    handleBlock(block) {
+        let id = null;
+        let type = 'message';
+        const data = [];
+
+        block.split('\n').forEach(line => {
+            if (line.startsWith(':')) return; // keep-alive comment
+            const separator = line.indexOf(':');
+            const field = separator === -1 ? line : line.slice(0, separator);
+            const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+
+            if (field === 'id') id = value;
+            else if (field === 'event') type = value;
+            else if (field === 'data') data.push(value);
+        });
+
+        if (id) this.lastEventId = id;
+        if (data.length === 0) return;
+
+        try {
+            this.emit(type, JSON.parse(data.join('\n')));
+        } catch (error) {
+            console.error('Malformed event:', error);
+        }
+    }
+}
+
+// Shared connection, opened by the app once the user is signed in
+const realtime = new RealtimeClient();
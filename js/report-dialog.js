@@ -0,0 +1,218 @@
+// Report Dialog
+// Asks why a post, profile or message is being reported (a category from the
+// server's list, plus optional details) and files the report.
+class ReportDialog {
+    constructor() {
+        this.element = null;
+        this.categories = null;
+        this.maxDetailsLength = 500;
+        this.target = null;
+        this.isSubmitting = false;
+    }
+
+    // Open the dialog for `targetType` ('post', 'user' or 'message'), naming
+    // it `subject` in the title (e.g. "@alice" or "this post")
+    async open(targetType, targetId, subject) {
+        if (!auth.isAuthenticated()) {
+            window.location.href = 'login.html';
+            return;
+        }
+
+        if (!this.element) {
+            this.create();
+        }
+
+        this.target = { type: targetType, id: targetId };
+        this.element.querySelector('.report-title').textContent = `Report ${subject}`;
+        this.showForm();
+        this.element.classList.add('open');
+
+        try {
+            await this.loadCategories();
+            this.renderCategories();
+        } catch (error) {
+            console.error('Error loading report categories:', error);
+            this.showStatus('Couldn\'t load report reasons. Please try again.');
+        }
+    }
+
+    create() {
+        const element = document.createElement('div');
+        element.className = 'modal report-dialog';
+        element.innerHTML = `
+            <div class="modal-content" role="dialog" aria-modal="true">
+                <div class="modal-header">
+                    <h3 class="report-title">Report</h3>
+                    <button class="close-modal" aria-label="Close">×</button>
+                </div>
+                <form class="report-form">
+                    <div class="modal-body">
+                        <p>What's wrong?</p>
+                        <div class="report-categories"></div>
+                        <textarea class="input report-details" name="details" placeholder="Add details (optional)"></textarea>
+                        <div class="status-message status-error report-status hidden"></div>
+                    </div>
+                    <div class="modal-footer">
+                        <button type="button" class="btn btn-secondary report-cancel">Cancel</button>
+                        <button type="submit" class="btn btn-primary report-submit" disabled>Report</button>
+                    </div>
+                </form>
+                <div class="modal-body report-done hidden">
+                    <p class="report-done-message"></p>
+                    <button type="button" class="btn btn-primary report-close">Done</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(element);
+
+        element.querySelector('.close-modal').addEventListener('click', () => this.close());
+        element.querySelector('.report-cancel').addEventListener('click', () => this.close());
+        element.querySelector('.report-close').addEventListener('click', () => this.close());
+        element.querySelector('.report-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submit();
+        });
+        element.querySelector('.report-categories').addEventListener('change', () => this.updateForm());
+
+        // Clicking the backdrop closes it
+        element.addEventListener('click', (e) => {
+            if (e.target === element) this.close();
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && element.classList.contains('open')) this.close();
+        });
+
+        this.element = element;
+    }
+
+    // The category list only changes with a deploy, so it's fetched once
+    async loadCategories() {
+        if (this.categories) return;
+
+        const response = await fetch(`${API_BASE_URL}/reports/categories`);
+
+        if (!response.ok) {
+            throw new Error('Failed to load report categories');
+        }
+
+        const { categories, max_details_length } = await response.json();
+        this.categories = categories;
+        this.maxDetailsLength = max_details_length;
+    }
+
+    renderCategories() {
+        const container = this.element.querySelector('.report-categories');
+        container.innerHTML = '';
+
+        this.categories.forEach(category => {
+            const option = document.createElement('label');
+            option.className = 'report-category';
+            option.innerHTML = `
+                <input type="radio" name="category">
+                <span>
+                    <strong></strong>
+                    <span class="report-category-description"></span>
+                </span>
+            `;
+            option.querySelector('input').value = category.id;
+            option.querySelector('strong').textContent = category.label;
+            option.querySelector('.report-category-description').textContent = category.description;
+            container.appendChild(option);
+        });
+
+        this.element.querySelector('.report-details').maxLength = this.maxDetailsLength;
+    }
+
+    showForm() {
+        const form = this.element.querySelector('.report-form');
+        form.reset();
+        form.classList.remove('hidden');
+        this.element.querySelector('.report-done').classList.add('hidden');
+        this.hideStatus();
+        this.updateForm();
+    }
+
+    // Details are required for "Something else"
+    updateForm() {
+        const category = this.selectedCategory();
+        const details = this.element.querySelector('.report-details');
+
+        details.placeholder = category === 'other' ? 'Tell us what\'s wrong' : 'Add details (optional)';
+        this.element.querySelector('.report-submit').disabled = !category || this.isSubmitting;
+    }
+
+    selectedCategory() {
+        return this.element.querySelector('input[name="category"]:checked')?.value || null;
+    }
+
+    async submit() {
+        const category = this.selectedCategory();
+        const details = this.element.querySelector('.report-details').value.trim();
+
+        if (!category || this.isSubmitting) return;
+
+        if (category === 'other' && !details) {
+            this.showStatus('Tell us what\'s wrong');
+            return;
+        }
+
+        this.isSubmitting = true;
+        this.updateForm();
+        this.hideStatus();
+
+        try {
+            const response = await fetch(`${API_BASE_URL}/reports`, {
+                method: 'POST',
+                headers: auth.getAuthHeaders(),
+                body: JSON.stringify({
+                    target_type: this.target.type,
+                    target_id: this.target.id,
+                    category,
+                    details: details || null
+                })
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || data.errors?.[0]?.msg || 'Failed to send report');
+            }
+
+            this.showDone(data.already_reported
+                ? 'You\'ve already reported this. Our moderators will review it.'
+                : 'Thanks for letting us know. Our moderators will review your report.');
+
+        } catch (error) {
+            console.error('Error sending report:', error);
+            this.showStatus(error.message || 'Failed to send report');
+        } finally {
+            this.isSubmitting = false;
+            this.updateForm();
+        }
+    }
+
+    showDone(message) {
+        this.element.querySelector('.report-form').classList.add('hidden');
+        this.element.querySelector('.report-done-message').textContent = message;
+        this.element.querySelector('.report-done').classList.remove('hidden');
+    }
+
+    showStatus(message) {
+        const status = this.element.querySelector('.report-status');
+        status.textContent = message;
+        status.classList.remove('hidden');
+    }
+
+    hideStatus() {
+        this.element.querySelector('.report-status').classList.add('hidden');
+    }
+
+    close() {
+        this.element.classList.remove('open');
+        this.target = null;
+    }
+}
+
+// Initialize report dialog
+const reportDialog = new ReportDialog();
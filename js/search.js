@@ -0,0 +1,246 @@
+// Search
+class SearchManager {
+    constructor() {
+        this.query = '';
+        this.type = 'posts';
+        this.results = [];
+        this.nextCursor = null;
+        this.isLoading = false;
+        this.searchId = 0;
+        this.typeaheadTimer = null;
+        this.typeaheadRequest = 0;
+    }
+
+    initialize() {
+        const params = new URLSearchParams(window.location.search);
+        const input = document.getElementById('searchInput');
+
+        document.getElementById('searchForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.search(input.value);
+        });
+
+        input.addEventListener('input', () => this.scheduleTypeahead(input.value));
+        input.addEventListener('blur', () => {
+            // Let a click on a suggestion land first
+            setTimeout(() => this.hideTypeahead(), 150);
+        });
+
+        document.querySelectorAll('#searchTabs .collection-tab').forEach(tab => {
+            tab.addEventListener('click', () => this.setType(tab.dataset.type));
+        });
+
+        this.setupInfiniteScroll();
+
+        // Deep links: search.html?q=...&type=...
+        if (params.get('type')) {
+            this.setType(params.get('type'), false);
+        }
+        if (params.get('q')) {
+            input.value = params.get('q');
+            this.search(params.get('q'));
+        }
+    }
+
+    setType(type, rerun = true) {
+        if (!['posts', 'users', 'hashtags'].includes(type)) return;
+
+        this.type = type;
+        document.querySelectorAll('#searchTabs .collection-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.type === type);
+        });
+
+        if (rerun && this.query) {
+            this.search(this.query);
+        }
+    }
+
+    // Run a search from the first page
+    async search(query) {
+        this.query = query.trim();
+        this.results = [];
+        this.nextCursor = null;
+        this.searchId += 1;
+        this.isLoading = false;
+        this.hideTypeahead();
+
+        if (!this.query) return;
+
+        history.replaceState(null, '', `search.html?${new URLSearchParams({ q: this.query, type: this.type })}`);
+        document.getElementById('searchResults').innerHTML = '<div class="loading-indicator">Searching...</div>';
+
+        await this.loadResults();
+    }
+
+    async loadResults() {
+        if (this.isLoading) return;
+        this.isLoading = true;
+
+        const searchId = this.searchId;
+
+        try {
+            const page = await this.fetchResults(this.query, this.type, { before: this.nextCursor });
+
+            // A newer search started while this one was in flight
+            if (searchId !== this.searchId) return;
+
+            this.results.push(...page.results);
+            this.nextCursor = page.next_cursor;
+            this.renderResults(page.results, this.results.length === page.results.length);
+
+        } catch (error) {
+            console.error('Error searching:', error);
+            feedManager.showError('Search failed. Please try again.');
+        } finally {
+            if (searchId === this.searchId) {
+                this.isLoading = false;
+            }
+        }
+    }
+
+    async fetchResults(q, type, { before = null, limit = null } = {}) {
+        const params = new URLSearchParams({ q, type });
+        if (before) params.set('before', before);
+        if (limit) params.set('limit', limit);
+
+        const response = await fetch(`${API_BASE_URL}/search?${params}`, {
+            headers: auth.getAuthHeaders()
+        });
+
+        if (!response.ok) {
+            throw new Error('Search failed');
+        }
+
+        return response.json();
+    }
+
+    // Render a page of results, replacing the list on the first page
+    renderResults(results, firstPage) {
+        const container = document.getElementById('searchResults');
+
+        if (firstPage) {
+            container.innerHTML = '';
+
+            if (results.length === 0) {
+                container.innerHTML = `
+                    <div class="empty-state">
+                        <h3>No results for "${escapeHtml(this.query)}"</h3>
+                        <p>Try different words, or another tab.</p>
+                    </div>
+                `;
+                return;
+            }
+        }
+
+        results.forEach(result => {
+            if (this.type === 'posts') {
+                container.appendChild(feedManager.createPostElement(result));
+            } else if (this.type === 'users') {
+                container.insertAdjacentHTML('beforeend', this.renderUser(result));
+            } else {
+                container.insertAdjacentHTML('beforeend', this.renderHashtag(result));
+            }
+        });
+    }
+
+    renderUser(user) {
+        return `
+            <a class="search-result user-result" href="profile.html?user=${encodeURIComponent(user.username)}">
+                <img src="${user.avatar_url || 'assets/icons/default-profile.png'}" alt="" class="post-user-avatar"
+                     onerror="this.src='assets/icons/default-profile.png'">
+                <div class="post-user-info">
+                    <div class="post-display-name">${escapeHtml(user.display_name || user.username)}${user.is_verified ? ' ✓' : ''}</div>
+                    <div class="post-username">@${user.username}</div>
+                    ${user.bio ? `<div class="user-result-bio">${escapeHtml(user.bio)}</div>` : ''}
+                </div>
+            </a>
+        `;
+    }
+
+    renderHashtag(hashtag) {
+        return `
+            <a class="search-result hashtag-result" href="hashtag.html?tag=${encodeURIComponent(hashtag.tag)}">
+                <div class="post-display-name">#${escapeHtml(hashtag.tag)}</div>
+                <div class="post-username">${hashtag.posts_count} post${hashtag.posts_count === 1 ? '' : 's'}</div>
+            </a>
+        `;
+    }
+
+    // ============ TYPEAHEAD ============
+
+    scheduleTypeahead(value) {
+        clearTimeout(this.typeaheadTimer);
+        this.typeaheadTimer = setTimeout(() => this.loadTypeahead(value.trim()), 200);
+    }
+
+    // Suggest people for plain text and @names, tags for #names
+    async loadTypeahead(value) {
+        if (!value || value.includes(' ') || value.includes(':')) {
+            this.hideTypeahead();
+            return;
+        }
+
+        const type = value.startsWith('#') ? 'hashtags' : 'users';
+        const request = ++this.typeaheadRequest;
+
+        try {
+            const { results } = await this.fetchResults(value, type, { limit: 5 });
+
+            // Only the latest keystroke's suggestions are shown
+            if (request !== this.typeaheadRequest) return;
+
+            this.renderTypeahead(results, type);
+
+        } catch (error) {
+            console.error('Error loading suggestions:', error);
+            this.hideTypeahead();
+        }
+    }
+
+    renderTypeahead(results, type) {
+        const typeahead = document.getElementById('typeahead');
+
+        if (results.length === 0) {
+            this.hideTypeahead();
+            return;
+        }
+
+        typeahead.innerHTML = results.map(result => type === 'users'
+            ? `<a class="typeahead-item" href="profile.html?user=${encodeURIComponent(result.username)}">
+                   <strong>${escapeHtml(result.display_name || result.username)}</strong>
+                   <span class="post-username">@${result.username}</span>
+               </a>`
+            : `<a class="typeahead-item" href="hashtag.html?tag=${encodeURIComponent(result.tag)}">
+                   <strong>#${escapeHtml(result.tag)}</strong>
+                   <span class="post-username">${result.posts_count} posts</span>
+               </a>`
+        ).join('');
+
+        typeahead.classList.remove('hidden');
+    }
+
+    hideTypeahead() {
+        document.getElementById('typeahead')?.classList.add('hidden');
+    }
+
+    // Infinite scroll
+    setupInfiniteScroll() {
+        window.addEventListener('scroll', () => {
+            const distanceFromBottom = document.documentElement.scrollHeight -
+                (window.scrollY + window.innerHeight);
+
+            if (distanceFromBottom < 600 && this.nextCursor) {
+                this.loadResults();
+            }
+        }, { passive: true });
+    }
+}
+
+// Initialize search manager
+const searchManager = new SearchManager();
+
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.getElementById('searchResults')) {
+        searchManager.initialize();
+    }
+});
@@ -0,0 +1,99 @@
+// Signed-in sessions
+class SessionsManager {
+    constructor() {
+        this.sessions = [];
+    }
+
+    initialize() {
+        document.getElementById('logoutAllBtn').addEventListener('click', () => this.logoutAll());
+
+        this.loadSessions();
+    }
+
+    async loadSessions() {
+        try {
+            const response = await fetch(`${API_BASE_URL}/sessions`, {
+                headers: auth.getAuthHeaders()
+            });
+
+            if (!response.ok) {
+                throw new Error('Failed to load sessions');
+            }
+
+            const { sessions } = await response.json();
+            this.sessions = sessions;
+            this.renderSessions();
+
+        } catch (error) {
+            console.error('Error loading sessions:', error);
+            feedManager.showError('Failed to load sessions');
+        }
+    }
+
+    renderSessions() {
+        const container = document.getElementById('sessionList');
+
+        container.innerHTML = this.sessions.map(session => `
+            <div class="search-result session-result" data-session-id="${session.id}">
+                <div class="post-user-info">
+                    <div class="post-display-name">
+                        ${escapeHtml(session.device)}
+                        ${session.current ? '<span class="current-session">This device</span>' : ''}
+                    </div>
+                    <div class="post-username">
+                        ${escapeHtml(session.ip || 'Unknown IP')} · Last seen ${feedManager.formatTimestamp(session.last_seen_at)}
+                    </div>
+                </div>
+                <button class="btn btn-secondary btn-sm account-undo">Log out</button>
+            </div>
+        `).join('');
+
+        container.querySelectorAll('.session-result').forEach(item => {
+            item.querySelector('.account-undo').addEventListener('click', () => this.endSession(item.dataset.sessionId));
+        });
+    }
+
+    // Log out one session; logging out this one signs you out here too
+    async endSession(sessionId) {
+        const session = this.sessions.find(s => s.id === sessionId);
+        if (session?.current) {
+            auth.logout();
+            return;
+        }
+
+        try {
+            const response = await fetch(`${API_BASE_URL}/sessions/${sessionId}`, {
+                method: 'DELETE',
+                headers: auth.getAuthHeaders()
+            });
+
+            if (!response.ok) {
+                const data = await response.json();
+                throw new Error(data.error || 'Failed to log out session');
+            }
+
+            this.sessions = this.sessions.filter(s => s.id !== sessionId);
+            this.renderSessions();
+            feedManager.showSuccess('Session logged out');
+
+        } catch (error) {
+            console.error('Error ending session:', error);
+            feedManager.showError(error.message || 'Failed to log out session');
+        }
+    }
+
+    logoutAll() {
+        if (confirm('Log out of every device, including this one?')) {
+            auth.logout({ everywhere: true });
+        }
+    }
+}
+
+// Initialize sessions manager
+const sessionsManager = new SessionsManager();
+
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.getElementById('sessionList')) {
+        sessionsManager.initialize();
+    }
+});
@@ -0,0 +1,115 @@
+// Thread View
+class ThreadManager {
+    constructor() {
+        this.postId = new URLSearchParams(window.location.search).get('id');
+        this.thread = null;
+    }
+
+    async initialize() {
+        if (!this.postId) {
+            this.showNotFound();
+            return;
+        }
+
+        // Re-render the conversation whenever a reply is posted from this page
+        feedManager.onReplyCreated = () => this.loadThread();
+
+        await this.loadThread();
+    }
+
+    // Load the post with its ancestors and replies
+    async loadThread() {
+        try {
+            const response = await fetch(`${API_BASE_URL}/posts/${this.postId}/thread`);
+
+            if (response.status === 404) {
+                this.showNotFound();
+                return;
+            }
+
+            if (!response.ok) {
+                throw new Error('Failed to load thread');
+            }
+
+            this.thread = await response.json();
+            this.renderThread();
+
+        } catch (error) {
+            console.error('Error loading thread:', error);
+            feedManager.showError('Failed to load conversation. Please try again.');
+        }
+    }
+
+    renderThread() {
+        const container = document.getElementById('threadContainer');
+        const { post, ancestors, replies } = this.thread;
+
+        container.innerHTML = '';
+
+        // Everything above the focused post, root first
+        const ancestorList = document.createElement('div');
+        ancestorList.className = 'thread-ancestors';
+        ancestors.forEach(ancestor => {
+            ancestorList.appendChild(feedManager.createPostElement(ancestor));
+        });
+        container.appendChild(ancestorList);
+
+        const focused = feedManager.createPostElement(post);
+        focused.classList.add('focused');
+        container.appendChild(focused);
+
+        if (getCurrentUser()) {
+            feedManager.handleComment(post.id);
+        }
+
+        document.title = `${post.user?.display_name || 'Thread'} - Social Platform`;
+
+        if (replies.length === 0) {
+            container.insertAdjacentHTML('beforeend', `
+                <div class="empty-state">
+                    <h3>No replies yet</h3>
+                    <p>Start the conversation.</p>
+                </div>
+            `);
+            return;
+        }
+
+        const replyList = document.createElement('div');
+        replyList.className = 'thread-reply-list';
+        this.renderReplies(replies, replyList);
+        container.appendChild(replyList);
+    }
+
+    // Render replies depth-first, indenting each level
+    renderReplies(replies, parent) {
+        replies.forEach(reply => {
+            parent.appendChild(feedManager.createPostElement(reply));
+
+            if (reply.replies?.length > 0) {
+                const nested = document.createElement('div');
+                nested.className = 'thread-replies';
+                this.renderReplies(reply.replies, nested);
+                parent.appendChild(nested);
+            }
+        });
+    }
+
+    showNotFound() {
+        const container = document.getElementById('threadContainer');
+        container.innerHTML = `
+            <div class="empty-state">
+                <h3>Post not found</h3>
+                <p>This post may have been deleted.</p>
+            </div>
+        `;
+    }
+}
+
+// Initialize thread manager
+const threadManager = new ThreadManager();
+
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.getElementById('threadContainer')) {
+        threadManager.initialize();
+    }
+});
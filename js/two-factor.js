@@ -0,0 +1,205 @@
+// Two-factor authentication settings
+class TwoFactorManager {
+    constructor() {
+        this.status = null;
+        this.panel = null;
+    }
+
+    initialize() {
+        this.panel = document.getElementById('twoFactorPanel');
+        this.loadStatus();
+    }
+
+    async loadStatus() {
+        try {
+            const response = await fetch(`${API_BASE_URL}/auth/2fa`, {
+                headers: auth.getAuthHeaders()
+            });
+
+            if (!response.ok) {
+                throw new Error('Failed to load two-factor settings');
+            }
+
+            this.status = await response.json();
+            this.render();
+
+        } catch (error) {
+            console.error('Error loading two-factor status:', error);
+            feedManager.showError('Failed to load two-factor settings');
+        }
+    }
+
+    render() {
+        if (this.status.enabled) {
+            this.renderEnabled();
+        } else {
+            this.renderDisabled();
+        }
+    }
+
+    renderDisabled() {
+        this.panel.innerHTML = `
+            <section class="two-factor-section">
+                <h2>Two-factor authentication is off</h2>
+                <p>You'll need an authenticator app, such as Google Authenticator, Authy or 1Password.</p>
+                <button class="btn btn-primary" id="startSetupBtn">Set up</button>
+            </section>
+        `;
+
+        this.panel.querySelector('#startSetupBtn').addEventListener('click', (e) => this.startSetup(e.target));
+    }
+
+    async startSetup(button) {
+        button.disabled = true;
+
+        try {
+            const setup = await auth.postAccountRequest('2fa/setup', {}, 'Failed to start two-factor setup');
+            this.renderSetup(setup);
+
+        } catch (error) {
+            console.error('Error starting two-factor setup:', error);
+            feedManager.showError(error.message);
+            button.disabled = false;
+        }
+    }
+
+    // The QR code and key for the app, and a form to confirm with its code
+    renderSetup({ secret, otpauth_uri, qr_code }) {
+        this.panel.innerHTML = `
+            <section class="two-factor-section">
+                <h2>Add your account to the app</h2>
+                <p>Scan this QR code with your authenticator app, or enter the key instead.</p>
+                <img class="two-factor-qr" alt="QR code for your authenticator app">
+                <a class="two-factor-secret"></a>
+                <form class="two-factor-form" id="enableForm">
+                    <label for="enableCode">Enter the 6-digit code the app shows</label>
+                    <input class="input" id="enableCode" name="code" inputmode="numeric" autocomplete="one-time-code"
+                           maxlength="6" placeholder="123456" required>
+                    <button type="submit" class="btn btn-primary">Turn on</button>
+                </form>
+            </section>
+        `;
+
+        this.panel.querySelector('.two-factor-qr').src = qr_code;
+
+        // Grouped in fours so it's easier to type; on a phone the link opens the app
+        const link = this.panel.querySelector('.two-factor-secret');
+        link.href = otpauth_uri;
+        link.textContent = secret.match(/.{1,4}/g).join(' ');
+
+        this.bindForm('enableForm', async ({ code }) => {
+            const { recovery_codes } = await auth.postAccountRequest('2fa/enable', { code }, 'Failed to turn on two-factor authentication');
+            feedManager.showSuccess('Two-factor authentication is on');
+            this.renderRecoveryCodes(recovery_codes);
+        });
+
+        this.panel.querySelector('#enableCode').focus();
+    }
+
+    // New recovery codes, shown once
+    renderRecoveryCodes(codes) {
+        this.panel.innerHTML = `
+            <section class="two-factor-section">
+                <h2>Save your recovery codes</h2>
+                <p>If you lose your phone, each of these codes lets you log in once. Keep them somewhere safe; they won't be shown again.</p>
+                <ul class="recovery-codes"></ul>
+                <button class="btn btn-secondary" id="copyCodesBtn">Copy codes</button>
+                <button class="btn btn-primary" id="savedCodesBtn">I've saved them</button>
+            </section>
+        `;
+
+        const list = this.panel.querySelector('.recovery-codes');
+        codes.forEach(code => {
+            const item = document.createElement('li');
+            item.textContent = code;
+            list.appendChild(item);
+        });
+
+        this.panel.querySelector('#copyCodesBtn').addEventListener('click', async () => {
+            try {
+                await navigator.clipboard.writeText(codes.join('\n'));
+                feedManager.showSuccess('Recovery codes copied');
+            } catch (error) {
+                console.error('Error copying recovery codes:', error);
+                feedManager.showError('Couldn\'t copy the codes. Please write them down.');
+            }
+        });
+
+        this.panel.querySelector('#savedCodesBtn').addEventListener('click', () => this.loadStatus());
+    }
+
+    renderEnabled() {
+        const { enabled_at, recovery_codes_left } = this.status;
+
+        this.panel.innerHTML = `
+            <section class="two-factor-section">
+                <h2>Two-factor authentication is on</h2>
+                <p>Turned on ${new Date(enabled_at).toLocaleDateString()}. You have ${recovery_codes_left} recovery ${recovery_codes_left === 1 ? 'code' : 'codes'} left.</p>
+            </section>
+
+            <form class="two-factor-section" id="regenerateForm">
+                <h2>New recovery codes</h2>
+                <p>Your old codes will stop working.</p>
+                <input class="input" name="code" autocomplete="one-time-code"
+                       placeholder="Code from your app, or a recovery code" required>
+                <button type="submit" class="btn btn-secondary">Get new codes</button>
+            </form>
+
+            <form class="two-factor-section" id="disableForm">
+                <h2>Turn off two-factor</h2>
+                <input class="input" type="password" name="password" autocomplete="current-password"
+                       placeholder="Password" required>
+                <input class="input" name="code" autocomplete="one-time-code"
+                       placeholder="Code from your app, or a recovery code" required>
+                <button type="submit" class="btn btn-secondary">Turn off</button>
+            </form>
+        `;
+
+        this.bindForm('regenerateForm', async ({ code }) => {
+            const { recovery_codes } = await auth.postAccountRequest('2fa/recovery-codes', { code }, 'Failed to create new recovery codes');
+            this.renderRecoveryCodes(recovery_codes);
+        });
+
+        this.bindForm('disableForm', async ({ password, code }) => {
+            if (!confirm('Turn off two-factor authentication? Admin and moderator tools need it on.')) return;
+
+            const { message } = await auth.postAccountRequest('2fa/disable', { password, code }, 'Failed to turn off two-factor authentication');
+            feedManager.showSuccess(message);
+            await this.loadStatus();
+        });
+    }
+
+    // Submit form `id` to `handler` with its trimmed values, keeping the
+    // button disabled until it's done
+    bindForm(id, handler) {
+        const form = document.getElementById(id);
+        const button = form.querySelector('button[type="submit"]');
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            const values = Object.fromEntries([...new FormData(form)]
+                .map(([name, value]) => [name, name === 'password' ? value : value.trim()]));
+
+            button.disabled = true;
+
+            try {
+                await handler(values);
+            } catch (error) {
+                console.error('Error updating two-factor settings:', error);
+                feedManager.showError(error.message);
+            } finally {
+                button.disabled = false;
+            }
+        });
+    }
+}
+
+// Initialize two-factor manager
+const twoFactorManager = new TwoFactorManager();
+
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.getElementById('twoFactorPanel')) {
+        twoFactorManager.initialize();
+    }
+});